@@ -48,6 +48,9 @@ public class Participant
 
     public string? Skills { get; set; }
 
+    [StringLength(500, ErrorMessage = "URL аватара не может превышать 500 символов")]
+    public string? AvatarUrl { get; set; }
+
     public SocialContacts? SocialContacts { get; set; }
 
     public DateTime RegisteredAt { get; set; } = DateTime.UtcNow;
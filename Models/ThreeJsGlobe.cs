@@ -140,6 +140,17 @@ public class GlobeOptions
     /// Ширина линий стран
     /// </summary>
     public double CountryLineWidth { get; set; } = 0.5;
+
+    /// <summary>
+    /// Правила стиля точек участников: { rules: [{ when, color, size, scale, icon }], icons: { url, columns, rows, names } }
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public object? ParticipantStyle { get; set; }
+
+    /// <summary>
+    /// Синхронизировать вид (камера, слои, выбор, фильтр) с адресом страницы после #
+    /// </summary>
+    public bool SyncViewWithHash { get; set; }
 }
 
 /// <summary>
@@ -219,6 +230,11 @@ public class GlobeState
     /// </summary>
     public int ParticipantCount { get; set; }
 
+    /// <summary>
+    /// Количество участников, видимых с учетом фильтра и шкалы регистраций
+    /// </summary>
+    public int VisibleParticipantCount { get; set; }
+
     /// <summary>
     /// Количество стран на глобусе
     /// </summary>
@@ -245,7 +261,7 @@ public class GlobeState
     public int CurrentLevelOfDetail { get; set; }
 
     /// <summary>
-    /// Использование памяти в байтах
+    /// Оценка памяти GPU под геометрии и текстуры в байтах
     /// </summary>
     public long MemoryUsage { get; set; }
 
@@ -253,6 +269,52 @@ public class GlobeState
     /// Количество отрисованных кадров в секунду
     /// </summary>
     public double FramesPerSecond { get; set; }
+
+    /// <summary>
+    /// Счетчики рендерера
+    /// </summary>
+    public GlobeRenderStats? RenderStats { get; set; }
+}
+
+/// <summary>
+/// Счетчики рендерера Three.js (renderer.info)
+/// </summary>
+public class GlobeRenderStats
+{
+    /// <summary>
+    /// Геометрии в памяти GPU
+    /// </summary>
+    public int Geometries { get; set; }
+
+    /// <summary>
+    /// Текстуры в памяти GPU
+    /// </summary>
+    public int Textures { get; set; }
+
+    /// <summary>
+    /// Скомпилированные шейдерные программы
+    /// </summary>
+    public int Programs { get; set; }
+
+    /// <summary>
+    /// Вызовы отрисовки за последний кадр
+    /// </summary>
+    public int DrawCalls { get; set; }
+
+    /// <summary>
+    /// Треугольники за последний кадр
+    /// </summary>
+    public int Triangles { get; set; }
+
+    /// <summary>
+    /// Точки за последний кадр
+    /// </summary>
+    public int Points { get; set; }
+
+    /// <summary>
+    /// Линии за последний кадр
+    /// </summary>
+    public int Lines { get; set; }
 }
 
 /// <summary>
@@ -271,7 +333,7 @@ public class CameraState
     public double[] Target { get; set; } = new double[3];
 
     /// <summary>
-    /// Угол поворота камеры
+    /// Угол поворота камеры: азимут вокруг вертикальной оси в радианах
     /// </summary>
     public double Rotation { get; set; }
 
@@ -291,6 +353,185 @@ public class CameraState
     public double CenterLongitude { get; set; }
 }
 
+/// <summary>
+/// Фильтр участников на глобусе; заданные условия должны выполняться одновременно
+/// </summary>
+public class GlobeFilter
+{
+    /// <summary>
+    /// Точное совпадение полей участника (без учета регистра)
+    /// </summary>
+    [JsonPropertyName("equals")]
+    public Dictionary<string, string>? FieldEquals { get; set; }
+
+    /// <summary>
+    /// Подстрока в навыках
+    /// </summary>
+    public string? Skills { get; set; }
+
+    /// <summary>
+    /// Подстрока в жизненных целях
+    /// </summary>
+    public string? LifeGoals { get; set; }
+
+    /// <summary>
+    /// Список стран
+    /// </summary>
+    public List<string>? Countries { get; set; }
+
+    /// <summary>
+    /// Начало диапазона даты регистрации включительно
+    /// </summary>
+    public DateTime? RegisteredFrom { get; set; }
+
+    /// <summary>
+    /// Конец диапазона даты регистрации включительно; дата без времени (полночь) включает весь этот день
+    /// </summary>
+    public DateTime? RegisteredTo { get; set; }
+
+    /// <summary>
+    /// Область на карте
+    /// </summary>
+    public GlobeRegion? Region { get; set; }
+}
+
+/// <summary>
+/// Результат поиска участника на глобусе
+/// </summary>
+public class ParticipantSearchResult
+{
+    /// <summary>
+    /// ID участника
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Имя участника
+    /// </summary>
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// Город участника
+    /// </summary>
+    public string? City { get; set; }
+
+    /// <summary>
+    /// Страна участника
+    /// </summary>
+    public string? Country { get; set; }
+
+    /// <summary>
+    /// Релевантность; результаты упорядочены по ее убыванию
+    /// </summary>
+    public double Score { get; set; }
+
+    /// <summary>
+    /// Поля, в которых найдены слова запроса
+    /// </summary>
+    public List<string> MatchedFields { get; set; } = new();
+}
+
+/// <summary>
+/// Остановка тура по глобусу: участник или точка с координатами
+/// </summary>
+public class GlobeTourStop
+{
+    /// <summary>
+    /// ID участника; если задан, координаты берутся у участника
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? ParticipantId { get; set; }
+
+    /// <summary>
+    /// Широта точки
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public double? Latitude { get; set; }
+
+    /// <summary>
+    /// Долгота точки
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public double? Longitude { get; set; }
+
+    /// <summary>
+    /// Подпись; для участника по умолчанию - имя и город
+    /// </summary>
+    public string? Caption { get; set; }
+
+    /// <summary>
+    /// Расстояние камеры от центра глобуса
+    /// </summary>
+    public double? Zoom { get; set; }
+
+    /// <summary>
+    /// Время показа остановки в миллисекундах
+    /// </summary>
+    public int? Dwell { get; set; }
+}
+
+/// <summary>
+/// Данные события onTourStep: камера прилетела к остановке тура
+/// </summary>
+public class GlobeTourStep
+{
+    /// <summary>
+    /// Номер остановки
+    /// </summary>
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Число остановок в туре
+    /// </summary>
+    public int Count { get; set; }
+
+    /// <summary>
+    /// ID участника или null для точки
+    /// </summary>
+    public string? ParticipantId { get; set; }
+
+    /// <summary>
+    /// Широта остановки
+    /// </summary>
+    public double Latitude { get; set; }
+
+    /// <summary>
+    /// Долгота остановки
+    /// </summary>
+    public double Longitude { get; set; }
+
+    /// <summary>
+    /// Показанная подпись
+    /// </summary>
+    public string? Caption { get; set; }
+}
+
+/// <summary>
+/// Прямоугольная область в градусах; West больше East - область пересекает линию перемены дат
+/// </summary>
+public class GlobeRegion
+{
+    /// <summary>
+    /// Северная граница (широта)
+    /// </summary>
+    public double North { get; set; }
+
+    /// <summary>
+    /// Южная граница (широта)
+    /// </summary>
+    public double South { get; set; }
+
+    /// <summary>
+    /// Западная граница (долгота)
+    /// </summary>
+    public double West { get; set; }
+
+    /// <summary>
+    /// Восточная граница (долгота)
+    /// </summary>
+    public double East { get; set; }
+}
+
 /// <summary>
 /// Данные точки на глобусе
 /// </summary>
@@ -424,6 +665,123 @@ public class GlobeCountryData
     public Dictionary<string, object>? Metadata { get; set; }
 }
 
+/// <summary>
+/// Настройки режима хороплета; незаданные поля сохраняют текущие значения
+/// </summary>
+public class ChoroplethOptions
+{
+    /// <summary>
+    /// Палитра hex цветов от меньшего числа участников к большему
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public List<string>? Palette { get; set; }
+
+    /// <summary>
+    /// Прозрачность заливки (0-1)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public double? Opacity { get; set; }
+
+    /// <summary>
+    /// Цвет стран без участников; без него такие страны не заливаются
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? ZeroColor { get; set; }
+}
+
+/// <summary>
+/// Легенда хороплета: интервалы цветов и число участников по странам
+/// </summary>
+public class ChoroplethLegend
+{
+    /// <summary>
+    /// Включен ли режим хороплета
+    /// </summary>
+    public bool Enabled { get; set; }
+
+    /// <summary>
+    /// Максимальное число участников в одной стране
+    /// </summary>
+    public int MaxCount { get; set; }
+
+    /// <summary>
+    /// Число участников с корректными координатами
+    /// </summary>
+    public int TotalParticipants { get; set; }
+
+    /// <summary>
+    /// Число участников, для которых найдена страна
+    /// </summary>
+    public int MatchedParticipants { get; set; }
+
+    /// <summary>
+    /// Число участников вне границ стран (океан, нет данных)
+    /// </summary>
+    public int UnmatchedParticipants { get; set; }
+
+    /// <summary>
+    /// Цвет стран без участников или null
+    /// </summary>
+    public string? ZeroColor { get; set; }
+
+    /// <summary>
+    /// Интервалы числа участников и их цвета
+    /// </summary>
+    public List<ChoroplethStep> Steps { get; set; } = new();
+
+    /// <summary>
+    /// Страны с участниками по убыванию их числа
+    /// </summary>
+    public List<ChoroplethCountry> Countries { get; set; } = new();
+}
+
+/// <summary>
+/// Интервал легенды хороплета
+/// </summary>
+public class ChoroplethStep
+{
+    /// <summary>
+    /// Минимальное число участников (включительно)
+    /// </summary>
+    public int Min { get; set; }
+
+    /// <summary>
+    /// Максимальное число участников (включительно)
+    /// </summary>
+    public int Max { get; set; }
+
+    /// <summary>
+    /// Цвет интервала
+    /// </summary>
+    public string Color { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Страна в легенде хороплета
+/// </summary>
+public class ChoroplethCountry
+{
+    /// <summary>
+    /// ID объекта GeoJSON: строка или число, как в исходных данных
+    /// </summary>
+    public object? Id { get; set; }
+
+    /// <summary>
+    /// Название страны
+    /// </summary>
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// Число участников в стране
+    /// </summary>
+    public int Count { get; set; }
+
+    /// <summary>
+    /// Цвет заливки страны
+    /// </summary>
+    public string Color { get; set; } = string.Empty;
+}
+
 /// <summary>
 /// Событие глобуса
 /// </summary>
@@ -1,3 +1,4 @@
+using Microsoft.JSInterop;
 using ZealousMindedPeopleGeo.Models;
 
 namespace ZealousMindedPeopleGeo.Services.Mapping;
@@ -45,6 +46,143 @@ public interface IThreeJsGlobeService
     /// <returns>Результат удаления</returns>
     ValueTask<Models.GlobeOperationResult> RemoveParticipantAsync(string containerId, Guid participantId, CancellationToken ct = default);
 
+    /// <summary>
+    /// Оставляет на глобусе только участников, подходящих под фильтр
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="filter">Фильтр или null, чтобы показать всех</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат фильтрации; ProcessedCount - число видимых участников</returns>
+    ValueTask<Models.GlobeOperationResult> SetFilterAsync(string containerId, Models.GlobeFilter? filter, CancellationToken ct = default);
+
+    /// <summary>
+    /// Включает или выключает заливку стран по числу участников
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="enabled">Включить режим хороплета</param>
+    /// <param name="options">Палитра, прозрачность и цвет стран без участников; null - текущие</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Легенда хороплета или null, если режим выключен или глобус не готов</returns>
+    ValueTask<Models.ChoroplethLegend?> SetChoroplethModeAsync(string containerId, bool enabled, Models.ChoroplethOptions? options = null, CancellationToken ct = default);
+
+    /// <summary>
+    /// Возвращает легенду хороплета, пересчитанную по текущим участникам
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Легенда хороплета или null, если режим выключен</returns>
+    ValueTask<Models.ChoroplethLegend?> GetChoroplethLegendAsync(string containerId, CancellationToken ct = default);
+
+    /// <summary>
+    /// Ищет участников по имени, городу, стране, навыкам, целям и сообщению; кириллица и латиница взаимозаменяемы
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="query">Строка поиска</param>
+    /// <param name="limit">Максимальное число результатов</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результаты по убыванию релевантности</returns>
+    ValueTask<IReadOnlyList<Models.ParticipantSearchResult>> SearchParticipantsAsync(string containerId, string query, int limit = 20, CancellationToken ct = default);
+
+    /// <summary>
+    /// Выделяет участника и наводит на него камеру
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="participantId">ID участника</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат операции</returns>
+    ValueTask<Models.GlobeOperationResult> FocusParticipantAsync(string containerId, string participantId, CancellationToken ct = default);
+
+    /// <summary>
+    /// Выбирает участника на глобусе, например из списка в Blazor; глобус отмечает его кольцом
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="participantId">ID участника</param>
+    /// <param name="additive">Добавить к текущему выбору вместо замены</param>
+    /// <param name="focus">Навести камеру на участника</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат операции; неудача, если участника нет на глобусе</returns>
+    ValueTask<Models.GlobeOperationResult> SelectParticipantAsync(string containerId, string participantId, bool additive = false, bool focus = false, CancellationToken ct = default);
+
+    /// <summary>
+    /// Убирает участника из выбора
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="participantId">ID участника</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат операции; неудача, если участник не был выбран</returns>
+    ValueTask<Models.GlobeOperationResult> DeselectParticipantAsync(string containerId, string participantId, CancellationToken ct = default);
+
+    /// <summary>
+    /// Снимает выбор со всех участников
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат операции</returns>
+    ValueTask<Models.GlobeOperationResult> ClearSelectionAsync(string containerId, CancellationToken ct = default);
+
+    /// <summary>
+    /// Возвращает ID выбранных участников; об изменениях выбора сообщает событие onSelectionChange (см. SetEventCallbackAsync)
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>ID выбранных участников</returns>
+    ValueTask<IReadOnlyList<string>> GetSelectionAsync(string containerId, CancellationToken ct = default);
+
+    /// <summary>
+    /// Запускает тур: камера по очереди облетает остановки и показывает их подписи
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="stops">Остановки тура</param>
+    /// <param name="loop">Начинать заново после последней остановки</param>
+    /// <param name="dwellMs">Время показа остановки; null - по умолчанию</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат операции; ProcessedCount - число принятых остановок</returns>
+    ValueTask<Models.GlobeOperationResult> StartTourAsync(string containerId, IEnumerable<Models.GlobeTourStop> stops, bool loop = false, int? dwellMs = null, CancellationToken ct = default);
+
+    /// <summary>
+    /// Останавливает тур и возвращает автовращение
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат операции</returns>
+    ValueTask<Models.GlobeOperationResult> StopTourAsync(string containerId, CancellationToken ct = default);
+
+    /// <summary>
+    /// Подписывает обработчик на событие onTourStep: камера прилетела к остановке тура и показала подпись
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="callback">Обработчик или null для отписки</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат подписки</returns>
+    ValueTask<Models.GlobeOperationResult> SetTourStepCallbackAsync(string containerId, Func<Models.GlobeTourStep, Task>? callback, CancellationToken ct = default);
+
+    /// <summary>
+    /// Подписывает обработчик на событие onTourEnd: тур закончился или остановлен
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="callback">Обработчик или null для отписки</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат подписки</returns>
+    ValueTask<Models.GlobeOperationResult> SetTourEndCallbackAsync(string containerId, Func<Task>? callback, CancellationToken ct = default);
+
+    /// <summary>
+    /// Возвращает компактную строку текущего вида для ссылки: камера, слои, выбранные участники и фильтр
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Строка вида или null, если глобус не готов</returns>
+    ValueTask<string?> GetViewStateAsync(string containerId, CancellationToken ct = default);
+
+    /// <summary>
+    /// Восстанавливает вид из строки GetViewStateAsync
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="viewState">Строка вида</param>
+    /// <param name="animate">Перевести камеру перелетом, а не мгновенно</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат операции</returns>
+    ValueTask<Models.GlobeOperationResult> SetViewStateAsync(string containerId, string viewState, bool animate = true, CancellationToken ct = default);
+
     /// <summary>
     /// Центрирует глобус на указанных координатах
     /// </summary>
@@ -56,6 +194,18 @@ public interface IThreeJsGlobeService
     /// <returns>Результат центрирования</returns>
     ValueTask<Models.GlobeOperationResult> CenterOnAsync(string containerId, double latitude, double longitude, double zoom = 2.0, CancellationToken ct = default);
 
+    /// <summary>
+    /// Переводит камеру к точке по дуге большого круга и ждет прибытия
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="latitude">Широта</param>
+    /// <param name="longitude">Долгота</param>
+    /// <param name="zoom">Расстояние камеры от центра глобуса; null - текущее</param>
+    /// <param name="durationMs">Длительность перелета; null - в зависимости от расстояния</param>
+    /// <param name="ct">Токен отмены операции; при отмене перелет в браузере тоже останавливается</param>
+    /// <returns>Успех, если камера долетела; неудача, если перелет прерван или отменен</returns>
+    ValueTask<Models.GlobeOperationResult> FlyToAsync(string containerId, double latitude, double longitude, double? zoom = null, int? durationMs = null, CancellationToken ct = default);
+
     /// <summary>
     /// Устанавливает уровень детализации глобуса
     /// </summary>
@@ -130,4 +280,28 @@ public interface IThreeJsGlobeService
     /// <param name="ct">Токен отмены операции</param>
     /// <returns>Результат установки</returns>
     ValueTask<Models.GlobeOperationResult> SetReadyCallbackAsync(string containerId, Func<Models.GlobeState, Task> callback, CancellationToken ct = default);
+
+    /// <summary>
+    /// Подписывает [JSInvokable] метод .NET объекта на событие глобуса (onGlobeClick, onParticipantClick,
+    /// onParticipantHover, onParticipantLeave, onSelectionChange, ...); аргументы события передаются в метод как есть.
+    /// Глобус должен быть создан; ссылкой на объект владеет вызывающий код
+    /// </summary>
+    /// <typeparam name="T">Тип объекта с [JSInvokable] методом</typeparam>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="eventName">Имя события</param>
+    /// <param name="reference">Ссылка на объект или null для отписки</param>
+    /// <param name="methodName">Имя [JSInvokable] метода</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат подписки</returns>
+    ValueTask<Models.GlobeOperationResult> SetEventCallbackAsync<T>(string containerId, string eventName, DotNetObjectReference<T>? reference, string methodName, CancellationToken ct = default) where T : class;
+
+    /// <summary>
+    /// Подписывает обработчик на событие onTimelineTick шкалы регистраций: текущий момент шкалы (UTC)
+    /// и число показанных участников. Вызывается при проигрывании несколько раз в секунду, при паузе и перемотке
+    /// </summary>
+    /// <param name="containerId">ID контейнера глобуса</param>
+    /// <param name="callback">Обработчик или null для отписки</param>
+    /// <param name="ct">Токен отмены операции</param>
+    /// <returns>Результат подписки</returns>
+    ValueTask<Models.GlobeOperationResult> SetTimelineTickCallbackAsync(string containerId, Func<DateTime, int, Task>? callback, CancellationToken ct = default);
 }
\ No newline at end of file
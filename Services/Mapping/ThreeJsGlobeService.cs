@@ -12,6 +12,7 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
     private readonly ILogger<ThreeJsGlobeService> _logger;
     private IJSObjectReference? _module;
     private readonly Dictionary<string, (Func<GlobeState, Task> callback, DotNetObjectReference<CallbackWrapper> reference)> _callbacks = new();
+    private readonly Dictionary<(string ContainerId, string EventName), IDisposable> _eventHandlers = new();
 
     public ThreeJsGlobeService(IJSRuntime jsRuntime, ILogger<ThreeJsGlobeService> logger)
     {
@@ -102,6 +103,14 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
                 p.Name,
                 p.Latitude,
                 p.Longitude,
+                p.City,
+                p.Country,
+                p.Skills,
+                p.LifeGoals,
+                p.Message,
+                p.AvatarUrl,
+                p.RegisteredAt,
+                p.Timestamp,
                 location = $"{p.Name} ({p.Latitude:F4}, {p.Longitude:F4})"
             }).ToArray();
 
@@ -164,6 +173,262 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
         }
     }
 
+    public async ValueTask<GlobeOperationResult> SetFilterAsync(string containerId, GlobeFilter? filter, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var result = await _module.InvokeAsync<GlobeFilterResult?>("setFilter", containerId, filter);
+                return result != null
+                    ? new GlobeOperationResult { Success = true, ProcessedCount = result.Visible }
+                    : new GlobeOperationResult { Success = false, ErrorMessage = "Failed to apply filter" };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error applying filter to globe {ContainerId}", containerId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    public async ValueTask<ChoroplethLegend?> SetChoroplethModeAsync(string containerId, bool enabled, ChoroplethOptions? options = null, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                return await _module.InvokeAsync<ChoroplethLegend?>("setChoroplethMode", containerId, enabled, options ?? new ChoroplethOptions());
+            }
+
+            return null;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error setting choropleth mode for globe {ContainerId}", containerId);
+            return null;
+        }
+    }
+
+    public async ValueTask<ChoroplethLegend?> GetChoroplethLegendAsync(string containerId, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                return await _module.InvokeAsync<ChoroplethLegend?>("getChoroplethLegend", containerId);
+            }
+
+            return null;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting choropleth legend for globe {ContainerId}", containerId);
+            return null;
+        }
+    }
+
+    public async ValueTask<IReadOnlyList<ParticipantSearchResult>> SearchParticipantsAsync(string containerId, string query, int limit = 20, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null && !string.IsNullOrWhiteSpace(query))
+            {
+                var results = await _module.InvokeAsync<ParticipantSearchResult[]?>("searchParticipants", containerId, query, new { limit });
+                return results ?? Array.Empty<ParticipantSearchResult>();
+            }
+
+            return Array.Empty<ParticipantSearchResult>();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error searching participants in globe {ContainerId}", containerId);
+            return Array.Empty<ParticipantSearchResult>();
+        }
+    }
+
+    public async ValueTask<GlobeOperationResult> FocusParticipantAsync(string containerId, string participantId, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var result = await _module.InvokeAsync<bool>("focusParticipant", containerId, participantId);
+                return result
+                    ? new GlobeOperationResult { Success = true, ProcessedCount = 1 }
+                    : new GlobeOperationResult { Success = false, ErrorMessage = "Participant not found" };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error focusing participant {ParticipantId}", participantId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    public async ValueTask<GlobeOperationResult> SelectParticipantAsync(string containerId, string participantId, bool additive = false, bool focus = false, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var result = await _module.InvokeAsync<bool>("selectParticipant", containerId, participantId, new { additive, focus });
+                return result
+                    ? new GlobeOperationResult { Success = true, ProcessedCount = 1 }
+                    : new GlobeOperationResult { Success = false, ErrorMessage = "Participant not found" };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error selecting participant {ParticipantId}", participantId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    public async ValueTask<GlobeOperationResult> DeselectParticipantAsync(string containerId, string participantId, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var result = await _module.InvokeAsync<bool>("deselectParticipant", containerId, participantId);
+                return result
+                    ? new GlobeOperationResult { Success = true, ProcessedCount = 1 }
+                    : new GlobeOperationResult { Success = false, ErrorMessage = "Participant is not selected" };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deselecting participant {ParticipantId}", participantId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    public async ValueTask<GlobeOperationResult> ClearSelectionAsync(string containerId, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var cleared = await _module.InvokeAsync<bool>("clearSelection", containerId);
+                return new GlobeOperationResult { Success = cleared };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error clearing selection in globe {ContainerId}", containerId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    public async ValueTask<IReadOnlyList<string>> GetSelectionAsync(string containerId, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var ids = await _module.InvokeAsync<string[]?>("getSelection", containerId);
+                return ids ?? Array.Empty<string>();
+            }
+
+            return Array.Empty<string>();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting selection for globe {ContainerId}", containerId);
+            return Array.Empty<string>();
+        }
+    }
+
+    public async ValueTask<GlobeOperationResult> StartTourAsync(string containerId, IEnumerable<GlobeTourStop> stops, bool loop = false, int? dwellMs = null, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var accepted = await _module.InvokeAsync<int>("startTour", containerId, stops.ToArray(), new { loop, dwell = dwellMs });
+                return accepted > 0
+                    ? new GlobeOperationResult { Success = true, ProcessedCount = accepted }
+                    : new GlobeOperationResult { Success = false, ErrorMessage = "No valid tour stops" };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error starting tour in globe {ContainerId}", containerId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    public async ValueTask<GlobeOperationResult> StopTourAsync(string containerId, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var stopped = await _module.InvokeAsync<bool>("stopTour", containerId);
+                return new GlobeOperationResult { Success = stopped };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error stopping tour in globe {ContainerId}", containerId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    public async ValueTask<string?> GetViewStateAsync(string containerId, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                return await _module.InvokeAsync<string?>("getViewState", containerId);
+            }
+
+            return null;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting view state for globe {ContainerId}", containerId);
+            return null;
+        }
+    }
+
+    public async ValueTask<GlobeOperationResult> SetViewStateAsync(string containerId, string viewState, bool animate = true, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var applied = await _module.InvokeAsync<bool>("setViewState", containerId, viewState, new { animate });
+                return applied
+                    ? new GlobeOperationResult { Success = true }
+                    : new GlobeOperationResult { Success = false, ErrorMessage = "Invalid view state" };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error setting view state for globe {ContainerId}", containerId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
     public async ValueTask<GlobeOperationResult> CenterOnAsync(string containerId, double latitude, double longitude, double zoom = 2.0, CancellationToken ct = default)
     {
         try
@@ -184,6 +449,51 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
         }
     }
 
+    public async ValueTask<GlobeOperationResult> FlyToAsync(string containerId, double latitude, double longitude, double? zoom = null, int? durationMs = null, CancellationToken ct = default)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                // Промис перелета может ждать секунды, а на скрытой вкладке (без requestAnimationFrame) - сколько угодно
+                var arrived = await _module.InvokeAsync<bool>("flyTo", ct, new object?[] { containerId, latitude, longitude, new { zoom, duration = durationMs } });
+                return arrived
+                    ? new GlobeOperationResult { Success = true }
+                    : new GlobeOperationResult { Success = false, ErrorMessage = "Camera flight was interrupted" };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (OperationCanceledException) when (ct.IsCancellationRequested)
+        {
+            await CancelCameraFlightAsync(containerId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Camera flight was cancelled" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error flying camera to {Latitude}, {Longitude}", latitude, longitude);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    /// <summary>
+    /// Останавливает перелет камеры в браузере после отмены FlyToAsync, иначе камера долетит сама
+    /// </summary>
+    private async ValueTask CancelCameraFlightAsync(string containerId)
+    {
+        try
+        {
+            if (_module != null)
+            {
+                await _module.InvokeAsync<bool>("cancelCameraFlight", containerId);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning("Could not cancel camera flight for {ContainerId}: {Message}", containerId, ex.Message);
+        }
+    }
+
     public async ValueTask<GlobeOperationResult> SetLevelOfDetailAsync(string containerId, int lod, CancellationToken ct = default)
     {
         try
@@ -313,6 +623,7 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
             {
                 _logger.LogInformation("🚮 Вызов JavaScript dispose для контейнера: {ContainerId}", containerId);
                 var success = await _module.InvokeAsync<bool>("dispose", containerId);
+                ReleaseEventHandlers(containerId);
                 _logger.LogInformation("🚮 JavaScript dispose вернул: {Success} для контейнера: {ContainerId}", success, containerId);
                 return new GlobeOperationResult { Success = success };
             }
@@ -329,6 +640,7 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
 
     async ValueTask IAsyncDisposable.DisposeAsync()
     {
+        ReleaseEventHandlers();
         if (_module != null)
         {
             await _module.DisposeAsync();
@@ -353,6 +665,78 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
         }
     }
 
+    public async ValueTask<GlobeOperationResult> SetEventCallbackAsync<T>(string containerId, string eventName, DotNetObjectReference<T>? reference, string methodName, CancellationToken ct = default) where T : class
+    {
+        try
+        {
+            if (_module != null)
+            {
+                var subscribed = await _module.InvokeAsync<bool>("setEventCallback", ct, new object?[] { containerId, eventName, reference, methodName });
+                return subscribed
+                    ? new GlobeOperationResult { Success = true }
+                    : new GlobeOperationResult { Success = false, ErrorMessage = $"Failed to set {eventName} callback" };
+            }
+
+            return new GlobeOperationResult { Success = false, ErrorMessage = "Globe instance not found" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error setting {EventName} callback for globe {ContainerId}", eventName, containerId);
+            return new GlobeOperationResult { Success = false, ErrorMessage = ex.Message };
+        }
+    }
+
+    public ValueTask<GlobeOperationResult> SetTimelineTickCallbackAsync(string containerId, Func<DateTime, int, Task>? callback, CancellationToken ct = default)
+    {
+        return SetEventHandlerAsync(containerId, "onTimelineTick", callback == null ? null : new TimelineTickCallbackWrapper(callback), ct);
+    }
+
+    public ValueTask<GlobeOperationResult> SetTourStepCallbackAsync(string containerId, Func<GlobeTourStep, Task>? callback, CancellationToken ct = default)
+    {
+        return SetEventHandlerAsync(containerId, "onTourStep", callback == null ? null : new TourStepCallbackWrapper(callback), ct);
+    }
+
+    public ValueTask<GlobeOperationResult> SetTourEndCallbackAsync(string containerId, Func<Task>? callback, CancellationToken ct = default)
+    {
+        return SetEventHandlerAsync(containerId, "onTourEnd", callback == null ? null : new TourEndCallbackWrapper(callback), ct);
+    }
+
+    /// <summary>
+    /// Подписывает обертку обработчика на событие глобуса и освобождает ссылку на прежнюю обертку
+    /// </summary>
+    private async ValueTask<GlobeOperationResult> SetEventHandlerAsync<T>(string containerId, string eventName, T? wrapper, CancellationToken ct) where T : class
+    {
+        var reference = wrapper == null ? null : DotNetObjectReference.Create(wrapper);
+        var result = await SetEventCallbackAsync(containerId, eventName, reference, "Invoke", ct);
+        if (!result.Success)
+        {
+            reference?.Dispose();
+            return result;
+        }
+
+        if (_eventHandlers.Remove((containerId, eventName), out var previous))
+        {
+            previous.Dispose();
+        }
+        if (reference != null)
+        {
+            _eventHandlers[(containerId, eventName)] = reference;
+        }
+        return result;
+    }
+
+    /// <summary>
+    /// Освобождает ссылки на обработчики событий глобуса
+    /// </summary>
+    private void ReleaseEventHandlers(string? containerId = null)
+    {
+        foreach (var key in _eventHandlers.Keys.Where(key => containerId == null || key.ContainerId == containerId).ToList())
+        {
+            _eventHandlers[key].Dispose();
+            _eventHandlers.Remove(key);
+        }
+    }
+
     public class CallbackWrapper
     {
         private readonly Func<GlobeState, Task> _callback;
@@ -366,6 +750,33 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
         }
     }
 
+    public class TimelineTickCallbackWrapper
+    {
+        private readonly Func<DateTime, int, Task> _callback;
+        public TimelineTickCallbackWrapper(Func<DateTime, int, Task> callback) => _callback = callback;
+
+        [JSInvokable]
+        public Task Invoke(DateTime current, int count) => _callback(current, count);
+    }
+
+    public class TourStepCallbackWrapper
+    {
+        private readonly Func<GlobeTourStep, Task> _callback;
+        public TourStepCallbackWrapper(Func<GlobeTourStep, Task> callback) => _callback = callback;
+
+        [JSInvokable]
+        public Task Invoke(GlobeTourStep step) => _callback(step);
+    }
+
+    public class TourEndCallbackWrapper
+    {
+        private readonly Func<Task> _callback;
+        public TourEndCallbackWrapper(Func<Task> callback) => _callback = callback;
+
+        [JSInvokable]
+        public Task Invoke() => _callback();
+    }
+
     public async ValueTask<bool> IsAvailableAsync(CancellationToken ct = default)
     {
         return await IsGlobeAvailableAsync(string.Empty, ct);
@@ -440,4 +851,12 @@ public class ThreeJsGlobeService : IThreeJsGlobeService, IAsyncDisposable
         }
     }
 
-}
\ No newline at end of file
+    /// <summary>
+    /// Ответ setFilter: число видимых и общее число участников
+    /// </summary>
+    private sealed class GlobeFilterResult
+    {
+        public int Visible { get; set; }
+        public int Total { get; set; }
+    }
+}
@@ -65,6 +65,13 @@ public class ParticipantValidator : AbstractValidator<Participant>
             .MaximumLength(300)
             .WithMessage(localizationService.GetString("MaxLength", 300));
 
+        RuleFor(p => p.AvatarUrl)
+            .MaximumLength(500)
+            .WithMessage(localizationService.GetString("MaxLength", 500))
+            .Must(BeHttpUrl)
+            .When(p => !string.IsNullOrEmpty(p.AvatarUrl))
+            .WithMessage("Некорректный URL аватара");
+
         // Валидация социальных контактов
         RuleFor(p => p.SocialContacts)
             .Must(HaveValidSocialContacts)
@@ -88,6 +95,12 @@ public class ParticipantValidator : AbstractValidator<Participant>
             .WithMessage("Дата регистрации слишком старая");
     }
 
+    private static bool BeHttpUrl(string? url)
+    {
+        return Uri.TryCreate(url, UriKind.Absolute, out var uri) &&
+               (uri.Scheme == Uri.UriSchemeHttp || uri.Scheme == Uri.UriSchemeHttps);
+    }
+
     private bool HaveValidSocialContacts(SocialContacts? contacts)
     {
         if (contacts == null) return true;
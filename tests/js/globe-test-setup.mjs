@@ -0,0 +1,34 @@
+// Общая подготовка тестов глобуса: заглушки браузера вместо DOM и WebGL
+// Файл не тест (npm test запускает только *.test.mjs), его импортируют тесты
+// Canvas 2D нужен только для текстур точек и меток; рисование ничего не делает
+const context2d = new Proxy({}, {
+    get: (target, key) => key in target ? target[key] : key === 'measureText'
+        ? text => ({ width: String(text).length * 10 })
+        : () => ({ addColorStop() {} }),
+    set: (target, key, value) => (target[key] = value, true)
+});
+globalThis.window = globalThis;
+// Глобус подробно пишет в консоль, а о пропущенных участниках предупреждает - в выводе тестов это лишнее
+console.log = () => {};
+console.warn = () => {};
+globalThis.document = {
+    createElement: tagName => ({ tagName, style: {}, width: 0, height: 0, getContext: () => context2d })
+};
+
+export const globeModule = await import('../../wwwroot/js/community-globe.js');
+export const THREE = await import('../../wwwroot/js/libs/three.module.js');
+// Модуль глобуса загружает Three.js сам; ждем, пока он сохранит ссылку на библиотеку
+await new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Глобус без рендерера: init() создает только сцену, камеру и earthGroup
+ */
+export class TestGlobe extends globeModule.CommunityGlobe {
+    init() {
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(75, 4 / 3, 0.1, 1000);
+        this.earthGroup = new THREE.Group();
+        this.scene.add(this.earthGroup);
+        this.state.isInitialized = true;
+    }
+}
@@ -0,0 +1,66 @@
+// Тесты фильтра участников (compileParticipantFilter): условия и границы диапазона дат
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globeModule } from './globe-test-setup.mjs';
+
+const { compileParticipantFilter } = globeModule;
+
+const NOW = Date.UTC(2024, 5, 1);
+
+const participant = (registeredAt, fields = {}) => ({
+    id: 'p', name: 'Анна', latitude: 55.75, longitude: 37.62, country: 'Россия', skills: 'JavaScript, Blazor', registeredAt, ...fields
+});
+
+test('без спецификации фильтра нет', () => {
+    assert.equal(compileParticipantFilter(null), null);
+    assert.equal(compileParticipantFilter('страна'), null);
+});
+
+test('registeredTo без времени включает весь последний день', () => {
+    ['2024-05-10', '2024-05-10T00:00:00', '2024-05-10T00:00:00.000Z', Date.UTC(2024, 4, 10)].forEach(registeredTo => {
+        const filter = compileParticipantFilter({ registeredFrom: '2024-05-01', registeredTo });
+        assert.ok(filter(participant('2024-05-10T23:59:59Z'), NOW), `${registeredTo}: конец последнего дня`);
+        assert.ok(!filter(participant('2024-05-11T00:00:00Z'), NOW), `${registeredTo}: следующий день`);
+        assert.ok(filter(participant('2024-05-01T00:00:00Z'), NOW), `${registeredTo}: начало диапазона`);
+        assert.ok(!filter(participant('2024-04-30T23:59:59Z'), NOW), `${registeredTo}: до начала`);
+    });
+});
+
+test('registeredTo в полночь со смещением включает этот день по своему поясу', () => {
+    const filter = compileParticipantFilter({ registeredTo: '2024-05-10T00:00:00+03:00' });
+    assert.ok(filter(participant('2024-05-10T20:59:59Z'), NOW));
+    assert.ok(!filter(participant('2024-05-10T21:00:00Z'), NOW));
+});
+
+test('registeredTo со временем - точная граница включительно', () => {
+    const filter = compileParticipantFilter({ registeredTo: '2024-05-10T12:30:00' });
+    assert.ok(filter(participant('2024-05-10T12:30:00Z'), NOW));
+    assert.ok(!filter(participant('2024-05-10T12:30:00.001Z'), NOW));
+});
+
+test('время регистрации без пояса - UTC; участники без даты не попадают в диапазон', () => {
+    const filter = compileParticipantFilter({ registeredFrom: '2024-05-10T00:00:00Z' });
+    assert.ok(filter(participant('2024-05-10T00:00:00'), NOW));
+    assert.ok(!filter(participant('2024-05-09T23:59:59'), NOW));
+    assert.ok(!filter(participant(undefined), NOW));
+    assert.ok(filter(participant(undefined, { timestamp: '2024-05-11T00:00:00Z' }), NOW), 'timestamp вместо registeredAt');
+});
+
+test('условия полей и область выполняются одновременно', () => {
+    const filter = compileParticipantFilter({
+        equals: { country: 'россия' },
+        skills: 'blazor',
+        region: { north: 60, south: 50, west: 30, east: 40 }
+    });
+    assert.ok(filter(participant(), NOW));
+    assert.ok(!filter(participant(undefined, { skills: 'Python' }), NOW));
+    assert.ok(!filter(participant(undefined, { country: 'Германия' }), NOW));
+    assert.ok(!filter(participant(undefined, { latitude: 48.85 }), NOW));
+});
+
+test('область через линию перемены дат', () => {
+    const filter = compileParticipantFilter({ region: { north: 80, south: 40, west: 170, east: -170 } });
+    assert.ok(filter(participant(undefined, { latitude: 65, longitude: 179 }), NOW));
+    assert.ok(filter(participant(undefined, { latitude: 65, longitude: -175 }), NOW));
+    assert.ok(!filter(participant(undefined, { latitude: 65, longitude: 0 }), NOW));
+});
@@ -0,0 +1,113 @@
+// Тесты слоя точек участников: соответствие ID → вершина при некорректных входных данных
+// Запуск: npm test (Node 20+). WebGL не нужен - init() не вызывается, рендерер не создается
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globeModule, THREE, TestGlobe } from './globe-test-setup.mjs';
+
+const { ParticipantPointBuffer } = globeModule;
+
+function vertexOf(globe, id) {
+    const buffer = globe.participantBuffer;
+    const index = buffer.indexOf(id);
+    const position = buffer.geometry.attributes.position;
+    return { index, x: position.getX(index), y: position.getY(index), z: position.getZ(index) };
+}
+
+function assertVertexAt(globe, id, latitude, longitude) {
+    const vertex = vertexOf(globe, id);
+    const expected = globe.latLngToVector3(latitude, longitude, 1 + globe.options.participantPointOffset);
+    assert.notEqual(vertex.index, -1, `у ${id} нет вершины`);
+    assert.ok(Math.abs(vertex.x - expected.x) < 1e-6 && Math.abs(vertex.y - expected.y) < 1e-6 &&
+        Math.abs(vertex.z - expected.z) < 1e-6, `вершина ${id} не на (${latitude}, ${longitude})`);
+}
+
+// updateParticipantPosition меняет объекты участников - каждому тесту свой набор
+const createParticipants = () => [
+    { id: 'a', name: 'Анна', latitude: 55.75, longitude: 37.62 },
+    { id: 'nan', name: 'NaN', latitude: NaN, longitude: 10 },
+    { id: 'no-lng', name: 'Без долготы', latitude: 10 },
+    { id: 'string', name: 'Строка', latitude: '10', longitude: '20' },
+    { id: 'lat', name: 'Широта', latitude: 91, longitude: 0 },
+    { id: 'lng', name: 'Долгота', latitude: 0, longitude: -180.5 },
+    { name: 'Без ID', latitude: 1, longitude: 1 },
+    null,
+    { id: 'a', name: 'Дубликат', latitude: -33.87, longitude: 151.21 },
+    { id: 7, name: 'Борис', latitude: 52.52, longitude: 13.4 },
+    { id: 'c', name: 'Вера', latitude: -90, longitude: 180 }
+];
+
+test('ParticipantPointBuffer: ID → вершина, повторный ID и переиспользование слотов', () => {
+    const buffer = new ParticipantPointBuffer(new THREE.PointsMaterial(), 2);
+    const color = new THREE.Color('#ffffff');
+    const origin = { x: 0, y: 1, z: 0 };
+
+    assert.equal(buffer.add('a', origin, color, 1), 0);
+    assert.equal(buffer.add(2, origin, color, 1), 1);
+    assert.equal(buffer.add('c', origin, color, 1), 2, 'пул растет сверх начальной вместимости');
+    assert.equal(buffer.add('a', origin, color, 1), -1, 'повторный ID не занимает слот');
+    assert.equal(buffer.count, 3);
+    assert.equal(buffer.indexOf('2'), 1, 'числовой и строковый ID - один участник');
+    assert.equal(buffer.idAt(1), '2');
+
+    assert.ok(buffer.remove('2'));
+    assert.ok(!buffer.remove('2'));
+    assert.equal(buffer.indexOf('2'), -1);
+    assert.equal(buffer.idAt(1), undefined);
+    assert.equal(buffer.indexOf('c'), 2, 'удаление не сдвигает остальные вершины');
+    assert.equal(buffer.add('d', origin, color, 1), 1, 'свободный слот переиспользуется');
+    assert.equal(buffer.count, 3);
+});
+
+test('addParticipants пропускает некорректных участников и сохраняет соответствие ID → вершина', () => {
+    const globe = new TestGlobe('test-globe');
+    assert.ok(globe.addParticipants(createParticipants()));
+
+    assert.equal(globe.state.participantCount, 3);
+    assert.deepEqual([...globe.pointMetadata.keys()].sort(), ['7', 'a', 'c']);
+    assert.equal(globe.getParticipantById('a').name, 'Анна', 'дубликат ID не заменяет первого участника');
+
+    assertVertexAt(globe, 'a', 55.75, 37.62);
+    assertVertexAt(globe, '7', 52.52, 13.4);
+    assertVertexAt(globe, 'c', -90, 180);
+    ['a', '7', 'c'].forEach(id => {
+        const index = globe.participantBuffer.indexOf(id);
+        assert.equal(globe.getParticipantByPointIndex(index).id.toString(), id, `клик по вершине ${index}`);
+    });
+});
+
+test('updateParticipantPosition двигает только своего участника и отклоняет некорректные координаты', () => {
+    const globe = new TestGlobe('test-globe');
+    globe.addParticipants(createParticipants());
+
+    assert.ok(globe.updateParticipantPosition(7, 40.71, -74.01));
+    assertVertexAt(globe, '7', 40.71, -74.01);
+    assertVertexAt(globe, 'a', 55.75, 37.62);
+    assertVertexAt(globe, 'c', -90, 180);
+
+    [[NaN, 0], [0, undefined], [90.1, 0], [0, 181], ['1', '2']].forEach(([latitude, longitude]) => {
+        assert.equal(globe.updateParticipantPosition('a', latitude, longitude), false, `(${latitude}, ${longitude})`);
+    });
+    assertVertexAt(globe, 'a', 55.75, 37.62);
+    assert.equal(globe.updateParticipantPosition('nan', 0, 0), false, 'пропущенного участника нет на глобусе');
+});
+
+test('removeParticipant удаляет только своего участника', () => {
+    const globe = new TestGlobe('test-globe');
+    globe.addParticipants(createParticipants());
+    const indexOfC = globe.participantBuffer.indexOf('c');
+
+    assert.equal(globe.removeParticipantById('nan'), false);
+    globe.removeParticipant('a');
+    assert.equal(globe.state.participantCount, 2);
+    assert.equal(globe.getParticipantById('a'), undefined);
+    assert.equal(globe.participantBuffer.indexOf('a'), -1);
+    assert.equal(globe.participantBuffer.indexOf('c'), indexOfC);
+    assertVertexAt(globe, '7', 52.52, 13.4);
+    assertVertexAt(globe, 'c', -90, 180);
+    assert.equal(globe.getParticipantByPointIndex(indexOfC).id, 'c');
+
+    assert.ok(globe.addParticipantToLayer({ id: 'd', name: 'Дина', latitude: 0, longitude: 0 }));
+    assertVertexAt(globe, 'd', 0, 0);
+    assertVertexAt(globe, 'c', -90, 180);
+    assert.equal(globe.state.participantCount, 3);
+});
@@ -0,0 +1,58 @@
+// Тесты поиска участников: транслитерация, качество совпадения и ранжирование
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globeModule, TestGlobe } from './globe-test-setup.mjs';
+
+const { tokenizeSearchText, scoreSearchToken, scoreSearchEntry } = globeModule;
+
+test('tokenizeSearchText приводит кириллицу и варианты латиницы к одной записи', () => {
+    ['Юлия', 'Yulia', 'Julia', 'Yuliya', 'ЮЛИЯ'].forEach(name => {
+        assert.deepEqual(tokenizeSearchText(name), ['iulia'], name);
+    });
+    assert.deepEqual(tokenizeSearchText('Хабаровск'), tokenizeSearchText('Khabarovsk'));
+    assert.deepEqual(tokenizeSearchText('Щукин'), tokenizeSearchText('Schukin'));
+    assert.deepEqual(tokenizeSearchText('Crème Brûlée'), tokenizeSearchText('creme brulee'), 'диакритика');
+    assert.deepEqual(tokenizeSearchText('Анна'), tokenizeSearchText('Ana'), 'удвоенные буквы');
+});
+
+test('tokenizeSearchText делит текст на слова и принимает массивы', () => {
+    assert.deepEqual(tokenizeSearchText('  JavaScript,  Blazor/C# '), ['iavascript', 'blazor', 'c']);
+    assert.deepEqual(tokenizeSearchText(['Три', 'JS']), ['tri', 'is']);
+    assert.deepEqual(tokenizeSearchText(2024), ['2024']);
+    assert.deepEqual(tokenizeSearchText(null), []);
+    assert.deepEqual(tokenizeSearchText(undefined), []);
+    assert.deepEqual(tokenizeSearchText(' ,. '), []);
+});
+
+test('scoreSearchToken: слово, начало слова, часть слова, опечатка', () => {
+    const tokens = tokenizeSearchText('Санкт-Петербург');
+    assert.equal(scoreSearchToken('peterburg', tokens), 3);
+    assert.equal(scoreSearchToken('pet', tokens), 2);
+    assert.equal(scoreSearchToken('erb', tokens), 1);
+    assert.equal(scoreSearchToken('er', tokens), 0, 'часть слова короче 3 символов не считается');
+    assert.equal(scoreSearchToken('peterbur', tokens), 2);
+    assert.equal(scoreSearchToken('peterbuorg', tokens), 0.5, 'одна лишняя буква');
+    assert.equal(scoreSearchToken('peterbyrg', tokens), 0.5, 'одна замена');
+    assert.equal(scoreSearchToken('pitirburg', tokens), 0, 'две замены');
+});
+
+test('scoreSearchEntry требует каждое слово запроса и учитывает вес поля', () => {
+    const entry = { name: tokenizeSearchText('Анна Смирнова'), city: tokenizeSearchText('Москва'), country: [], skills: tokenizeSearchText('Анна Каренина'), lifeGoals: [], message: [] };
+
+    assert.deepEqual(scoreSearchEntry(entry, tokenizeSearchText('анна москва')), { score: 30 + 18, fields: ['name', 'city'] });
+    assert.equal(scoreSearchEntry(entry, tokenizeSearchText('анна берлин')), null);
+    assert.deepEqual(scoreSearchEntry(entry, tokenizeSearchText('каренина')).fields, ['skills']);
+});
+
+test('searchParticipants находит участника в другой записи и ставит совпадение в имени выше', () => {
+    const globe = new TestGlobe('test-globe');
+    globe.addParticipants([
+        { id: 'city', name: 'Иван', city: 'Julia Creek', latitude: -20.65, longitude: 141.74 },
+        { id: 'name', name: 'Yulia Petrova', city: 'Berlin', latitude: 52.52, longitude: 13.4 },
+        { id: 'none', name: 'Борис', city: 'Москва', latitude: 55.75, longitude: 37.62 }
+    ]);
+
+    assert.deepEqual(globe.searchParticipants('Юлия').map(result => result.id), ['name', 'city']);
+    assert.deepEqual(globe.searchParticipants('Юлия', { limit: 1 }).map(result => result.id), ['name']);
+    assert.deepEqual(globe.searchParticipants('   '), []);
+});
@@ -0,0 +1,70 @@
+// Тесты шкалы регистраций: порядок участников и пошаговое скрытие при перемотке
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestGlobe } from './globe-test-setup.mjs';
+
+const DAY = 86400000;
+const START = Date.UTC(2024, 0, 1);
+
+const createParticipants = () => [
+    { id: 'late', name: 'Поздний', latitude: 10, longitude: 10, registeredAt: '2024-01-03T00:00:00Z' },
+    { id: 'zoneless', name: 'Без пояса', latitude: 20, longitude: 20, registeredAt: '2024-01-02T00:00:00' },
+    { id: 'timestamp', name: 'Timestamp', latitude: 30, longitude: 30, timestamp: '2024-01-01T00:00:00Z' },
+    { id: 'invalid', name: 'Без даты', latitude: 40, longitude: 40, registeredAt: 'не дата' }
+];
+
+function createTimelineGlobe() {
+    const globe = new TestGlobe('test-globe');
+    globe.addParticipants(createParticipants());
+    globe.setTimelineMode(true);
+    return globe;
+}
+
+test('buildTimelineOrder сортирует по registeredAt или timestamp, время без пояса - UTC', () => {
+    const globe = createTimelineGlobe();
+    const { order, start, end } = globe.timeline;
+
+    assert.equal(start, START);
+    assert.equal(end, START + 2 * DAY);
+    assert.deepEqual(order.map(entry => entry.id).slice(2), ['zoneless', 'late']);
+    assert.deepEqual(order.slice(0, 2).map(entry => entry.id).sort(), ['invalid', 'timestamp']);
+    assert.equal(order.find(entry => entry.id === 'invalid').time, START, 'без даты - в начале шкалы');
+    assert.equal(order.find(entry => entry.id === 'zoneless').time, START + DAY);
+});
+
+test('buildTimelineOrder без дат не ломает шкалу', () => {
+    const globe = new TestGlobe('test-globe');
+    globe.addParticipants([{ id: 'a', name: 'А', latitude: 0, longitude: 0 }]);
+    globe.setTimelineMode(true);
+
+    assert.equal(globe.timeline.start, 0);
+    assert.equal(globe.timeline.end, 0);
+    assert.equal(globe.timeline.cursor, 1);
+});
+
+test('seekTimeline меняет скрытых на месте, без замены набора', () => {
+    const globe = createTimelineGlobe();
+    const hiddenIds = globe.timeline.hiddenIds;
+    assert.deepEqual([...hiddenIds].sort(), ['late', 'zoneless'], 'в начале шкалы видны только участники первого дня');
+
+    assert.ok(globe.seekTimeline(new Date(START + DAY).toISOString()));
+    assert.equal(globe.timeline.hiddenIds, hiddenIds);
+    assert.deepEqual([...hiddenIds], ['late']);
+    assert.equal(globe.timeline.cursor, 3);
+    assert.equal(globe.isParticipantHidden('zoneless'), false);
+    assert.equal(globe.isParticipantHidden('late'), true);
+
+    globe.seekTimeline(START + 2 * DAY);
+    assert.equal(hiddenIds.size, 0);
+    globe.seekTimeline(START);
+    assert.deepEqual([...hiddenIds].sort(), ['late', 'zoneless']);
+    assert.equal(globe.getTimelineState().count, 2);
+});
+
+test('выключение шкалы показывает всех участников', () => {
+    const globe = createTimelineGlobe();
+    globe.setTimelineMode(false);
+
+    assert.equal(globe.timeline.hiddenIds.size, 0);
+    ['late', 'zoneless', 'timestamp', 'invalid'].forEach(id => assert.equal(globe.isParticipantHidden(id), false, id));
+});
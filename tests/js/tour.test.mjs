@@ -0,0 +1,42 @@
+// Тесты тура по глобусу: разбор остановок и освобождение глобуса во время тура
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globeModule, TestGlobe } from './globe-test-setup.mjs';
+
+const { normalizeTourStop } = globeModule;
+
+test('normalizeTourStop принимает ID участника, участника и точку', () => {
+    const empty = { caption: null, zoom: null, dwell: null };
+    assert.deepEqual(normalizeTourStop('a'), { participantId: 'a', ...empty });
+    assert.deepEqual(normalizeTourStop(7), { participantId: '7', ...empty });
+    assert.deepEqual(normalizeTourStop({ participantId: 7, caption: 'Борис', dwell: 1000 }),
+        { participantId: '7', caption: 'Борис', zoom: null, dwell: 1000 });
+    assert.deepEqual(normalizeTourStop({ latitude: -90, longitude: 180, zoom: 1.5 }),
+        { latitude: -90, longitude: 180, caption: null, zoom: 1.5, dwell: null });
+});
+
+test('normalizeTourStop: ID участника важнее координат', () => {
+    assert.deepEqual(normalizeTourStop({ participantId: 'a', latitude: 10, longitude: 20 }),
+        { participantId: 'a', caption: null, zoom: null, dwell: null });
+});
+
+test('normalizeTourStop отклоняет остановки без участника и корректных координат', () => {
+    [null, undefined, true, {}, { participantId: null }, { latitude: 10 }, { latitude: NaN, longitude: 0 },
+        { latitude: '10', longitude: '20' }, { latitude: 91, longitude: 0 }, { latitude: 0, longitude: -180.5 }]
+        .forEach(stop => assert.equal(normalizeTourStop(stop), null, JSON.stringify(stop)));
+});
+
+test('dispose во время тура не вызывает события .NET', () => {
+    const globe = new TestGlobe('test-globe');
+    globe.addParticipants([{ id: 'a', name: 'Анна', latitude: 55.75, longitude: 37.62 }]);
+    assert.equal(globe.startTour(['a', { latitude: 0, longitude: 0 }]), 2);
+
+    const calls = [];
+    Object.keys(globe.callbacks).forEach(name => {
+        globe.callbacks[name] = () => calls.push(name);
+    });
+    globe.dispose();
+
+    assert.deepEqual(calls, []);
+    assert.equal(globe.getTourState().active, false);
+});
@@ -0,0 +1,48 @@
+// Тесты строки вида (formatViewState / parseViewState): разбор обратно и устойчивость к поврежденным ссылкам
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globeModule } from './globe-test-setup.mjs';
+
+const { formatViewState, parseViewState } = globeModule;
+
+test('строка вида разбирается обратно в тот же вид', () => {
+    const view = {
+        camera: { latitude: 55.7558, longitude: -37.6173, zoom: 1.75 },
+        layers: ['clouds', 'heatmap', 'choropleth'],
+        selection: ['a', 'Анна, Москва', 'x&y=z', '7'],
+        filter: { countries: ['Россия', 'Deutschland'], registeredTo: '2024-05-10', region: { north: 60, south: 50, west: 170, east: -170 } }
+    };
+
+    const text = formatViewState(view);
+    assert.doesNotMatch(text, /[^A-Za-z0-9%&=,.\-_]/, 'строка безопасна для URL');
+    assert.deepEqual(parseViewState(text), view);
+    assert.deepEqual(parseViewState(`#${text}`), view, 'строка из location.hash');
+});
+
+test('координаты камеры округляются, пустые слои и выбор сохраняются', () => {
+    const text = formatViewState({ camera: { latitude: 10.123456, longitude: 20.98766, zoom: 2.5004 }, layers: [], selection: [], filter: null });
+
+    assert.equal(text, 'c=10.1235,20.9877,2.500&l=');
+    assert.deepEqual(parseViewState(text), {
+        camera: { latitude: 10.1235, longitude: 20.9877, zoom: 2.5 },
+        layers: [],
+        selection: [],
+        filter: null
+    });
+});
+
+test('parseViewState пропускает неизвестные и поврежденные части', () => {
+    assert.deepEqual(parseViewState('c=91,0,2&l=clouds,unknown&f=не-base64!&x=1'), {
+        camera: null,
+        layers: ['clouds'],
+        selection: [],
+        filter: null
+    });
+    assert.deepEqual(parseViewState('c=10,20,-1').camera, { latitude: 10, longitude: 20, zoom: null }, 'некорректное расстояние - текущее');
+});
+
+test('parseViewState без известных частей возвращает null', () => {
+    ['', '#', 'x=1&y', null, undefined, 'c=abc,1,2'].forEach(text => {
+        assert.equal(parseViewState(text), null, String(text));
+    });
+});
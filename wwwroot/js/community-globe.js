@@ -54,1178 +54,7135 @@ initializeDependencies().then(success => {
 // Глобальный реестр экземпляров глобуса
 const globeInstances = new Map();
 
+// Максимальный угол (в радианах) между соседними вершинами линии на сфере,
+// более длинные отрезки дробятся, чтобы линия повторяла кривизну глобуса
+const MAX_SEGMENT_ANGLE = 2 * (Math.PI / 180);
+
 /**
- * Класс для создания и управления интерактивным 3D глобусом сообщества
- * Поддерживает добавление/удаление участников, настройку освещения,
- * управление камерой и визуализацию географических данных
+ * Сферическая интерполяция между двумя единичными векторами
+ * @param {{x:number,y:number,z:number}} a - Начальный вектор
+ * @param {{x:number,y:number,z:number}} b - Конечный вектор
+ * @param {number} t - Параметр интерполяции (0-1)
+ * @returns {{x:number,y:number,z:number}} Единичный вектор на дуге большого круга
  */
-class CommunityGlobe {
-    /**
-     * Конструктор 3D глобуса
-     * @param {string} containerId - ID HTML элемента-контейнера
-     * @param {Object} options - Настройки глобуса
-     */
-    constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = null; // Будет инициализирован позже
-
-        this.options = {
-            ...options,
-            width: 800,
-            height: 600,
-            backgroundColor: '#000011',
-            atmosphereColor: '#00aaff',
-            atmosphereOpacity: 0.2,
-            participantPointSize: 0.2,
-            participantPointColor: '#ffff00',
-            participantPointOffset: 0.02, // Расстояние точек от поверхности глобуса
-            highlightedPointColor: '#ff6600',
-            autoRotate: true,
-            autoRotateSpeed: 0.1,
-            enableMouseControls: true,
-            enableZoom: true,
-            minZoom: 0.5,
-            maxZoom: 4.0,
-            levelOfDetail: 2,
-            earthTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_daymap.jpg",
-            normalTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_normal_map.tif",
-            specularTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_specular_map.tif",
-            cloudsTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_clouds.jpg",
-            enableClouds: true,
-            cloudsOpacity: 0.1,
-            cloudsSpeed: 0.01,
-            enableAtmosphereGlow: true,
-            countryPointColor: '#ffffff',
-            countryPointSize: 0.1,
-            countryLineColor: '#444444',
-            countryLineWidth: 0.5,
-            // Настройки освещения
-            sunLightIntensity: 3.0,
-            sunLightColor: '#ffffff',
-            ambientLightIntensity: 4,
-            ambientLightColor: '#404040',
-            atmosphereLightIntensity: 1,
-            atmosphereLightColor: '#00aaff',
-        };
-
-        this.state = {
-            isInitialized: false,
-            isAutoRotating: this.options.autoRotate,
-            currentLod: this.options.levelOfDetail,
-            participantCount: 0,
-            countryCount: 0,
-            cameraPosition: { x: 0, y: 0, z: 2.5 },
-            cameraTarget: { x: 0, y: 0, z: 0 }
-        };
+function slerpUnitVectors(a, b, t) {
+    const dot = Math.min(1, Math.max(-1, a.x * b.x + a.y * b.y + a.z * b.z));
+    const angle = Math.acos(dot);
+    if (angle < 1e-6) {
+        return { x: a.x, y: a.y, z: a.z };
+    }
+    const sinAngle = Math.sin(angle);
+    const wa = Math.sin((1 - t) * angle) / sinAngle;
+    const wb = Math.sin(t * angle) / sinAngle;
+    return {
+        x: a.x * wa + b.x * wb,
+        y: a.y * wa + b.y * wb,
+        z: a.z * wa + b.z * wb
+    };
+}
 
-        this.scene = null;
-        this.camera = null;
-        this.renderer = null;
-        this.controls = null;
-        this.earthGroup = null;
-        this.atmosphere = null;
-        this.clouds = null;
-        this.participantPoints = [];
-        this.participantLabels = [];
-        this.countryPolygons = [];
-        this.raycaster = null;
-        this.mouse = { x: 0, y: 0 };
-        this.animationId = null;
-        this.clock = null;
-        this.pointMetadata = new Map();
-        this.callbacks = { // Инициализация callbacks
-            onGlobeReady: null,
-            onError: null,
-            onParticipantClick: null
-        };
+/**
+ * Единичный вектор, перпендикулярный данному - опорная точка для дуги между противоположными точками,
+ * где дуга большого круга не определена
+ * @param {{x:number,y:number,z:number}} a - Единичный вектор
+ * @returns {{x:number,y:number,z:number}}
+ */
+function perpendicularUnitVector(a) {
+    const axis = Math.abs(a.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+    const along = axis.x * a.x + axis.y * a.y + axis.z * a.z;
+    const perpendicular = { x: axis.x - along * a.x, y: axis.y - along * a.y, z: axis.z - along * a.z };
+    const length = Math.hypot(perpendicular.x, perpendicular.y, perpendicular.z);
+    return { x: perpendicular.x / length, y: perpendicular.y / length, z: perpendicular.z / length };
+}
 
-        console.log(`🔧 Создание глобуса для контейнера: ${containerId}`);
-        this.init();
+/**
+ * Строит дугу большого круга между двумя единичными векторами, приподнятую над сферой
+ * Высота подъема пропорциональна синусу параметра дуги, поэтому концы лежат на радиусе radius
+ * @param {{x:number,y:number,z:number}} a - Начало дуги (единичный вектор)
+ * @param {{x:number,y:number,z:number}} b - Конец дуги (единичный вектор)
+ * @param {number} radius - Радиус концов дуги
+ * @param {number} lift - Подъем середины дуги над radius
+ * @returns {{positions: Float32Array, progress: Float32Array, angle: number}} Вершины, доля пути для каждой вершины и угол дуги
+ */
+function buildArcPoints(a, b, radius, lift) {
+    const dot = Math.min(1, Math.max(-1, a.x * b.x + a.y * b.y + a.z * b.z));
+    const angle = Math.acos(dot);
+
+    // Для почти противоположных точек дуга большого круга не определена - ведем ее через перпендикуляр
+    const mid = Math.PI - angle < 1e-3 ? perpendicularUnitVector(a) : null;
+
+    const segments = Math.max(8, Math.ceil(angle / MAX_SEGMENT_ANGLE));
+    const positions = new Float32Array((segments + 1) * 3);
+    const progress = new Float32Array(segments + 1);
+    for (let i = 0; i <= segments; i++) {
+        const t = i / segments;
+        const point = mid
+            ? (t < 0.5 ? slerpUnitVectors(a, mid, t * 2) : slerpUnitVectors(mid, b, t * 2 - 1))
+            : slerpUnitVectors(a, b, t);
+        const r = radius + lift * Math.sin(Math.PI * t);
+        positions[i * 3] = point.x * r;
+        positions[i * 3 + 1] = point.y * r;
+        positions[i * 3 + 2] = point.z * r;
+        progress[i] = t;
     }
+    return { positions, progress, angle };
+}
 
-    /**
-     * Асинхронная инициализация глобуса
-     * Создает сцену, камеру, освещение, загружает текстуры
-     * @returns {Promise<void>}
-     */
-    async init() {
-        try {
-            // Ждем загрузки зависимостей
-            let attempts = 0;
-            while (!dependenciesLoaded && attempts < 50) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                attempts++;
-            }
+// Длительность перелета камеры растет с его углом от минимальной до максимальной (мс)
+const CAMERA_FLIGHT_MIN_DURATION = 600;
+const CAMERA_FLIGHT_MAX_DURATION = 2400;
 
-            if (!dependenciesLoaded) {
-                throw new Error('Не удалось загрузить зависимости Three.js');
-            }
+// Подъем камеры в середине перелета на противоположную сторону глобуса (доля расстояния до центра);
+// на коротких перелетах подъем пропорционально меньше
+const CAMERA_FLIGHT_ARC_LIFT = 0.6;
 
-            if (!this.isWebGLSupported()) {
-                throw new Error('WebGL is not supported in this browser');
-            }
+const easeInOutCubic = t => (t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1);
 
-            this.setupScene();
-            this.createEarth();
-            this.createAtmosphere();
-            this.createClouds();
-            this.setupLighting();
-            this.setupControls();
-            this.setupEventListeners();
+// Число дискретных уровней радиуса кластеров между minZoom и maxZoom:
+// кластеры пересчитываются только при переходе камеры на другой уровень
+const CLUSTER_ZOOM_LEVELS = 16;
 
-            this.state.isInitialized = true;
+// Минимальная высота камеры над поверхностью, учитываемая при кластеризации:
+// minZoom может быть меньше радиуса Земли, а подлетать к кластеру внутрь сферы нельзя
+const CLUSTER_MIN_ALTITUDE = 0.15;
 
-            console.log(`🌍 Глобус ${this.containerId} инициализирован и готов к работе`);
-            console.log(`📊 Состояние глобуса ${this.containerId}:`, this.state);
+/**
+ * Жадно группирует точки на единичной сфере: каждая еще не занятая точка
+ * забирает всех свободных соседей в пределах угла angle.
+ * Соседи ищутся по 3D-сетке с ячейкой, равной хорде этого угла,
+ * поэтому полюса и антимеридиан не требуют отдельной обработки
+ * @param {Array<{x:number,y:number,z:number}>} points - Единичные векторы точек
+ * @param {number} angle - Радиус кластера в радианах
+ * @returns {Array<Array<number>>} Группы индексов точек, первый индекс - затравка группы
+ */
+function groupPointsByAngle(points, angle) {
+    const cellSize = Math.max(2 * Math.sin(angle / 2), 1e-6);
+    const minDot = Math.cos(angle);
+    const cellKey = (x, y, z) => `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)},${Math.floor(z / cellSize)}`;
+
+    const grid = new Map();
+    points.forEach((point, index) => {
+        const key = cellKey(point.x, point.y, point.z);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+    });
 
-            this.animate();
-            
-            // Вызываем callback после задержки
-            setTimeout(() => {
-                if (this.callbacks.onGlobeReady) {
-                    console.log(`📞 Вызов callback onGlobeReady для ${this.containerId}`);
-                    this.callbacks.onGlobeReady(this.state);
-                } else {
-                    console.log(`⚠️ Callback не установлен для ${this.containerId}`);
+    const assigned = new Uint8Array(points.length);
+    const groups = [];
+    points.forEach((seed, seedIndex) => {
+        if (assigned[seedIndex]) return;
+        assigned[seedIndex] = 1;
+        const group = [seedIndex];
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const cell = grid.get(cellKey(seed.x + dx * cellSize, seed.y + dy * cellSize, seed.z + dz * cellSize));
+                    if (!cell) continue;
+                    cell.forEach(index => {
+                        const point = points[index];
+                        if (!assigned[index] && seed.x * point.x + seed.y * point.y + seed.z * point.z >= minDot) {
+                            assigned[index] = 1;
+                            group.push(index);
+                        }
+                    });
                 }
-            }, 200);
-        } catch (error) {
-            console.error('Failed to initialize globe:', error);
-            if (this.callbacks.onError) {
-                this.callbacks.onError(error.message);
             }
-            throw error;
-        }
-    }
-
-    /**
-     * Проверяет поддержку WebGL в браузере
-     * @returns {boolean} true если WebGL поддерживается
-     */
-    isWebGLSupported() {
-        try {
-            const canvas = document.createElement('canvas');
-            return !!(window.WebGLRenderingContext &&
-                (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
-        } catch (e) {
-            return false;
         }
-    }
+        groups.push(group);
+    });
+    return groups;
+}
 
-    getContainer(maxAttempts = 50, delayMs = 100) {
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-            const container = document.getElementById(this.containerId);
-            if (container) {
-                console.log(`Container found on attempt ${attempt}`);
-                return container;
-            }
+// Начало эпохи J2000.0 (2000-01-01 12:00 UTC) в миллисекундах Unix-времени
+const J2000_EPOCH_MS = Date.UTC(2000, 0, 1, 12, 0, 0);
 
-            if (attempt < maxAttempts) {
-                // Ждем перед следующей попыткой
-                // Используем промис для асинхронного ожидания
-                const startTime = Date.now();
-                while (Date.now() - startTime < delayMs) {
-                    // Busy wait для синхронного выполнения
-                }
-            }
-        }
+// Положение солнца в режиме реального времени пересчитывается не чаще этого интервала (мс)
+const SUN_UPDATE_INTERVAL = 1000;
 
-        console.error(`Container with id '${this.containerId}' not found after ${maxAttempts} attempts`);
-        return null;
-    }
+/**
+ * Вычисляет подсолнечную точку - место, где солнце в зените в заданный момент
+ * Широта равна склонению солнца, долгота - часовому углу солнца относительно Гринвича с обратным знаком.
+ * Используются упрощенные формулы Астрономического альманаха (точность около 0.01°)
+ * @param {Date} date - Момент времени (UTC)
+ * @returns {{latitude: number, longitude: number}}
+ */
+function computeSubsolarPoint(date) {
+    const toRad = Math.PI / 180;
+    const days = (date.getTime() - J2000_EPOCH_MS) / 86400000;
 
-    setupScene() {
-        console.log('🔧 setupScene: начало для контейнера', this.containerId);
-        console.log('🔍 Проверка THREE.js:', typeof THREE);
-        if (typeof THREE === 'undefined') {
-            console.error('❌ Three.js не загружен. setupScene не может быть выполнен.');
-            throw new Error('Three.js не загружен. setupScene не может быть выполнен.');
-        }
+    const meanLongitude = 280.460 + 0.9856474 * days;
+    const meanAnomaly = (357.528 + 0.9856003 * days) * toRad;
+    const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * toRad;
+    const obliquity = (23.439 - 0.0000004 * days) * toRad;
 
-        this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(this.options.backgroundColor);
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+    const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude)) / toRad;
 
-        const aspect = this.options.width / this.options.height;
-        this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
-        this.camera.position.set(
-            this.state.cameraPosition.x,
-            this.state.cameraPosition.y,
-            this.state.cameraPosition.z
-        );
+    // Гринвичский часовой угол солнца = звездное время Гринвича - прямое восхождение
+    const siderealTime = 280.46061837 + 360.98564736629 * days;
+    const hourAngle = siderealTime - rightAscension;
+    const longitude = ((-hourAngle % 360) + 540) % 360 - 180;
 
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(this.options.width, this.options.height);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    return { latitude: declination / toRad, longitude };
+}
 
-        console.log('🔍 Поиск контейнера:', this.containerId);
-        this.container = this.getContainer();
-        console.log('📦 Контейнер найден:', this.container);
-        console.log('📦 Контейнер DOM элемент:', this.container?.tagName, this.container?.id);
+// Часы начала периодов суток по местному времени участника
+const DEFAULT_DAY_PERIODS = { morning: 6, working: 9, evening: 18, night: 22 };
 
-        if (!this.container) {
-            console.error('❌ Контейнер не найден для ID:', this.containerId);
-            throw new Error(`Container with id '${this.containerId}' not found after multiple attempts`);
-        }
+// Цвета точек участников по периоду суток
+const DEFAULT_DAY_PERIOD_COLORS = { night: '#3f51b5', morning: '#ffca28', working: '#66bb6a', evening: '#ff7043' };
 
-        console.log('🧹 Селективная очистка старых Three.js canvas элементов');
-        console.log('📦 Контейнер перед очисткой:', this.container?.tagName, this.container?.id);
-        console.log('📦 Дочерних элементов в контейнере:', this.container?.childNodes?.length || 0);
+// Цвета по местному времени в режиме реального времени пересчитываются не чаще этого интервала (мс)
+const LOCAL_TIME_UPDATE_INTERVAL = 10000;
 
-        // Удаляем только старые canvas элементы Three.js, но сохраняем другие элементы Blazor
-        if (this.container && this.container.childNodes) {
-            const canvasElements = this.container.querySelectorAll('canvas');
-            console.log('🧹 Найдено canvas элементов для удаления:', canvasElements.length);
+// Форматтеры местного времени по IANA-часовому поясу
+const timeZoneFormatters = new Map();
 
-            canvasElements.forEach((canvas, index) => {
-                console.log(`🧹 Удаление canvas элемента ${index}:`, canvas);
-                this.container.removeChild(canvas);
-            });
+/**
+ * Возвращает местное время участника в часах (0-24)
+ * Если у участника указан IANA-часовой пояс (timeZone), время берется из Intl,
+ * иначе используется номинальный пояс по долготе (UTC + долгота / 15, с округлением до часа)
+ * @param {Object} participant - Данные участника с координатами
+ * @param {Date} date - Момент времени (UTC)
+ * @returns {number} Местное время в часах
+ */
+function getLocalHours(participant, date) {
+    if (participant.timeZone) {
+        if (!timeZoneFormatters.has(participant.timeZone)) {
+            let formatter = null;
+            try {
+                formatter = new Intl.DateTimeFormat('en-GB', {
+                    timeZone: participant.timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+                });
+            } catch (error) {
+                console.warn(`⚠️ Неизвестный часовой пояс ${participant.timeZone}, используем долготу`);
+            }
+            timeZoneFormatters.set(participant.timeZone, formatter);
+        }
 
-            console.log('✅ Старые canvas элементы удалены');
+        const formatter = timeZoneFormatters.get(participant.timeZone);
+        if (formatter) {
+            const parts = formatter.formatToParts(date);
+            const part = type => Number(parts.find(item => item.type === type).value);
+            return part('hour') + part('minute') / 60;
         }
+    }
 
-        console.log('📦 Контейнер готов для добавления нового renderer');
+    const offset = Math.max(-12, Math.min(12, Math.round(participant.longitude / 15)));
+    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60;
+    return ((utcHours + offset) % 24 + 24) % 24;
+}
 
-        console.log('➕ Добавление renderer в контейнер');
-        this.container.appendChild(this.renderer.domElement);
-        console.log('✅ Renderer добавлен в контейнер', this.containerId);
+/**
+ * Определяет период суток по местному времени
+ * @param {number} hours - Местное время в часах
+ * @param {Object} periods - Часы начала периодов (см. DEFAULT_DAY_PERIODS)
+ * @returns {string} night, morning, working или evening
+ */
+function getDayPeriod(hours, periods) {
+    if (hours >= periods.night || hours < periods.morning) return 'night';
+    if (hours < periods.working) return 'morning';
+    if (hours < periods.evening) return 'working';
+    return 'evening';
+}
 
-        this.earthGroup = new THREE.Group();
-        this.scene.add(this.earthGroup);
+// Операторы условий в правилах стиля участников
+const STYLE_CONDITION_OPERATORS = ['equals', 'in', 'contains', 'lt', 'lte', 'gt', 'gte', 'exists'];
 
-        this.raycaster = new THREE.Raycaster();
-        this.raycaster.params.Points.threshold = 0.1;
+/**
+ * Время в мс из числа, Date или строки даты
+ * Дата и время без часового пояса считаются UTC, а не местным временем браузера: так сериализуются
+ * DateTime с Kind = Unspecified (например, из поля даты Blazor), а registeredAt хранится в UTC
+ * @param {*} value
+ * @returns {number} Время в мс или NaN
+ */
+function parseUtcTime(value) {
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value !== 'string') return NaN;
+    const text = value.trim();
+    return Date.parse(/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text) ? `${text}Z` : text);
+}
 
-        this.clock = new THREE.Clock();
-        console.log('🔧 setupScene: завершено для контейнера', this.containerId);
+/**
+ * Исключающая верхняя граница диапазона дат (см. parseUtcTime)
+ * Дата без времени или полночь означает весь этот день: так приходит DateTime из поля даты,
+ * и участники, зарегистрированные в последний день диапазона, не должны пропадать
+ * @param {*} value - Конец диапазона включительно
+ * @returns {number} Время в мс, с которого участники уже не попадают в диапазон, или NaN
+ */
+function parseRangeEnd(value) {
+    const time = parseUtcTime(value);
+    const wholeDay = typeof value === 'string'
+        ? /^\d{4}-\d{2}-\d{2}(T00:00(:00(\.0+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value.trim())
+        : time % 86400000 === 0;
+    // Время в мс целое, поэтому граница "time включительно" - это "time + 1 исключительно"
+    return wholeDay ? time + 86400000 : time + 1;
+}
+
+/**
+ * Значение поля участника для правил стиля
+ * Кроме полей участника (в том числе вложенных через точку) доступно вычисляемое
+ * registrationAgeDays - сколько дней прошло с registeredAt/timestamp
+ * @param {Object} participant - Данные участника
+ * @param {string} field - Имя поля
+ * @param {number} now - Текущее время (мс)
+ * @returns {*} Значение или undefined
+ */
+function getStyleFieldValue(participant, field, now) {
+    if (field === 'registrationAgeDays') {
+        const registered = participant.registeredAt ?? participant.timestamp;
+        const time = parseUtcTime(registered);
+        return registered === null || registered === undefined || isNaN(time) ? undefined : (now - time) / 86400000;
     }
+    return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), participant);
+}
 
-    createEarth() {
-        const earthGeometry = new THREE.SphereGeometry(1, 128, 128); // Увеличиваем количество сегментов
-        const textureLoader = new THREE.TextureLoader();
+/**
+ * Проверяет значение поля по условию правила; все операторы условия должны выполняться
+ * Строки сравниваются без учета регистра, contains ищет подстроку в строке или элемент в массиве
+ * @param {*} value - Значение поля
+ * @param {Object} condition - { field, equals?, in?, contains?, lt?, lte?, gt?, gte?, exists? }
+ * @returns {boolean}
+ */
+function matchesStyleCondition(value, condition) {
+    const normalize = item => (typeof item === 'string' ? item.toLowerCase() : item);
+    const same = (a, b) => a !== null && a !== undefined && normalize(String(a)) === normalize(String(b));
+    const present = value !== null && value !== undefined && value !== '';
+
+    return STYLE_CONDITION_OPERATORS.every(operator => {
+        if (!(operator in condition)) return true;
+        const expected = condition[operator];
+        switch (operator) {
+            case 'equals':
+                return same(value, expected);
+            case 'in':
+                return Array.isArray(expected) && expected.some(item => same(value, item));
+            case 'contains':
+                if (Array.isArray(value)) return value.some(item => same(item, expected));
+                return typeof value === 'string' && value.toLowerCase().includes(String(expected).toLowerCase());
+            case 'lt':
+                return typeof value === 'number' && value < expected;
+            case 'lte':
+                return typeof value === 'number' && value <= expected;
+            case 'gt':
+                return typeof value === 'number' && value > expected;
+            case 'gte':
+                return typeof value === 'number' && value >= expected;
+            case 'exists':
+                return present === !!expected;
+            default:
+                return true;
+        }
+    });
+}
 
-        console.log('🌍 Загрузка текстур глобуса:');
-        console.log('Основная текстура:', this.options.earthTextureUrl);
-        console.log('Карта нормалей:', this.options.normalTextureUrl);
-        console.log('Карта спекуляции:', this.options.specularTextureUrl);
+/**
+ * Проверяет спецификацию стиля участников и приводит ее к виду для resolveParticipantStyle
+ * Спецификация: { rules: [{ when, color?, size?, scale?, icon? }], icons?: { url, columns, rows, names } }
+ * when - условие или массив условий (все должны выполняться); правило без when подходит всем.
+ * Подходящие правила применяются по порядку, более позднее перекрывает заданные им свойства
+ * @param {Object|null} spec - Спецификация стиля
+ * @returns {Object|null} Правила и атлас иконок или null, если стиль не задан
+ */
+function compileParticipantStyle(spec) {
+    if (!spec || typeof spec !== 'object') return null;
+
+    const rules = (Array.isArray(spec.rules) ? spec.rules : []).filter(rule => {
+        const conditions = rule && rule.when === undefined ? [] : [].concat(rule && rule.when);
+        const valid = conditions.every(condition => condition && typeof condition.field === 'string');
+        if (!valid) {
+            console.warn('⚠️ Пропускаем правило стиля без поля в условии:', rule);
+        }
+        return valid;
+    }).map(rule => ({
+        conditions: rule.when === undefined ? [] : [].concat(rule.when),
+        color: rule.color ?? null,
+        size: typeof rule.size === 'number' ? rule.size : null,
+        scale: typeof rule.scale === 'number' ? rule.scale : null,
+        icon: rule.icon ?? null
+    }));
+
+    const icons = spec.icons && spec.icons.url ? {
+        url: spec.icons.url,
+        columns: Math.max(1, spec.icons.columns || 1),
+        rows: Math.max(1, spec.icons.rows || 1),
+        names: spec.icons.names || {}
+    } : null;
+
+    return { rules, icons };
+}
 
-        // Загружаем текстуры асинхронно для избежания блокировок
-        const loadTexture = (url) => {
-            if (!url) return null;
-            try {
-                console.log('Загрузка текстуры:', url);
-                return textureLoader.load(url);
-            } catch (error) {
-                console.error('Ошибка загрузки текстуры:', url, error);
-                return null;
-            }
-        };
+// Длительность исчезновения и появления точек при смене фильтра (мс)
+const FILTER_FADE_DURATION = 400;
 
-        const earthMaterial = new THREE.MeshStandardMaterial({
-            map: loadTexture(this.options.earthTextureUrl),
-            normalMap: loadTexture(this.options.normalTextureUrl),
-            roughnessMap: loadTexture(this.options.specularTextureUrl),
-            roughness: 0.8,
-            metalness: 0.1
-        });
+/**
+ * Собирает из спецификации фильтра функцию проверки участника
+ * Спецификация (все заданные части должны выполняться):
+ *   equals: { поле: значение } - равенство полей без учета регистра
+ *   skills, lifeGoals: подстрока в навыках и целях
+ *   countries: список стран
+ *   registeredFrom, registeredTo: диапазон даты регистрации (registeredAt или timestamp) включительно; время без
+ *     часового пояса - UTC, registeredTo без времени (или в полночь) включает весь этот день
+ *   region: { north, south, west, east } - область; west > east - область через линию перемены дат
+ *   conditions: условия в формате правил стиля ({ field, equals, in, contains, lt, ... })
+ * @param {Object|null} spec - Спецификация фильтра
+ * @returns {function(Object, number): boolean|null} Проверка (участник, текущее время) или null без фильтра
+ */
+function compileParticipantFilter(spec) {
+    if (!spec || typeof spec !== 'object') return null;
 
-        const earth = new THREE.Mesh(earthGeometry, earthMaterial);
-        this.earthGroup.add(earth);
-        this.earthRotation = 0;
+    const conditions = [];
+    Object.entries(spec.equals || {}).forEach(([field, value]) => conditions.push({ field, equals: value }));
+    ['skills', 'lifeGoals'].forEach(field => {
+        if (spec[field]) conditions.push({ field, contains: spec[field] });
+    });
+    if (Array.isArray(spec.countries) && spec.countries.length > 0) {
+        conditions.push({ field: 'country', in: spec.countries });
+    }
+    if (Array.isArray(spec.conditions)) {
+        conditions.push(...spec.conditions.filter(condition => condition && typeof condition.field === 'string'));
     }
 
-    createAtmosphere() {
-        if (!this.options.enableAtmosphereGlow) return;
+    const from = spec.registeredFrom ? parseUtcTime(spec.registeredFrom) : NaN;
+    const to = spec.registeredTo ? parseRangeEnd(spec.registeredTo) : NaN;
+    const region = spec.region && ['north', 'south', 'west', 'east'].every(key => typeof spec.region[key] === 'number')
+        ? spec.region
+        : null;
 
-        const atmosphereGeometry = new THREE.SphereGeometry(1.05, 128, 128);
-        const atmosphereMaterial = new THREE.MeshPhongMaterial({
-            color: this.options.atmosphereColor,
-            transparent: true,
-            opacity: this.options.atmosphereOpacity,
-            side: THREE.BackSide
-        });
+    return (participant, now) => {
+        if (!conditions.every(condition => matchesStyleCondition(getStyleFieldValue(participant, condition.field, now), condition))) {
+            return false;
+        }
 
-        this.atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
-        this.earthGroup.add(this.atmosphere);
-    }
+        if (!isNaN(from) || !isNaN(to)) {
+            const time = parseUtcTime(participant.registeredAt ?? participant.timestamp);
+            if (isNaN(time) || time < from || time >= to) return false;
+        }
 
-    createClouds() {
-        if (!this.options.enableClouds || !this.options.cloudsTextureUrl) return;
+        if (region) {
+            const { latitude, longitude } = participant;
+            if (latitude < region.south || latitude > region.north) return false;
+            const insideLongitude = region.west <= region.east
+                ? longitude >= region.west && longitude <= region.east
+                : longitude >= region.west || longitude <= region.east;
+            if (!insideLongitude) return false;
+        }
+        return true;
+    };
+}
 
-        const cloudsGeometry = new THREE.SphereGeometry(1.01, 128, 128);
-        const textureLoader = new THREE.TextureLoader();
+// Транслитерация кириллицы для поиска: имена в сообществе пишут и кириллицей, и латиницей
+const CYRILLIC_TO_LATIN = {
+    а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', є: 'ye', ж: 'zh', з: 'z', и: 'i', і: 'i',
+    к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+    х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+// Сведение вариантов латинской записи к одному виду: Юлия, Yuliya и Julia дают iulia
+const LATIN_SEARCH_FOLDS = [
+    [/kh/g, 'h'], [/ph/g, 'f'], [/ck/g, 'k'], [/x/g, 'ks'], [/w/g, 'v'], [/q/g, 'k'], [/[jy]/g, 'i'], [/([a-z])\1+/g, '$1']
+];
+
+// Поля участника, по которым идет поиск, и их вес в ранжировании
+const SEARCH_FIELDS = [
+    { field: 'name', weight: 10 },
+    { field: 'city', weight: 6 },
+    { field: 'country', weight: 5 },
+    { field: 'skills', weight: 3 },
+    { field: 'lifeGoals', weight: 2 },
+    { field: 'message', weight: 1 }
+];
+
+const DEFAULT_SEARCH_LIMIT = 20;
 
-        console.log('☁️ Загрузка текстуры облаков:', this.options.cloudsTextureUrl);
+/**
+ * Разбивает текст на слова в единой латинской записи
+ * Регистр, диакритика и способ транслитерации не влияют на результат
+ * @param {string|string[]|null} text - Текст или массив строк
+ * @returns {string[]}
+ */
+function tokenizeSearchText(text) {
+    if (text === null || text === undefined) return [];
+    let folded = (Array.isArray(text) ? text.join(' ') : String(text))
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u0400-\u04ff]/g, char => CYRILLIC_TO_LATIN[char] ?? char);
+    LATIN_SEARCH_FOLDS.forEach(([pattern, replacement]) => {
+        folded = folded.replace(pattern, replacement);
+    });
+    return folded.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
 
-        const loadCloudTexture = (url) => {
-            if (!url) return null;
-            try {
-                console.log('Загрузка облаков:', url);
-                return textureLoader.load(url);
-            } catch (error) {
-                console.error('Ошибка загрузки облаков:', url, error);
-                return null;
-            }
-        };
+/**
+ * Проверяет, что строки отличаются не более чем одной вставкой, удалением или заменой символа
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isWithinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    if (a.length < b.length) [a, b] = [b, a];
+
+    let i = 0;
+    while (i < b.length && a[i] === b[i]) i++;
+    const skip = a.length === b.length ? 1 : 0;
+    return a.slice(i + 1) === b.slice(i + skip);
+}
 
-        const cloudsMaterial = new THREE.MeshPhongMaterial({
-            map: loadCloudTexture(this.options.cloudsTextureUrl),
-            transparent: true,
-            opacity: this.options.cloudsOpacity
-        });
+/**
+ * Качество совпадения слова запроса со словами поля
+ * @param {string} query - Слово запроса
+ * @param {string[]} tokens - Слова поля
+ * @returns {number} 3 - слово целиком, 2 - начало слова, 1 - часть слова, 0.5 - опечатка, 0 - нет совпадения
+ */
+function scoreSearchToken(query, tokens) {
+    let best = 0;
+    for (const token of tokens) {
+        if (token === query) return 3;
+        if (token.startsWith(query)) {
+            best = Math.max(best, 2);
+        } else if (query.length >= 3 && token.includes(query)) {
+            best = Math.max(best, 1);
+        } else if (query.length >= 5 && isWithinOneEdit(query, token)) {
+            best = Math.max(best, 0.5);
+        }
+    }
+    return best;
+}
 
-        this.clouds = new THREE.Mesh(cloudsGeometry, cloudsMaterial);
-        this.earthGroup.add(this.clouds);
-        this.cloudRotation = 0;
+/**
+ * Оценивает участника по запросу: каждое слово запроса должно найтись хотя бы в одном поле
+ * @param {Object} entry - Запись индекса: поле → слова
+ * @param {string[]} queryTokens - Слова запроса
+ * @returns {{score: number, fields: string[]}|null} null если участник не подходит
+ */
+function scoreSearchEntry(entry, queryTokens) {
+    let score = 0;
+    const fields = new Set();
+    for (const query of queryTokens) {
+        let best = 0;
+        let bestField = null;
+        SEARCH_FIELDS.forEach(({ field, weight }) => {
+            const quality = scoreSearchToken(query, entry[field]) * weight;
+            if (quality > best) {
+                best = quality;
+                bestField = field;
+            }
+        });
+        if (best === 0) return null;
+        score += best;
+        fields.add(bestField);
     }
+    return { score, fields: Array.from(fields) };
+}
 
-    setupLighting() {
-        console.log('💡 Настройка освещения глобуса:');
-        console.log('Яркость солнца:', this.options.sunLightIntensity);
-        console.log('Цвет солнца:', this.options.sunLightColor);
-        console.log('Яркость окружения:', this.options.ambientLightIntensity);
-        console.log('Цвет окружения:', this.options.ambientLightColor);
+// Атлас аватаров: квадратная текстура, разбитая на ячейки (2048 / 64 = 32 × 32 = 1024 аватара)
+const AVATAR_ATLAS_SIZE = 2048;
+const AVATAR_CELL_SIZE = 64;
 
-        // Преобразуем цвет из hex в Color
-        const sunColor = new THREE.Color(this.options.sunLightColor);
-        const ambientColor = new THREE.Color(this.options.ambientLightColor);
-        const atmosphereColor = new THREE.Color(this.options.atmosphereLightColor);
+/**
+ * Инициалы для аватара-заглушки: первые буквы двух первых слов имени
+ * @param {string} name - Имя участника
+ * @returns {string}
+ */
+function getInitials(name) {
+    const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return '?';
+    return words.slice(0, 2).map(word => word.charAt(0).toUpperCase()).join('');
+}
 
-        const sunLight = new THREE.DirectionalLight(sunColor, this.options.sunLightIntensity);
-        sunLight.position.set(5, 3, 5);
-        sunLight.castShadow = true;
-        this.scene.add(sunLight);
+// Длительность проигрывания всей шкалы регистраций при скорости 1 (секунды)
+const DEFAULT_TIMELINE_DURATION = 20;
 
-        const ambientLight = new THREE.AmbientLight(ambientColor, this.options.ambientLightIntensity);
-        this.scene.add(ambientLight);
+// Длительность появления точки участника при проигрывании шкалы (мс)
+const TIMELINE_APPEAR_DURATION = 600;
 
-        const atmosphereLight = new THREE.PointLight(atmosphereColor, this.options.atmosphereLightIntensity, 100);
-        atmosphereLight.position.set(0, 0, 3);
-        this.scene.add(atmosphereLight);
-    }
+// Интервал между вызовами onTimelineTick во время проигрывания (мс)
+const TIMELINE_TICK_INTERVAL = 250;
 
-    setupControls() {
-        if (!this.options.enableMouseControls) return;
+// Шаг поворота камеры стрелками (градусы), множитель расстояния клавишами +/- и длительность этих перелетов (мс)
+const KEYBOARD_ROTATE_STEP = 10;
+const KEYBOARD_ZOOM_FACTOR = 1.15;
+const KEYBOARD_FLIGHT_DURATION = 250;
 
-        if (typeof OrbitControls === 'undefined') {
-            console.error('OrbitControls не загружен');
-            return;
-        }
+// Скрытый список участников для экранных дикторов перестраивается не чаще этого интервала (мс)
+const ACCESSIBLE_LIST_INTERVAL = 1000;
 
-        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
-        this.controls.enableDamping = true;
-        this.controls.dampingFactor = 0.05;
-        this.controls.enableZoom = this.options.enableZoom;
-        this.controls.minDistance = this.options.minZoom;
-        this.controls.maxDistance = this.options.maxZoom;
-        this.controls.autoRotate = this.options.autoRotate;
-        this.controls.autoRotateSpeed = this.options.autoRotateSpeed;
-    }
+/**
+ * Текст об участнике для экранных дикторов: имя, город, страна
+ * @param {Object} participant
+ * @returns {string}
+ */
+function describeParticipant(participant) {
+    return [participant.name, participant.city, participant.country].filter(Boolean).join(', ');
+}
 
-    setupEventListeners() {
-        this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event));
-        this.renderer.domElement.addEventListener('mousemove', (event) => this.onMouseMove(event));
-        window.addEventListener('resize', () => this.onWindowResize());
-    }
+// Интервал усреднения счетчика кадров в секунду (мс)
+const STATS_FPS_INTERVAL = 1000;
+
+// Поля options, которые getState отдает в формате GlobeOptions (C#); целочисленные округляются
+const GLOBE_OPTIONS_FIELDS = [
+    'backgroundColor', 'atmosphereColor', 'atmosphereOpacity', 'participantPointSize', 'participantPointColor',
+    'highlightedPointColor', 'autoRotate', 'autoRotateSpeed', 'enableMouseControls', 'enableZoom', 'minZoom', 'maxZoom',
+    'earthTextureUrl', 'normalTextureUrl', 'specularTextureUrl', 'cloudsTextureUrl', 'cloudsOpacity', 'cloudsSpeed',
+    'enableAtmosphereGlow', 'countryPointColor', 'countryPointSize', 'countryLineColor', 'countryLineWidth',
+    'participantStyle', 'syncViewWithHash'
+];
+const GLOBE_OPTIONS_INTEGER_FIELDS = ['width', 'height', 'levelOfDetail'];
+
+// Слои, которые сохраняются в строке вида: имя в строке → проверка и переключение слоя
+const VIEW_LAYERS = {
+    atmosphere: { isEnabled: globe => !!globe.atmosphere, setEnabled: (globe, enabled) => globe.toggleAtmosphere(enabled) },
+    clouds: { isEnabled: globe => !!globe.clouds, setEnabled: (globe, enabled) => globe.toggleClouds(enabled) },
+    heatmap: { isEnabled: globe => !!globe.heatmap.mesh, setEnabled: (globe, enabled) => globe.toggleHeatmap(enabled) },
+    hexbins: { isEnabled: globe => !!globe.hexBins.mesh, setEnabled: (globe, enabled) => globe.toggleHexBins(enabled) },
+    choropleth: { isEnabled: globe => globe.choropleth.enabled, setEnabled: (globe, enabled) => globe.setChoroplethMode(enabled) },
+    daynight: { isEnabled: globe => globe.dayNight.enabled, setEnabled: (globe, enabled) => globe.setDayNightMode(enabled) },
+    localtime: { isEnabled: globe => globe.localTime.enabled, setEnabled: (globe, enabled) => globe.setLocalTimeMode(enabled) },
+    clusters: { isEnabled: globe => globe.clustering.enabled, setEnabled: (globe, enabled) => globe.setClustering(enabled) },
+    avatars: { isEnabled: globe => globe.avatars.enabled, setEnabled: (globe, enabled) => globe.setAvatarMode(enabled) }
+};
+
+// Минимальный интервал между записями вида в location.hash (мс)
+const VIEW_HASH_INTERVAL = 500;
+
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-    onMouseClick(event) {
-        const rect = this.renderer.domElement.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+function decodeBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
 
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+/**
+ * Собирает строку вида: c=широта,долгота,расстояние&l=слои&s=выбранные ID&f=фильтр (JSON в base64url)
+ * @param {{camera: {latitude: number, longitude: number, zoom: number}, layers: string[], selection: string[], filter: Object|null}} view
+ * @returns {string}
+ */
+function formatViewState(view) {
+    const { latitude, longitude, zoom } = view.camera;
+    const parts = [
+        `c=${latitude.toFixed(4)},${longitude.toFixed(4)},${zoom.toFixed(3)}`,
+        `l=${view.layers.join(',')}`
+    ];
+    if (view.selection.length > 0) {
+        parts.push(`s=${view.selection.map(encodeURIComponent).join(',')}`);
+    }
+    if (view.filter) {
+        parts.push(`f=${encodeBase64Url(JSON.stringify(view.filter))}`);
+    }
+    return parts.join('&');
+}
 
-        if (this.participantPoints.length > 0) {
-            const intersects = this.raycaster.intersectObjects(this.participantPoints);
-            if (intersects.length > 0) {
-                const pointIndex = intersects[0].index;
-                const metadata = this.pointMetadata.get(`participant_${pointIndex}`);
-                if (metadata && this.callbacks.onParticipantClick) {
-                    this.callbacks.onParticipantClick(metadata);
+/**
+ * Разбирает строку formatViewState; неизвестные и поврежденные части пропускаются
+ * @param {string} text - Строка вида (допускается ведущий #)
+ * @returns {{camera: Object|null, layers: string[]|null, selection: string[], filter: Object|null}|null}
+ *          null если в строке нет ни одной известной части
+ */
+function parseViewState(text) {
+    const view = { camera: null, layers: null, selection: [], filter: null };
+    let known = false;
+    String(text ?? '').replace(/^#/, '').split('&').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator < 0) return;
+        const key = part.slice(0, separator);
+        const value = part.slice(separator + 1);
+        try {
+            if (key === 'c') {
+                const [latitude, longitude, zoom] = value.split(',').map(Number);
+                if ([latitude, longitude].every(Number.isFinite) && Math.abs(latitude) <= 90) {
+                    view.camera = { latitude, longitude, zoom: Number.isFinite(zoom) && zoom > 0 ? zoom : null };
+                    known = true;
                 }
+            } else if (key === 'l') {
+                view.layers = value.split(',').filter(name => name in VIEW_LAYERS);
+                known = true;
+            } else if (key === 's') {
+                view.selection = value.split(',').filter(Boolean).map(decodeURIComponent);
+                known = true;
+            } else if (key === 'f') {
+                view.filter = JSON.parse(decodeBase64Url(value));
+                known = true;
             }
+        } catch (error) {
+            console.warn(`⚠️ Пропущена поврежденная часть состояния вида: ${key}`, error);
         }
+    });
+    return known ? view : null;
+}
+
+// Время показа остановки тура по умолчанию (мс)
+const DEFAULT_TOUR_DWELL = 6000;
+
+/**
+ * Приводит остановку тура к виду { participantId } или { latitude, longitude } с caption, zoom и dwell
+ * @param {string|number|Object} stop - ID участника или объект остановки
+ * @returns {Object|null} null для некорректной остановки
+ */
+function normalizeTourStop(stop) {
+    if (typeof stop === 'string' || typeof stop === 'number') {
+        return { participantId: stop.toString(), caption: null, zoom: null, dwell: null };
     }
+    if (!stop || typeof stop !== 'object') return null;
 
-    onMouseMove(event) {
-        const rect = this.renderer.domElement.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    const details = { caption: stop.caption ?? null, zoom: stop.zoom ?? null, dwell: stop.dwell ?? null };
+    if (stop.participantId !== undefined && stop.participantId !== null) {
+        return { participantId: stop.participantId.toString(), ...details };
+    }
+    if (isValidLatLng(stop.latitude, stop.longitude)) {
+        return { latitude: stop.latitude, longitude: stop.longitude, ...details };
     }
+    return null;
+}
 
-    onWindowResize() {
-        if (!this.container) {
-            this.container = this.getContainer();
+// Раскладка меток при движении камеры пересчитывается не чаще этого интервала (мс)
+const LABEL_LAYOUT_INTERVAL = 100;
+
+// Размер ячейки (px) сетки, по которой ищутся пересечения меток на экране
+const LABEL_GRID_CELL_SIZE = 64;
+
+/**
+ * Жадно размещает прямоугольники меток на экране в порядке приоритета:
+ * метка показывается, если не пересекается с уже размещенными
+ * @param {Array<{left:number,top:number,right:number,bottom:number}>} rects - Прямоугольники в порядке убывания приоритета
+ * @returns {Array<boolean>} Для каждого прямоугольника - размещен ли он
+ */
+function placeLabelRects(rects) {
+    const grid = new Map();
+    const cellRange = rect => ({
+        x0: Math.floor(rect.left / LABEL_GRID_CELL_SIZE),
+        x1: Math.floor(rect.right / LABEL_GRID_CELL_SIZE),
+        y0: Math.floor(rect.top / LABEL_GRID_CELL_SIZE),
+        y1: Math.floor(rect.bottom / LABEL_GRID_CELL_SIZE)
+    });
+    const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+    return rects.map(rect => {
+        const cells = cellRange(rect);
+        for (let x = cells.x0; x <= cells.x1; x++) {
+            for (let y = cells.y0; y <= cells.y1; y++) {
+                const placed = grid.get(`${x},${y}`);
+                if (placed && placed.some(other => overlaps(rect, other))) return false;
+            }
         }
+        for (let x = cells.x0; x <= cells.x1; x++) {
+            for (let y = cells.y0; y <= cells.y1; y++) {
+                const key = `${x},${y}`;
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(rect);
+            }
+        }
+        return true;
+    });
+}
 
-        if (this.container) {
-            const rect = this.container.getBoundingClientRect();
-            this.options.width = rect.width || this.options.width;
-            this.options.height = rect.height || this.options.height;
+// Палитра по умолчанию для режима хороплета (от меньшего числа участников к большему)
+const DEFAULT_CHOROPLETH_PALETTE = ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'];
 
-            this.camera.aspect = this.options.width / this.options.height;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(this.options.width, this.options.height);
+// Размер равнопромежуточной (equirectangular) текстуры для наложений на сферу
+const OVERLAY_TEXTURE_WIDTH = 2048;
+const OVERLAY_TEXTURE_HEIGHT = 1024;
+
+// Сетка плотности для тепловой карты (равнопромежуточная, как и остальные наложения)
+const HEATMAP_TEXTURE_WIDTH = 512;
+const HEATMAP_TEXTURE_HEIGHT = 256;
+// Доля максимальной плотности, начиная с которой тепловая карта становится непрозрачной
+const HEATMAP_ALPHA_KNEE = 0.3;
+const DEFAULT_HEATMAP_GRADIENT = { 0.0: '#0000ff', 0.4: '#00ffff', 0.6: '#00ff00', 0.8: '#ffff00', 1.0: '#ff0000' };
+
+/**
+ * Накапливает в сетке плотность от одной точки с ядром, убывающим по расстоянию на сфере
+ * Ядро квартичное: (1 - (d / r)²)², где d - длина дуги большого круга
+ * @param {Float32Array} grid - Сетка HEATMAP_TEXTURE_WIDTH × HEATMAP_TEXTURE_HEIGHT, строка 0 - южный полюс
+ * @param {number} lat - Широта точки в градусах
+ * @param {number} lng - Долгота точки в градусах
+ * @param {number} radius - Радиус ядра в радианах
+ */
+function accumulateHeatmapKernel(grid, lat, lng, radius) {
+    const width = HEATMAP_TEXTURE_WIDTH;
+    const height = HEATMAP_TEXTURE_HEIGHT;
+    const phi0 = lat * Math.PI / 180;
+    const lambda0 = lng * Math.PI / 180;
+    const sinPhi0 = Math.sin(phi0);
+    const cosPhi0 = Math.cos(phi0);
+    const cosRadius = Math.cos(radius);
+    const cellLat = Math.PI / height;
+    const cellLng = 2 * Math.PI / width;
+
+    const rowFrom = Math.max(0, Math.floor((phi0 - radius + Math.PI / 2) / cellLat));
+    const rowTo = Math.min(height - 1, Math.ceil((phi0 + radius + Math.PI / 2) / cellLat));
+    for (let row = rowFrom; row <= rowTo; row++) {
+        const phi = -Math.PI / 2 + (row + 0.5) * cellLat;
+        const sinPhi = Math.sin(phi);
+        const cosPhi = Math.cos(phi);
+
+        // Полуширина круга радиуса r на этой широте; у полюсов круг занимает всю строку
+        const denominator = cosPhi * cosPhi0;
+        const cosSpan = denominator > 1e-9 ? (cosRadius - sinPhi * sinPhi0) / denominator : -1;
+        if (cosSpan > 1) continue;
+        const span = cosSpan < -1 ? Math.PI : Math.acos(cosSpan);
+        const columnFrom = Math.floor((lambda0 - span + Math.PI) / cellLng);
+        const columnTo = Math.min(columnFrom + width - 1, Math.ceil((lambda0 + span + Math.PI) / cellLng));
+
+        for (let column = columnFrom; column <= columnTo; column++) {
+            const lambda = -Math.PI + (column + 0.5) * cellLng;
+            const cosDistance = sinPhi * sinPhi0 + cosPhi * cosPhi0 * Math.cos(lambda - lambda0);
+            if (cosDistance < cosRadius) continue;
+            const ratio = Math.acos(Math.min(1, cosDistance)) / radius;
+            const weight = (1 - ratio * ratio) * (1 - ratio * ratio);
+            grid[row * width + ((column % width) + width) % width] += weight;
         }
     }
+}
 
-    /**
-      * Добавляет массив участников на глобус
-      * @param {Array} participants - Массив объектов участников с координатами
-      */
-     addParticipants(participants) {
-         console.log(`🎯 addParticipants вызван для контейнера ${this.containerId}:`, participants?.length || 0, 'участников');
-
-         if (!this.state.isInitialized) {
-             console.log(`❌ Глобус ${this.containerId} не инициализирован, планирую повтор через 500ms`);
-             setTimeout(() => this.addParticipants(participants), 500);
-             return false;
-         }
+/**
+ * Разбирает градиент { доля: цвет } в отсортированный список опорных точек
+ * @param {Object} gradient - Опорные точки градиента
+ * @returns {Array<{stop: number, color: THREE.Color}>}
+ */
+function parseGradient(gradient) {
+    const stops = Object.entries(gradient || {})
+        .map(([stop, color]) => ({ stop: Math.min(1, Math.max(0, parseFloat(stop))), color: new THREE.Color(color) }))
+        .filter(entry => !isNaN(entry.stop))
+        .sort((a, b) => a.stop - b.stop);
+    return stops.length > 0 ? stops : parseGradient(DEFAULT_HEATMAP_GRADIENT);
+}
 
-         this.clearParticipants();
-         if (!participants || participants.length === 0) {
-             console.log(`📊 Нет участников для добавления на глобус ${this.containerId}`);
-             return true;
-         }
+/**
+ * Цвет градиента в точке value (0-1), линейная интерполяция между опорными точками
+ * @param {Array<{stop: number, color: THREE.Color}>} stops - Результат parseGradient
+ * @param {number} value - Доля 0-1
+ * @param {THREE.Color} target - Куда записать цвет
+ * @returns {THREE.Color} target
+ */
+function sampleGradient(stops, value, target) {
+    const upper = stops.findIndex(entry => entry.stop >= value);
+    if (upper <= 0) {
+        return target.copy(stops[upper === 0 ? 0 : stops.length - 1].color);
+    }
+    const from = stops[upper - 1];
+    const to = stops[upper];
+    return target.copy(from.color).lerp(to.color, (value - from.stop) / (to.stop - from.stop || 1));
+}
 
-         try {
-            const geometry = new THREE.BufferGeometry();
-            const positions = [];
-            const colors = [];
-            const sizes = [];
-
-            participants.forEach((participant, index) => {
-                // Валидация координат
-                if (typeof participant.latitude !== 'number' || typeof participant.longitude !== 'number' ||
-                    isNaN(participant.latitude) || isNaN(participant.longitude)) {
-                    console.warn(`⚠️ Пропускаем участника ${participant.name}: некорректные координаты (${participant.latitude}, ${participant.longitude})`);
-                    return;
-                }
+// Разрешение сетки шестиугольников: число делений ребра икосаэдра (10·n² + 2 ячеек)
+const DEFAULT_HEX_BIN_RESOLUTION = 24;
+const HEX_BIN_GRADIENT = { 0.0: '#ffffb2', 0.25: '#fecc5c', 0.5: '#fd8d3c', 0.75: '#f03b20', 1.0: '#bd0026' };
+// Треугольников на одну призму: 6 на крышку и 12 на стенки (у пятиугольной призмы последние 3 пустые)
+const HEX_BIN_TRIANGLES = 18;
+// Сколько участников перечислять в подсказке над ячейкой
+const HEX_BIN_TOOLTIP_MEMBERS = 10;
+// Углы шестиугольника вокруг узла треугольной решетки в барицентрических координатах (× 1/3), по кругу
+const HEX_CORNER_OFFSETS = [[2, -1, -1], [1, 1, -2], [-1, 2, -1], [-2, 1, 1], [-1, -1, 2], [1, -2, 1]];
 
-                const radius = 1 + this.options.participantPointOffset;
-                const position = this.latLngToVector3(participant.latitude, participant.longitude, radius);
-                positions.push(position.x, position.y, position.z);
-                const color = new THREE.Color(this.options.participantPointColor);
-                colors.push(color.r, color.g, color.b);
-                sizes.push(this.options.participantPointSize);
-                this.pointMetadata.set(`participant_${index}`, participant);
-            });
+/**
+ * Икосаэдр, вписанный в единичную сферу: вершины и грани с центрами
+ * @returns {{vertices: Array<{x,y,z}>, faces: Array<{indices: number[], center: {x,y,z}}>}}
+ */
+function createIcosahedron() {
+    const phi = (1 + Math.sqrt(5)) / 2;
+    const raw = [
+        [-1, phi, 0], [1, phi, 0], [-1, -phi, 0], [1, -phi, 0],
+        [0, -1, phi], [0, 1, phi], [0, -1, -phi], [0, 1, -phi],
+        [phi, 0, -1], [phi, 0, 1], [-phi, 0, -1], [-phi, 0, 1]
+    ];
+    const vertices = raw.map(([x, y, z]) => {
+        const length = Math.hypot(x, y, z);
+        return { x: x / length, y: y / length, z: z / length };
+    });
 
-            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-            geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-            geometry.setAttribute('size', new THREE.Float32BufferAttribute(sizes, 1));
-
-            const material = new THREE.ShaderMaterial({
-                uniforms: { pointTexture: { value: this.createCircleTexture() } },
-                vertexShader: `
-                    attribute float size;
-                    attribute vec3 color;
-                    varying vec3 vColor;
-                    void main() {
-                        vColor = color;
-                        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                        gl_PointSize = size * (150.0 / -mvPosition.z);
-                        gl_Position = projectionMatrix * mvPosition;
-                    }
-                `,
-                fragmentShader: `
-                    uniform sampler2D pointTexture;
-                    varying vec3 vColor;
-                    void main() {
-                        gl_FragColor = vec4(vColor, 1.0);
-                        gl_FragColor = gl_FragColor * texture2D(pointTexture, gl_PointCoord);
-                    }
-                `,
-                transparent: true
-            });
+    // Соседние вершины икосаэдра отстоят на ребро; грань - тройка попарно соседних вершин
+    const edge = Math.hypot(2, 0) / Math.hypot(1, phi);
+    const adjacent = (a, b) => Math.abs(Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z) - edge) < 1e-6;
+    const faces = [];
+    for (let i = 0; i < 12; i++) {
+        for (let j = i + 1; j < 12; j++) {
+            if (!adjacent(vertices[i], vertices[j])) continue;
+            for (let k = j + 1; k < 12; k++) {
+                if (!adjacent(vertices[i], vertices[k]) || !adjacent(vertices[j], vertices[k])) continue;
+                const [a, b, c] = [vertices[i], vertices[j], vertices[k]];
+                const center = { x: a.x + b.x + c.x, y: a.y + b.y + c.y, z: a.z + b.z + c.z };
+                const length = Math.hypot(center.x, center.y, center.z);
+                faces.push({ indices: [i, j, k], center: { x: center.x / length, y: center.y / length, z: center.z / length } });
+            }
+        }
+    }
+    return { vertices, faces };
+}
 
-            const points = new THREE.Points(geometry, material);
-            this.earthGroup.add(points); // Добавляем в earthGroup чтобы точки вращались с глобусом
-            this.participantPoints.push(points);
+let icosahedron = null;
 
-            // Создаем текстовые метки
-            this.createParticipantLabels(participants);
-            
-            console.log(`🎯 Создано ${participants.length} точек участников`);
-            console.log('Позиции точек:', positions.slice(0, 9)); // Первые 3 точки
-            console.log('Размеры точек:', sizes.slice(0, 3));
-            this.state.participantCount = participants.length;
+/**
+ * Находит ячейку шестиугольной сетки (узел решетки на гранях икосаэдра), в которую попадает точка
+ * Точка проецируется из центра на плоскость ближайшей грани, барицентрические координаты
+ * округляются до ближайшего узла, как кубические координаты в плоской шестиугольной сетке.
+ * Узлы на ребрах и в вершинах икосаэдра получают одинаковый ключ со всех граней
+ * @param {{x,y,z}} point - Единичный вектор
+ * @param {number} resolution - Число делений ребра
+ * @returns {{key: string, face: number, lattice: number[]}} Ключ ячейки, грань и узел решетки (сумма = resolution)
+ */
+function findHexBinCell(point, resolution) {
+    if (!icosahedron) icosahedron = createIcosahedron();
+    const { vertices, faces } = icosahedron;
+
+    let face = 0;
+    let best = -Infinity;
+    faces.forEach((candidate, index) => {
+        const dot = candidate.center.x * point.x + candidate.center.y * point.y + candidate.center.z * point.z;
+        if (dot > best) {
+            best = dot;
+            face = index;
+        }
+    });
 
-            console.log(`✅ Добавлено ${participants.length} участников на глобус`);
-        console.log(`📊 Общее количество объектов в earthGroup: ${this.earthGroup.children.length}`);
+    const [a, b, c] = faces[face].indices.map(index => vertices[index]);
+    const ab = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+    const ac = { x: c.x - a.x, y: c.y - a.y, z: c.z - a.z };
+    const normal = { x: ab.y * ac.z - ab.z * ac.y, y: ab.z * ac.x - ab.x * ac.z, z: ab.x * ac.y - ab.y * ac.x };
+    const scale = (normal.x * a.x + normal.y * a.y + normal.z * a.z) /
+        (normal.x * point.x + normal.y * point.y + normal.z * point.z);
+    const q = { x: point.x * scale - a.x, y: point.y * scale - a.y, z: point.z * scale - a.z };
+
+    // Барицентрические координаты проекции в треугольнике грани
+    const d00 = ab.x * ab.x + ab.y * ab.y + ab.z * ab.z;
+    const d01 = ab.x * ac.x + ab.y * ac.y + ab.z * ac.z;
+    const d11 = ac.x * ac.x + ac.y * ac.y + ac.z * ac.z;
+    const d20 = q.x * ab.x + q.y * ab.y + q.z * ab.z;
+    const d21 = q.x * ac.x + q.y * ac.y + q.z * ac.z;
+    const denominator = d00 * d11 - d01 * d01;
+    const v = (d11 * d20 - d01 * d21) / denominator;
+    const w = (d00 * d21 - d01 * d20) / denominator;
+    const scaled = [(1 - v - w) * resolution, v * resolution, w * resolution];
+
+    // Округление как у кубических координат: поправляем компоненту с наибольшей ошибкой
+    const lattice = scaled.map(Math.round);
+    const errors = lattice.map((value, index) => Math.abs(value - scaled[index]));
+    const worst = errors.indexOf(Math.max(...errors));
+    lattice[worst] = resolution - lattice.reduce((sum, value, index) => (index === worst ? sum : sum + value), 0);
+
+    const key = faces[face].indices
+        .map((vertex, index) => [vertex, lattice[index]])
+        .filter(([, weight]) => weight !== 0)
+        .sort((x, y) => x[0] - y[0])
+        .map(([vertex, weight]) => `${vertex}:${weight}`)
+        .join(',');
+    return { key, face, lattice };
+}
 
-            // Принудительно обновляем рендер для немедленного отображения точек
-            if (this.renderer && this.scene && this.camera) {
-                console.log(`🔄 Принудительный рендер сцены для контейнера ${this.containerId}`);
-                this.renderer.render(this.scene, this.camera);
-            }
+/**
+ * Центр и углы ячейки на единичной сфере
+ * Узлы в 12 вершинах икосаэдра - пятиугольники: их углы берутся из пяти граней вокруг вершины,
+ * иначе углы, продолженные за ребро одной грани, наезжают на соседние призмы
+ * @param {number} face - Грань икосаэдра
+ * @param {number[]} lattice - Узел решетки
+ * @param {number} resolution - Число делений ребра
+ * @param {number} shrink - Доля размера ячейки (меньше 1 - зазор между соседями)
+ * @returns {{center: THREE.Vector3, corners: THREE.Vector3[]}} 6 углов или 5 для вершины икосаэдра
+ */
+function getHexBinShape(face, lattice, resolution, shrink) {
+    const toSphere = (faceIndex, u, v, w) => {
+        const [a, b, c] = icosahedron.faces[faceIndex].indices.map(index => icosahedron.vertices[index]);
+        return new THREE.Vector3(
+            u * a.x + v * b.x + w * c.x,
+            u * a.y + v * b.y + w * c.y,
+            u * a.z + v * b.z + w * c.z
+        ).normalize();
+    };
+
+    const center = toSphere(face, lattice[0], lattice[1], lattice[2]);
+    let corners;
+    const apex = lattice.indexOf(resolution);
+    if (apex === -1) {
+        corners = HEX_CORNER_OFFSETS.map(([du, dv, dw]) => toSphere(face,
+            lattice[0] + du * shrink / 3,
+            lattice[1] + dv * shrink / 3,
+            lattice[2] + dw * shrink / 3
+        ));
+    } else {
+        // Угол пятиугольника в каждой грани при вершине - центр маленького треугольника решетки у этой вершины
+        const vertex = icosahedron.faces[face].indices[apex];
+        corners = [];
+        icosahedron.faces.forEach((candidate, index) => {
+            const slot = candidate.indices.indexOf(vertex);
+            if (slot === -1) return;
+            const weights = [shrink / 3, shrink / 3, shrink / 3];
+            weights[slot] = resolution - 2 * shrink / 3;
+            corners.push(toSphere(index, weights[0], weights[1], weights[2]));
+        });
+        // Грани перебираются не по кругу - упорядочиваем углы по азимуту вокруг центра
+        const axis = perpendicularUnitVector(center);
+        const u = new THREE.Vector3(axis.x, axis.y, axis.z);
+        const v = center.clone().cross(u);
+        const azimuth = corner => Math.atan2(corner.dot(v), corner.dot(u));
+        corners.sort((first, second) => azimuth(first) - azimuth(second));
+    }
 
-            console.log(`📈 Финальное состояние для контейнера ${this.containerId}:`);
-            console.log(`   - Точек участников: ${this.state.participantCount}`);
-            console.log(`   - Объектов в сцене: ${this.scene.children.length}`);
-            console.log(`   - Объектов в earthGroup: ${this.earthGroup.children.length}`);
+    // Обходим углы против часовой стрелки при взгляде снаружи, чтобы нормали граней смотрели наружу
+    const edge1 = corners[0].clone().sub(center);
+    const edge2 = corners[1].clone().sub(center);
+    if (edge1.cross(edge2).dot(center) < 0) corners.reverse();
+    return { center, corners };
+}
 
-            return true;
-        } catch (error) {
-            console.error('Error adding participants:', error);
-            return false;
+/**
+ * Проверяет попадание точки в кольцо полигона (метод трассировки луча)
+ * @param {number} lng - Долгота точки
+ * @param {number} lat - Широта точки
+ * @param {Array} ring - Массив координат [lng, lat]
+ * @returns {boolean}
+ */
+function pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i][0], yi = ring[i][1];
+        const xj = ring[j][0], yj = ring[j][1];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
         }
     }
+    return inside;
+}
 
+/**
+ * Проверяет попадание точки в один из полигонов с учетом дыр
+ * @param {number} lng - Долгота точки
+ * @param {number} lat - Широта точки
+ * @param {Array} polygons - Полигоны (первое кольцо внешнее, остальные - дыры)
+ * @returns {boolean}
+ */
+function pointInPolygons(lng, lat, polygons) {
+    return polygons.some(polygon =>
+        polygon.length > 0 &&
+        pointInRing(lng, lat, polygon[0]) &&
+        !polygon.slice(1).some(hole => pointInRing(lng, lat, hole)));
+}
+
+/**
+ * Вычисляет ограничивающий прямоугольник полигонов
+ * @param {Array} polygons - Полигоны страны
+ * @returns {number[]} [minLng, minLat, maxLng, maxLat]
+ */
+function getPolygonsBounds(polygons) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach(polygon => {
+        (polygon[0] || []).forEach(coord => {
+            bounds[0] = Math.min(bounds[0], coord[0]);
+            bounds[1] = Math.min(bounds[1], coord[1]);
+            bounds[2] = Math.max(bounds[2], coord[0]);
+            bounds[3] = Math.max(bounds[3], coord[1]);
+        });
+    });
+    return bounds;
+}
+
+/**
+ * Возвращает отображаемое имя страны из свойств GeoJSON
+ * @param {Object} country - Запись страны с полями id и properties
+ * @returns {string}
+ */
+function getCountryName(country) {
+    const properties = country.properties || {};
+    return properties.name || properties.NAME || properties.ADMIN || String(country.id ?? '');
+}
+
+/**
+ * Рисует полигоны в контексте равнопромежуточной текстуры
+ * Кольца, пересекающие антимеридиан, разворачиваются и дублируются со сдвигом на 360°
+ * @param {CanvasRenderingContext2D} ctx - Контекст канваса
+ * @param {Array} polygons - Полигоны в координатах [lng, lat]
+ */
+function fillPolygonsOnCanvas(ctx, polygons) {
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+
+    [-360, 0, 360].forEach(shift => {
+        ctx.beginPath();
+        polygons.forEach(polygon => {
+            polygon.forEach(ring => {
+                let previousLng = null;
+                let offset = shift;
+                ring.forEach((coord, index) => {
+                    if (previousLng !== null && Math.abs(coord[0] - previousLng) > 180) {
+                        offset += coord[0] > previousLng ? -360 : 360;
+                    }
+                    previousLng = coord[0];
+
+                    const x = (coord[0] + offset + 180) / 360 * width;
+                    const y = (90 - coord[1]) / 180 * height;
+                    if (index === 0) ctx.moveTo(x, y);
+                    else ctx.lineTo(x, y);
+                });
+                ctx.closePath();
+            });
+        });
+        ctx.fill('evenodd');
+    });
+}
+
+/**
+ * Равномерная сетка по широте/долготе для быстрого поиска страны по координатам
+ * Каждая ячейка хранит полигоны, чьи ограничивающие прямоугольники ее пересекают,
+ * поэтому точная проверка попадания выполняется только для нескольких кандидатов
+ */
+class CountrySpatialIndex {
     /**
-     * Очищает всех участников с глобуса
-     * Удаляет точки участников и очищает метаданные
+     * @param {Array} countries - Записи стран с полем polygons
+     * @param {number} cellSize - Размер ячейки в градусах
      */
-    clearParticipants() {
-        this.participantPoints.forEach(points => {
-            this.earthGroup.remove(points); // Удаляем из earthGroup
-            points.geometry.dispose();
-            if (points.material instanceof THREE.Material) points.material.dispose();
-        });
-        this.participantLabels.forEach(label => {
-            this.earthGroup.remove(label);
+    constructor(countries, cellSize = 5) {
+        this.cellSize = cellSize;
+        this.columns = Math.ceil(360 / cellSize);
+        this.rows = Math.ceil(180 / cellSize);
+        this.cells = new Map();
+
+        countries.forEach((country, countryIndex) => {
+            country.polygons.forEach(polygon => {
+                if (!polygon[0] || polygon[0].length < 3) return;
+
+                const entry = { countryIndex, polygon, bounds: getPolygonsBounds([polygon]) };
+                const [minColumn, minRow] = this.getCell(entry.bounds[1], entry.bounds[0]);
+                const [maxColumn, maxRow] = this.getCell(entry.bounds[3], entry.bounds[2]);
+
+                for (let column = minColumn; column <= maxColumn; column++) {
+                    for (let row = minRow; row <= maxRow; row++) {
+                        const key = row * this.columns + column;
+                        if (!this.cells.has(key)) this.cells.set(key, []);
+                        this.cells.get(key).push(entry);
+                    }
+                }
+            });
         });
-        this.participantPoints = [];
-        this.participantLabels = [];
-        this.pointMetadata.clear();
-        this.state.participantCount = 0;
-        console.log('🧹 Очищены все точки участников');
     }
 
-    latLngToVector3(lat, lng, radius = 1) {
-        const phi = (90 - lat) * (Math.PI / 180);
-        const theta = (lng + 180) * (Math.PI / 180);
-        return {
-            x: -(radius * Math.sin(phi) * Math.cos(theta)),
-            z: (radius * Math.sin(phi) * Math.sin(theta)),
-            y: (radius * Math.cos(phi))
-        };
+    getCell(latitude, longitude) {
+        const column = Math.min(this.columns - 1, Math.max(0, Math.floor((longitude + 180) / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor((latitude + 90) / this.cellSize)));
+        return [column, row];
     }
 
-    createCircleTexture() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 64;
-        canvas.height = 64;
-        const ctx = canvas.getContext('2d');
-        const centerX = canvas.width / 2;
-        const centerY = canvas.height / 2;
-        const radius = canvas.width / 2;
-
-        const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-        gradient.addColorStop(0.2, 'rgba(255, 255, 255, 1)');
-        gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.8)');
-        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    /**
+     * @param {number} latitude - Широта
+     * @param {number} longitude - Долгота
+     * @returns {number} Индекс страны или -1
+     */
+    query(latitude, longitude) {
+        const [column, row] = this.getCell(latitude, longitude);
+        const candidates = this.cells.get(row * this.columns + column);
+        if (!candidates) return -1;
+
+        const match = candidates.find(({ polygon, bounds }) =>
+            longitude >= bounds[0] && longitude <= bounds[2] &&
+            latitude >= bounds[1] && latitude <= bounds[3] &&
+            pointInPolygons(longitude, latitude, [polygon]));
+        return match ? match.countryIndex : -1;
+    }
+}
 
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
-        ctx.fill();
+/**
+ * Проверяет, что координаты - числа в пределах широты ±90° и долготы ±180°
+ * @param {*} latitude
+ * @param {*} longitude
+ * @returns {boolean}
+ */
+function isValidLatLng(latitude, longitude) {
+    return typeof latitude === 'number' && typeof longitude === 'number' &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
 
-        return new THREE.CanvasTexture(canvas);
+/**
+ * Пул вершин точек участников с постоянным соответствием ID участника → индекс вершины
+ * Буфер выделяется заранее; слоты удаленных участников скрываются и переиспользуются,
+ * а отрисовывается только диапазон до последнего занятого слота (drawRange).
+ * Поэтому добавление, удаление и перемещение одного участника стоят O(1),
+ * а индекс вершины участника не меняется, пока он на глобусе
+ */
+class ParticipantPointBuffer {
+    /**
+     * @param {THREE.Material} material - Материал точек
+     * @param {number} capacity - Начальная вместимость пула
+     */
+    constructor(material, capacity = 16) {
+        this.slots = []; // Индекс вершины → ID участника или null для свободного слота
+        this.indexById = new Map(); // ID участника → индекс вершины
+        this.freeSlots = new Set(); // Свободные слоты ниже highWater
+        this.highWater = 0; // Количество слотов, попадающих в drawRange
+        this.capacity = 0;
+        this.points = new THREE.Points(this.createGeometry(Math.max(1, capacity)), material);
     }
 
-    createParticipantLabels(participants) {
-        console.log(`🏷️ Создание меток для ${participants.length} участников`);
-
-        participants.forEach((participant, index) => {
-            // Проверка валидности данных
-            if (!participant.name || participant.name.trim() === '') {
-                console.warn(`⚠️ Пропускаем метку для участника без имени (index ${index})`);
-                return;
-            }
+    get geometry() {
+        return this.points.geometry;
+    }
 
-            try {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                const fontSize = 24;
-                const scale = 2;
-
-                ctx.font = `${fontSize}px Arial`;
-                const textWidth = ctx.measureText(participant.name).width;
-                canvas.width = (textWidth + 20) * scale;
-                canvas.height = (fontSize + 10) * scale;
-                ctx.scale(scale, scale);
-
-                // Полупрозрачный фон для лучшей читаемости
-                ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-                ctx.fillRect(0, 0, textWidth + 20, fontSize + 10);
-
-                // Белая рамка
-                ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-                ctx.lineWidth = 1;
-                ctx.strokeRect(0, 0, textWidth + 20, fontSize + 10);
-
-                // Текст
-                ctx.fillStyle = 'white';
-                ctx.font = `${fontSize}px Arial`;
-                ctx.fillText(participant.name, 10, fontSize + 2);
-
-                const texture = new THREE.CanvasTexture(canvas);
-                const material = new THREE.SpriteMaterial({ map: texture });
-                const sprite = new THREE.Sprite(material);
-
-                const radius = 1 + this.options.participantPointOffset + 0.03;
-                const position = this.latLngToVector3(participant.latitude, participant.longitude, radius);
-                sprite.position.set(position.x, position.y, position.z);
-                sprite.scale.set(0.2, 0.1, 1);
-
-                this.earthGroup.add(sprite);
-                this.participantLabels.push(sprite);
-
-                console.log(`🏷️ Создана метка для ${participant.name} на позиции (${position.x.toFixed(3)}, ${position.y.toFixed(3)}, ${position.z.toFixed(3)})`);
-            } catch (error) {
-                console.error(`❌ Ошибка создания метки для участника ${participant.name}:`, error);
-            }
-        });
+    get count() {
+        return this.indexById.size;
+    }
 
-        console.log(`✅ Создано ${this.participantLabels.length} меток участников`);
+    createGeometry(capacity) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(new Float32Array(capacity), 1));
+        geometry.setAttribute('visibility', new THREE.BufferAttribute(new Float32Array(capacity), 1));
+        geometry.setAttribute('icon', new THREE.BufferAttribute(new Float32Array(capacity).fill(-1), 1));
+        geometry.setDrawRange(0, this.highWater);
+        // Все точки лежат у поверхности единичной сферы - пересчитывать границы при каждом изменении не нужно
+        geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), 2);
+        this.capacity = capacity;
+        return geometry;
     }
 
-    animate() {
-        if (!this.state.isInitialized) return;
+    /**
+     * @param {string|number} id - ID участника
+     * @returns {number} Индекс вершины или -1
+     */
+    indexOf(id) {
+        const index = this.indexById.get(String(id));
+        return index === undefined ? -1 : index;
+    }
 
-        this.animationId = requestAnimationFrame(() => this.animate());
-        const deltaTime = this.clock.getDelta();
+    /**
+     * @param {number} index - Индекс вершины
+     * @returns {string|undefined} ID участника или undefined для свободного слота
+     */
+    idAt(index) {
+        return this.slots[index] ?? undefined;
+    }
 
-        if (this.earthGroup && this.state.isAutoRotating) {
-            this.earthRotation += deltaTime * 0.1;
-            this.earthGroup.rotation.y = this.earthRotation;
-        }
+    /**
+     * Перебирает занятые слоты
+     * @param {function(string, number)} callback - Вызывается с ID участника и индексом вершины
+     */
+    forEach(callback) {
+        this.indexById.forEach((index, id) => callback(id, index));
+    }
 
-        if (this.clouds) {
-            this.cloudRotation += deltaTime * this.options.cloudsSpeed;
-            this.clouds.rotation.y = this.cloudRotation;
+    /**
+     * Занимает свободный слот (или следующий за highWater) под участника
+     * @returns {number} Индекс вершины или -1, если ID уже есть в пуле
+     */
+    add(id, position, color, size, icon = -1) {
+        const key = String(id);
+        if (this.indexById.has(key)) return -1;
+
+        let index;
+        if (this.freeSlots.size > 0) {
+            index = this.freeSlots.values().next().value;
+            this.freeSlots.delete(index);
+        } else {
+            if (this.highWater >= this.capacity) {
+                this.grow(this.capacity * 2);
+            }
+            index = this.highWater++;
+            this.geometry.setDrawRange(0, this.highWater);
         }
 
-        if (this.controls) this.controls.update();
-        this.updateCameraState();
-        this.renderer.render(this.scene, this.camera);
+        this.slots[index] = key;
+        this.indexById.set(key, index);
+        this.setPosition(index, position);
+        this.setColor(index, color);
+        this.setSize(index, size);
+        this.setVisibility(index, 1);
+        this.setIcon(index, icon);
+        return index;
     }
 
-    updateCameraState() {
-        if (this.camera) {
-            this.state.cameraPosition = {
-                x: this.camera.position.x,
-                y: this.camera.position.y,
-                z: this.camera.position.z
-            };
+    /**
+     * Освобождает слот участника; вершина скрывается нулевым размером
+     * @returns {boolean} true если участник был в пуле
+     */
+    remove(id) {
+        const key = String(id);
+        const index = this.indexOf(key);
+        if (index === -1) return false;
+
+        this.slots[index] = null;
+        this.indexById.delete(key);
+        this.setSize(index, 0);
+        // Убираем вершину в центр Земли, чтобы луч мыши не находил скрытую точку у поверхности
+        this.setPosition(index, { x: 0, y: 0, z: 0 });
+
+        if (index === this.highWater - 1) {
+            // Сжимаем drawRange, отбрасывая свободные слоты в конце пула
+            this.highWater--;
+            while (this.highWater > 0 && this.slots[this.highWater - 1] === null) {
+                this.highWater--;
+                this.freeSlots.delete(this.highWater);
+            }
+            this.slots.length = this.highWater;
+            this.geometry.setDrawRange(0, this.highWater);
+        } else {
+            this.freeSlots.add(index);
         }
+        return true;
     }
 
-    centerOn(latitude, longitude, zoom = 2.0) {
-        if (!this.state.isInitialized) return false;
-        try {
-            const position = this.latLngToVector3(latitude, longitude, zoom);
-            this.animateCameraTo(position, 1000);
-            return true;
-        } catch (error) {
-            console.error('Error centering camera:', error);
-            return false;
-        }
+    /**
+     * Освобождает все слоты, сохраняя выделенную память
+     */
+    clear() {
+        this.slots = [];
+        this.indexById.clear();
+        this.freeSlots.clear();
+        this.highWater = 0;
+        this.geometry.setDrawRange(0, 0);
     }
 
-    animateCameraTo(targetPosition, duration = 1000) {
-        if (!this.camera) return;
-        const startPosition = { ...this.camera.position };
-        const startTime = Date.now();
+    /**
+     * Расширяет пул заранее, чтобы массовое добавление не перевыделяло буфер несколько раз
+     * @param {number} capacity - Требуемое количество слотов
+     */
+    reserve(capacity) {
+        if (capacity > this.capacity) {
+            this.grow(capacity);
+        }
+    }
 
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const easeInOutCubic = t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
-            const easedProgress = easeInOutCubic(progress);
+    grow(capacity) {
+        const previous = this.geometry;
+        const geometry = this.createGeometry(capacity);
+        ['position', 'color', 'size', 'visibility', 'icon'].forEach(name => {
+            geometry.attributes[name].array.set(previous.attributes[name].array);
+        });
+        this.points.geometry = geometry;
+        previous.dispose();
+    }
 
-            this.camera.position.x = startPosition.x + (targetPosition.x - startPosition.x) * easedProgress;
-            this.camera.position.y = startPosition.y + (targetPosition.y - startPosition.y) * easedProgress;
-            this.camera.position.z = startPosition.z + (targetPosition.z - startPosition.z) * easedProgress;
-            this.camera.lookAt(0, 0, 0);
+    /**
+     * Помечает к загрузке на GPU только измененную вершину
+     */
+    markVertexDirty(attribute, index) {
+        attribute.addUpdateRange(index * attribute.itemSize, attribute.itemSize);
+        attribute.needsUpdate = true;
+    }
 
-            if (progress < 1) requestAnimationFrame(animate);
-        };
+    setPosition(index, position) {
+        const attribute = this.geometry.attributes.position;
+        attribute.setXYZ(index, position.x, position.y, position.z);
+        this.markVertexDirty(attribute, index);
+    }
 
-        animate();
+    setColor(index, color) {
+        const attribute = this.geometry.attributes.color;
+        attribute.setXYZ(index, color.r, color.g, color.b);
+        this.markVertexDirty(attribute, index);
     }
 
-    setAutoRotation(enabled, speed) {
-        try {
-            this.state.isAutoRotating = enabled;
-            if (this.controls) {
-                this.controls.autoRotate = enabled;
-                this.controls.autoRotateSpeed = speed;
-            }
-            return true;
-        } catch (error) {
-            console.error('Error setting auto rotation:', error);
-            return false;
-        }
+    setSize(index, size) {
+        const attribute = this.geometry.attributes.size;
+        attribute.setX(index, size);
+        this.markVertexDirty(attribute, index);
     }
 
-    setLevelOfDetail(lod) {
-        try {
-            this.state.currentLod = lod;
-            return true;
-        } catch (error) {
-            console.error('Error setting LOD:', error);
-            return false;
-        }
+    /**
+     * Множитель размера и прозрачности вершины (0 - скрыта), не затрагивающий ее размер и цвет
+     */
+    setVisibility(index, visibility) {
+        const attribute = this.geometry.attributes.visibility;
+        attribute.setX(index, visibility);
+        this.markVertexDirty(attribute, index);
     }
 
-    setSunLightIntensity(intensity) {
-        if (this.scene) {
-            const sunLight = this.scene.children.find(child => child instanceof THREE.DirectionalLight);
-            if (sunLight) {
-                sunLight.intensity = intensity;
-                console.log('Яркость солнца изменена на:', intensity);
-            }
-        }
+    /**
+     * Номер иконки в атласе (-1 - обычная круглая точка)
+     */
+    setIcon(index, icon) {
+        const attribute = this.geometry.attributes.icon;
+        attribute.setX(index, icon);
+        this.markVertexDirty(attribute, index);
     }
 
-    setSunLightColor(colorHex) {
-        if (this.scene) {
-            const sunLight = this.scene.children.find(child => child instanceof THREE.DirectionalLight);
-            if (sunLight) {
-                sunLight.color = new THREE.Color(colorHex);
-                console.log('Цвет солнца изменен на:', colorHex);
-            }
-        }
+    getColor(index) {
+        const attribute = this.geometry.attributes.color;
+        return { r: attribute.getX(index), g: attribute.getY(index), b: attribute.getZ(index) };
     }
 
-    setAmbientLightIntensity(intensity) {
-        if (this.scene) {
-            const ambientLight = this.scene.children.find(child => child instanceof THREE.AmbientLight);
-            if (ambientLight) {
-                ambientLight.intensity = intensity;
-                console.log('Яркость окружения изменена на:', intensity);
-            }
-        }
+    getSize(index) {
+        return this.geometry.attributes.size.getX(index);
     }
 
-    setAtmosphereLightIntensity(intensity) {
-        if (this.scene) {
-            const atmosphereLight = this.scene.children.find(child => child instanceof THREE.PointLight);
-            if (atmosphereLight) {
-                atmosphereLight.intensity = intensity;
-                console.log('Яркость атмосферного света изменена на:', intensity);
-            }
-        }
+    dispose() {
+        this.geometry.dispose();
+        this.points.material.dispose();
     }
+}
 
-    toggleAtmosphere(enabled) {
-        if (enabled && !this.atmosphere) {
-            this.options.enableAtmosphereGlow = true;
-            this.createAtmosphere();
-        } else if (!enabled && this.atmosphere) {
-            this.earthGroup.remove(this.atmosphere);
-            this.atmosphere.geometry.dispose();
-            this.atmosphere.material.dispose();
-            this.atmosphere = null;
-            this.options.enableAtmosphereGlow = false;
-        }
+// GeoJSON стран загружается один раз и используется всеми глобусами
+const COUNTRIES_GEOJSON_URL = '/_content/ZealousMindedPeopleGeo/data/countries.geojson';
+let countriesGeoJsonPromise = null;
+
+async function fetchCountriesGeoJson() {
+    if (!countriesGeoJsonPromise) {
+        countriesGeoJsonPromise = fetch(COUNTRIES_GEOJSON_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} при загрузке countries.geojson`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                // Не кэшируем ошибку, чтобы следующий вызов повторил загрузку
+                countriesGeoJsonPromise = null;
+                throw error;
+            });
     }
+    return countriesGeoJsonPromise;
+}
 
-    toggleClouds(enabled) {
-        if (enabled && !this.clouds) {
-            this.options.enableClouds = true;
-            this.createClouds();
-        } else if (!enabled && this.clouds) {
-            this.earthGroup.remove(this.clouds);
-            this.clouds.geometry.dispose();
-            this.clouds.material.dispose();
-            this.clouds = null;
-            this.options.enableClouds = false;
-        }
+/**
+ * Возвращает список полигонов GeoJSON объекта (Polygon или MultiPolygon)
+ * Каждый полигон - массив колец, кольцо - массив координат [lng, lat]
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {Array} Массив полигонов, пустой для неподдерживаемых геометрий
+ */
+function getFeaturePolygons(feature) {
+    const geometry = feature && feature.geometry;
+    if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+
+    switch (geometry.type) {
+        case 'Polygon':
+            return [geometry.coordinates];
+        case 'MultiPolygon':
+            return geometry.coordinates;
+        default:
+            return [];
     }
+}
 
-    updateSettings(settings) {
-        try {
-            this.options.participantPointSize = settings.participantPointSize;
-            this.options.participantPointOffset = settings.participantPointOffset;
-            this.options.participantPointColor = settings.participantPointColor;
-            this.options.highlightedPointColor = settings.highlightedPointColor;
-            this.options.autoRotateSpeed = settings.autoRotateSpeed;
-            this.options.cloudsOpacity = settings.cloudsOpacity;
-            this.options.cloudsSpeed = settings.cloudsSpeed;
-            this.options.atmosphereOpacity = settings.atmosphereOpacity;
-            
-            this.setAutoRotation(settings.autoRotate, settings.autoRotateSpeed);
-            this.setSunLightIntensity(settings.sunLightIntensity);
-            this.setSunLightColor(settings.sunLightColor);
-            this.setAmbientLightIntensity(settings.ambientLightIntensity);
-            
-            this.toggleAtmosphere(settings.enableAtmosphereGlow);
-            this.toggleClouds(settings.enableClouds);
-            
-            if (this.renderer) {
-                this.renderer.setSize(settings.width, settings.height);
-            }
-            if (this.camera) {
-                this.camera.aspect = settings.width / settings.height;
-                this.camera.updateProjectionMatrix();
-            }
-            if (this.controls) {
-                this.controls.minDistance = settings.minZoom;
-                this.controls.maxDistance = settings.maxZoom;
-                this.controls.enableZoom = settings.enableZoom;
+/**
+ * Класс для создания и управления интерактивным 3D глобусом сообщества
+ * Поддерживает добавление/удаление участников, настройку освещения,
+ * управление камерой и визуализацию географических данных
+ */
+class CommunityGlobe {
+    /**
+     * Конструктор 3D глобуса
+     * @param {string} containerId - ID HTML элемента-контейнера
+     * @param {Object} options - Настройки глобуса
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.container = null; // Будет инициализирован позже
+
+        this.options = {
+            ...options,
+            width: 800,
+            height: 600,
+            backgroundColor: '#000011',
+            atmosphereColor: '#00aaff',
+            atmosphereOpacity: 0.2,
+            participantPointSize: 0.2,
+            participantPointColor: '#ffff00',
+            participantPointOffset: 0.02, // Расстояние точек от поверхности глобуса
+            participantBufferCapacity: 1024, // Начальный размер пула точек участников
+            labelPixelHeight: 18, // Высота метки с именем на экране независимо от приближения
+            participantStyle: options.participantStyle ?? null, // Правила цвета, размера и иконок точек по полям участников
+            syncViewWithHash: options.syncViewWithHash ?? false, // Синхронизировать вид с location.hash (см. setHashSync)
+            connectionColor: '#00ffcc',
+            connectionDashAnimation: true, // Бегущий штрих вдоль дуг связей
+            enableClustering: options.enableClustering ?? false, // Кластеры близких точек (см. setClustering)
+            clusterRadiusMin: 0.1, // Радиус кластера в градусах при максимальном приближении (minZoom)
+            clusterRadiusMax: 8, // Радиус кластера в градусах при максимальном отдалении (maxZoom)
+            clusterColor: '#ff9900',
+            highlightedPointColor: '#ff6600',
+            autoRotate: true,
+            autoRotateSpeed: 0.1,
+            enableMouseControls: true,
+            enableZoom: true,
+            minZoom: 0.5,
+            maxZoom: 4.0,
+            levelOfDetail: 2,
+            earthTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_daymap.jpg",
+            normalTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_normal_map.tif",
+            specularTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_specular_map.tif",
+            cloudsTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_clouds.jpg",
+            nightTextureUrl: "/_content/ZealousMindedPeopleGeo/assets/earth/8k_earth_nightmap.jpg",
+            enableDayNight: false, // Освещение по реальному положению солнца с огнями городов на ночной стороне
+            enableClouds: true,
+            enableHeatmap: false,
+            heatmapRadius: 4, // Радиус ядра в градусах дуги
+            heatmapIntensity: 1, // Множитель плотности: больше 1 - насыщенные цвета появляются раньше
+            heatmapOpacity: 0.8,
+            heatmapGradient: DEFAULT_HEATMAP_GRADIENT, // { доля плотности 0-1: цвет }
+            enableAvatars: false,
+            avatarSize: 0.8, // Размер аватара в тех же единицах, что и participantPointSize
+            avatarMaxDistance: 2.5, // Дальше этого расстояния камеры от центра аватары заменяются точками
+            enableHexBins: false,
+            hexBinResolution: DEFAULT_HEX_BIN_RESOLUTION,
+            hexBinMaxHeight: 0.3, // Высота самой населенной ячейки в радиусах Земли
+            hexBinGradient: HEX_BIN_GRADIENT,
+            cloudsOpacity: 0.1,
+            cloudsSpeed: 0.01,
+            enableAtmosphereGlow: true,
+            countryPointColor: '#ffffff',
+            countryPointSize: 0.1,
+            countryLineColor: '#444444',
+            countryLineWidth: 0.5,
+            // Настройки освещения
+            sunLightIntensity: 3.0,
+            sunLightColor: '#ffffff',
+            ambientLightIntensity: 4,
+            ambientLightColor: '#404040',
+            atmosphereLightIntensity: 1,
+            atmosphereLightColor: '#00aaff',
+        };
+
+        this.state = {
+            isInitialized: false,
+            isAutoRotating: this.options.autoRotate,
+            currentLod: this.options.levelOfDetail,
+            participantCount: 0,
+            countryCount: 0,
+            clusterCount: 0,
+            cameraPosition: { x: 0, y: 0, z: 2.5 },
+            cameraTarget: { x: 0, y: 0, z: 0 }
+        };
+
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.controls = null;
+        this.earthGroup = null;
+        this.earth = null;
+        this.atmosphere = null;
+        this.clouds = null;
+        this.participantPoints = [];
+        this.participantBuffer = null;
+        this.participantLabels = new Map(); // ID участника → спрайт с именем
+        this.labelTextures = new Map(); // ID участника → { name, texture } - кэш отрисованных имен
+        this.labelLayout = {
+            dirty: false, // Изменились метки, выбор или кластеры - пересчитать в следующем кадре
+            lastUpdate: 0,
+            viewKey: '', // Положение камеры и поворот Земли, для которых посчитана раскладка
+            sequence: 0 // Порядковый номер последней созданной метки
+        };
+        this.countryPolygons = [];
+        this.countryPoints = null;
+        this.countryFeatures = [];
+        this.countryIndex = null;
+        this.choropleth = {
+            enabled: false,
+            palette: DEFAULT_CHOROPLETH_PALETTE,
+            opacity: 0.6,
+            zeroColor: null,
+            mesh: null,
+            canvas: null,
+            texture: null,
+            legend: null,
+            dirty: false
+        };
+        this.participantStyle = {
+            compiled: null, // Результат compileParticipantStyle
+            atlas: null // Загруженная текстура атласа иконок
+        };
+        this.avatars = {
+            enabled: this.options.enableAvatars,
+            active: false, // Аватары показываются сейчас (режим включен и камера достаточно близко)
+            canvas: null,
+            texture: null,
+            slots: new Map(), // ID участника → { slot, url, initials, color }
+            freeSlots: [],
+            nextSlot: 0,
+            dirty: false // Ячейки атласа перерисованы, текстуру нужно выгрузить на видеокарту
+        };
+        this.heatmap = {
+            mesh: null,
+            texture: null,
+            palette: null, // 256 цветов RGB, построенных из heatmapGradient
+            dirty: false
+        };
+        this.hexBins = {
+            mesh: null,
+            cells: [], // { key, count, memberIds, latitude, longitude } в порядке призм в геометрии
+            hovered: null,
+            dirty: false
+        };
+        this.clustering = {
+            enabled: this.options.enableClustering,
+            level: -1, // Уровень приближения, для которого построены кластеры
+            dirty: false,
+            clusters: [], // { key, memberIds, position, spread, sprite }
+            hiddenIds: new Set(), // ID участников, скрытых внутри кластеров
+            expanded: null, // { key, memberIds } - раскрытый кластер, участники разложены по кольцу
+            badgeTextures: new Map() // Текст значка → текстура
+        };
+        this.connections = {
+            items: new Map(), // ID связи → { id, fromId, toId, weight, color, animated, line }
+            byParticipant: new Map(), // ID участника → Set ID связей
+            time: { value: 0 } // Общий uniform времени для анимации штрихов всех дуг
+        };
+        this.filter = {
+            spec: null,
+            predicate: null, // Результат compileParticipantFilter
+            hiddenIds: new Set(), // Участники, не подходящие под фильтр
+            fading: new Map() // ID участника → начало анимации исчезновения или появления (мс)
+        };
+        this.searchIndex = new Map(); // ID участника → { participant, поле → слова } (см. getSearchEntry)
+        this.cameraFlight = null; // Текущий перелет камеры (см. flyTo)
+        this.timeline = {
+            enabled: false,
+            playing: false,
+            dirty: false, // Изменились участники - перестроить порядок регистраций
+            speed: 1,
+            duration: DEFAULT_TIMELINE_DURATION,
+            start: 0, // Даты первой и последней регистрации (мс)
+            end: 0,
+            current: 0, // Текущий момент шкалы (мс)
+            order: [], // { id, time } в порядке регистрации
+            cursor: 0, // Число показанных участников из order
+            hiddenIds: new Set(), // Участники, еще не зарегистрированные к текущему моменту
+            appearing: new Map(), // ID участника → время начала появления (Date.now())
+            lastTick: 0
+        };
+        this.tour = {
+            stops: [], // Результаты normalizeTourStop
+            index: -1, // Текущая остановка; -1 - тур не запущен
+            target: null, // Текущая остановка с координатами и подписью (см. resolveTourStop)
+            phase: 'idle', // 'flying' - камера летит к остановке, 'dwelling' - показ остановки
+            playing: false,
+            loop: false,
+            dwell: DEFAULT_TOUR_DWELL,
+            zoom: null,
+            elapsed: 0, // Время показа текущей остановки (мс)
+            flight: 0, // Номер перелета: ответы прерванных перелетов игнорируются
+            resumeAutoRotate: false // Автовращение, выключенное на время тура
+        };
+        this.tourCaption = null;
+        this.hashSync = {
+            enabled: false,
+            value: null, // Последняя прочитанная или записанная строка вида
+            lastCheck: 0
+        };
+        this.onHashChange = () => this.applyHashViewState(true);
+        this.pendingSelection = null; // ID из строки вида, чьи участники еще не загружены
+        this.accessibility = {
+            focusedId: null, // Участник, на который перешли клавишей Tab
+            liveRegion: null, // ARIA live region для объявлений
+            list: null, // Визуально скрытый список участников
+            listDirty: true,
+            listUpdated: 0,
+            reducedMotion: false, // prefers-reduced-motion: reduce - без автовращения и перелетов
+            autoRotateRequested: this.options.autoRotate, // Автовращение, заданное настройками, - вернется после reducedMotion
+            releaseTab: false, // После Escape следующий Tab уводит фокус с глобуса, а не к следующему участнику
+            motionQuery: null
+        };
+        this.onKeyDown = event => this.handleKeyDown(event);
+        this.onReducedMotionChange = event => this.setReducedMotion(event.matches);
+        this.stats = {
+            frames: 0, // Кадры и время (мс) текущего интервала усреднения
+            elapsed: 0,
+            framesPerSecond: 0
+        };
+        this.localTime = {
+            enabled: false,
+            time: null, // Фиксированный момент (Date) или null - текущее время
+            periods: { ...DEFAULT_DAY_PERIODS },
+            colors: { ...DEFAULT_DAY_PERIOD_COLORS },
+            periodById: new Map(), // ID участника → период суток, которым окрашена точка
+            lastUpdate: 0
+        };
+        this.sunLight = null;
+        this.dayNight = {
+            enabled: false,
+            time: null, // Фиксированный момент (Date) или null - текущее время
+            material: null, // Шейдер дня и ночи; стандартный материал Земли хранится в dayMaterial
+            dayMaterial: null,
+            nightTexture: null,
+            twilight: 0.1, // Полуширина сумеречной зоны (косинус угла к солнцу)
+            cityLightsIntensity: 1.2,
+            subsolarPoint: null,
+            lastUpdate: 0
+        };
+        this.raycaster = null;
+        this.mouse = { x: 0, y: 0 };
+        this.pointerDownPosition = null;
+        this.isPointerOver = false;
+        this.pointerPosition = { x: 0, y: 0 }; // Позиция мыши относительно контейнера в пикселях
+        this.hoveredPoint = null; // { index, participant, color, size } - исходные значения для восстановления
+        this.tooltip = null;
+        this.selectedIds = new Set(); // ID выбранных участников (строки)
+        this.selectionRings = null;
+        this.animationId = null;
+        this.clock = null;
+        this.pointMetadata = new Map(); // ID участника (строка) → данные участника
+        this.callbacks = { // Инициализация callbacks
+            onGlobeReady: null,
+            onError: null,
+            onParticipantClick: null,
+            onParticipantHover: null,
+            onParticipantLeave: null,
+            onSelectionChange: null,
+            onGlobeClick: null,
+            onTimelineTick: null,
+            onHexBinHover: null,
+            onCameraArrive: null,
+            onTourStep: null,
+            onTourEnd: null
+        };
+
+        console.log(`🔧 Создание глобуса для контейнера: ${containerId}`);
+        this.init();
+    }
+
+    /**
+     * Асинхронная инициализация глобуса
+     * Создает сцену, камеру, освещение, загружает текстуры
+     * @returns {Promise<void>}
+     */
+    async init() {
+        try {
+            // Ждем загрузки зависимостей
+            let attempts = 0;
+            while (!dependenciesLoaded && attempts < 50) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                attempts++;
             }
-            if (this.atmosphere) {
-                this.atmosphere.material.opacity = settings.atmosphereOpacity;
+
+            if (!dependenciesLoaded) {
+                throw new Error('Не удалось загрузить зависимости Three.js');
             }
-            if (this.clouds) {
-                this.clouds.material.opacity = settings.cloudsOpacity;
+
+            if (!this.isWebGLSupported()) {
+                throw new Error('WebGL is not supported in this browser');
             }
+
+            this.setupScene();
+            this.createEarth();
+            this.createAtmosphere();
+            this.createClouds();
+            this.createHeatmap();
+            this.createHexBins();
+            this.applyParticipantStyleSpec(this.options.participantStyle);
+            this.setupLighting();
+            this.setupControls();
+            this.setupEventListeners();
+            this.setupAccessibility();
+
+            this.state.isInitialized = true;
+            this.setHashSync(this.options.syncViewWithHash);
+
+            console.log(`🌍 Глобус ${this.containerId} инициализирован и готов к работе`);
+            console.log(`📊 Состояние глобуса ${this.containerId}:`, this.state);
+
+            this.animate();
             
-            const participants = Array.from(this.pointMetadata.values());
-            if (participants.length > 0) {
-                this.addParticipants(participants);
+            // Вызываем callback после задержки
+            setTimeout(() => {
+                if (this.callbacks.onGlobeReady) {
+                    console.log(`📞 Вызов callback onGlobeReady для ${this.containerId}`);
+                    this.callbacks.onGlobeReady(this.getState());
+                } else {
+                    console.log(`⚠️ Callback не установлен для ${this.containerId}`);
+                }
+            }, 200);
+        } catch (error) {
+            console.error('Failed to initialize globe:', error);
+            if (this.callbacks.onError) {
+                this.callbacks.onError(error.message);
             }
-            
-            console.log('✅ Настройки применены');
+            throw error;
+        }
+    }
+
+    /**
+     * Проверяет поддержку WebGL в браузере
+     * @returns {boolean} true если WebGL поддерживается
+     */
+    isWebGLSupported() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(window.WebGLRenderingContext &&
+                (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    getContainer(maxAttempts = 50, delayMs = 100) {
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const container = document.getElementById(this.containerId);
+            if (container) {
+                console.log(`Container found on attempt ${attempt}`);
+                return container;
+            }
+
+            if (attempt < maxAttempts) {
+                // Ждем перед следующей попыткой
+                // Используем промис для асинхронного ожидания
+                const startTime = Date.now();
+                while (Date.now() - startTime < delayMs) {
+                    // Busy wait для синхронного выполнения
+                }
+            }
+        }
+
+        console.error(`Container with id '${this.containerId}' not found after ${maxAttempts} attempts`);
+        return null;
+    }
+
+    setupScene() {
+        console.log('🔧 setupScene: начало для контейнера', this.containerId);
+        console.log('🔍 Проверка THREE.js:', typeof THREE);
+        if (typeof THREE === 'undefined') {
+            console.error('❌ Three.js не загружен. setupScene не может быть выполнен.');
+            throw new Error('Three.js не загружен. setupScene не может быть выполнен.');
+        }
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.options.backgroundColor);
+
+        const aspect = this.options.width / this.options.height;
+        this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        this.camera.position.set(
+            this.state.cameraPosition.x,
+            this.state.cameraPosition.y,
+            this.state.cameraPosition.z
+        );
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setSize(this.options.width, this.options.height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+        console.log('🔍 Поиск контейнера:', this.containerId);
+        this.container = this.getContainer();
+        console.log('📦 Контейнер найден:', this.container);
+        console.log('📦 Контейнер DOM элемент:', this.container?.tagName, this.container?.id);
+
+        if (!this.container) {
+            console.error('❌ Контейнер не найден для ID:', this.containerId);
+            throw new Error(`Container with id '${this.containerId}' not found after multiple attempts`);
+        }
+
+        console.log('🧹 Селективная очистка старых Three.js canvas элементов');
+        console.log('📦 Контейнер перед очисткой:', this.container?.tagName, this.container?.id);
+        console.log('📦 Дочерних элементов в контейнере:', this.container?.childNodes?.length || 0);
+
+        // Удаляем только старые canvas элементы Three.js, но сохраняем другие элементы Blazor
+        if (this.container && this.container.childNodes) {
+            const canvasElements = this.container.querySelectorAll('canvas');
+            console.log('🧹 Найдено canvas элементов для удаления:', canvasElements.length);
+
+            canvasElements.forEach((canvas, index) => {
+                console.log(`🧹 Удаление canvas элемента ${index}:`, canvas);
+                this.container.removeChild(canvas);
+            });
+
+            console.log('✅ Старые canvas элементы удалены');
+        }
+
+        console.log('📦 Контейнер готов для добавления нового renderer');
+
+        console.log('➕ Добавление renderer в контейнер');
+        this.container.appendChild(this.renderer.domElement);
+        console.log('✅ Renderer добавлен в контейнер', this.containerId);
+
+        this.earthGroup = new THREE.Group();
+        this.scene.add(this.earthGroup);
+
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.params.Points.threshold = 0.1;
+
+        this.clock = new THREE.Clock();
+        console.log('🔧 setupScene: завершено для контейнера', this.containerId);
+    }
+
+    createEarth() {
+        const earthGeometry = new THREE.SphereGeometry(1, 128, 128); // Увеличиваем количество сегментов
+        const textureLoader = new THREE.TextureLoader();
+
+        console.log('🌍 Загрузка текстур глобуса:');
+        console.log('Основная текстура:', this.options.earthTextureUrl);
+        console.log('Карта нормалей:', this.options.normalTextureUrl);
+        console.log('Карта спекуляции:', this.options.specularTextureUrl);
+
+        // Загружаем текстуры асинхронно для избежания блокировок
+        const loadTexture = (url) => {
+            if (!url) return null;
+            try {
+                console.log('Загрузка текстуры:', url);
+                return textureLoader.load(url);
+            } catch (error) {
+                console.error('Ошибка загрузки текстуры:', url, error);
+                return null;
+            }
+        };
+
+        const earthMaterial = new THREE.MeshStandardMaterial({
+            map: loadTexture(this.options.earthTextureUrl),
+            normalMap: loadTexture(this.options.normalTextureUrl),
+            roughnessMap: loadTexture(this.options.specularTextureUrl),
+            roughness: 0.8,
+            metalness: 0.1
+        });
+
+        this.earth = new THREE.Mesh(earthGeometry, earthMaterial);
+        this.earthGroup.add(this.earth);
+        this.earthRotation = 0;
+    }
+
+    createAtmosphere() {
+        if (!this.options.enableAtmosphereGlow) return;
+
+        const atmosphereGeometry = new THREE.SphereGeometry(1.05, 128, 128);
+        const atmosphereMaterial = new THREE.MeshPhongMaterial({
+            color: this.options.atmosphereColor,
+            transparent: true,
+            opacity: this.options.atmosphereOpacity,
+            side: THREE.BackSide
+        });
+
+        this.atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
+        this.earthGroup.add(this.atmosphere);
+    }
+
+    createClouds() {
+        if (!this.options.enableClouds || !this.options.cloudsTextureUrl) return;
+
+        const cloudsGeometry = new THREE.SphereGeometry(1.01, 128, 128);
+        const textureLoader = new THREE.TextureLoader();
+
+        console.log('☁️ Загрузка текстуры облаков:', this.options.cloudsTextureUrl);
+
+        const loadCloudTexture = (url) => {
+            if (!url) return null;
+            try {
+                console.log('Загрузка облаков:', url);
+                return textureLoader.load(url);
+            } catch (error) {
+                console.error('Ошибка загрузки облаков:', url, error);
+                return null;
+            }
+        };
+
+        const cloudsMaterial = new THREE.MeshPhongMaterial({
+            map: loadCloudTexture(this.options.cloudsTextureUrl),
+            transparent: true,
+            opacity: this.options.cloudsOpacity
+        });
+
+        this.clouds = new THREE.Mesh(cloudsGeometry, cloudsMaterial);
+        this.earthGroup.add(this.clouds);
+        this.cloudRotation = 0;
+    }
+
+    setupLighting() {
+        console.log('💡 Настройка освещения глобуса:');
+        console.log('Яркость солнца:', this.options.sunLightIntensity);
+        console.log('Цвет солнца:', this.options.sunLightColor);
+        console.log('Яркость окружения:', this.options.ambientLightIntensity);
+        console.log('Цвет окружения:', this.options.ambientLightColor);
+
+        // Преобразуем цвет из hex в Color
+        const sunColor = new THREE.Color(this.options.sunLightColor);
+        const ambientColor = new THREE.Color(this.options.ambientLightColor);
+        const atmosphereColor = new THREE.Color(this.options.atmosphereLightColor);
+
+        const sunLight = new THREE.DirectionalLight(sunColor, this.options.sunLightIntensity);
+        sunLight.position.set(5, 3, 5);
+        sunLight.castShadow = true;
+        this.scene.add(sunLight);
+        this.sunLight = sunLight;
+
+        const ambientLight = new THREE.AmbientLight(ambientColor, this.options.ambientLightIntensity);
+        this.scene.add(ambientLight);
+
+        const atmosphereLight = new THREE.PointLight(atmosphereColor, this.options.atmosphereLightIntensity, 100);
+        atmosphereLight.position.set(0, 0, 3);
+        this.scene.add(atmosphereLight);
+    }
+
+    setupControls() {
+        if (!this.options.enableMouseControls) return;
+
+        if (typeof OrbitControls === 'undefined') {
+            console.error('OrbitControls не загружен');
+            return;
+        }
+
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.enableZoom = this.options.enableZoom;
+        this.controls.minDistance = this.options.minZoom;
+        this.controls.maxDistance = this.options.maxZoom;
+        this.controls.autoRotate = this.options.autoRotate;
+        this.controls.autoRotateSpeed = this.options.autoRotateSpeed;
+        // Пользователь взял управление - перелет камеры прерывается
+        this.controls.addEventListener('start', () => this.cancelCameraFlight());
+    }
+
+    setupEventListeners() {
+        this.renderer.domElement.addEventListener('pointerdown', (event) => {
+            this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+        });
+        this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event));
+        this.renderer.domElement.addEventListener('mousemove', (event) => this.onMouseMove(event));
+        this.renderer.domElement.addEventListener('mouseleave', () => this.onMouseLeave());
+        window.addEventListener('resize', () => this.onWindowResize());
+    }
+
+    /**
+     * Делает canvas доступным с клавиатуры и для экранных дикторов: фокус, live region,
+     * скрытый список участников и учет prefers-reduced-motion
+     */
+    setupAccessibility() {
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-roledescription', '3D глобус');
+        canvas.setAttribute('aria-label',
+            'Глобус участников сообщества. Стрелки - вращение, плюс и минус - масштаб, Tab - следующий участник, Enter - выбрать, Escape и Tab - выйти с глобуса');
+        canvas.addEventListener('keydown', this.onKeyDown);
+
+        const a11y = this.accessibility;
+        a11y.liveRegion = document.createElement('div');
+        a11y.liveRegion.className = 'globe-visually-hidden';
+        a11y.liveRegion.setAttribute('role', 'status');
+        a11y.liveRegion.setAttribute('aria-live', 'polite');
+        this.container.appendChild(a11y.liveRegion);
+
+        a11y.list = document.createElement('ul');
+        a11y.list.className = 'globe-visually-hidden';
+        a11y.list.setAttribute('aria-label', 'Участники на глобусе');
+        this.container.appendChild(a11y.list);
+
+        if (typeof window.matchMedia === 'function') {
+            a11y.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            a11y.motionQuery.addEventListener('change', this.onReducedMotionChange);
+            this.setReducedMotion(a11y.motionQuery.matches);
+        }
+    }
+
+    /**
+     * Учитывает prefers-reduced-motion: при включении выключает автовращение, перелеты камеры становятся мгновенными.
+     * При выключении возвращается автовращение, заданное настройками
+     * @param {boolean} reduced
+     */
+    setReducedMotion(reduced) {
+        this.accessibility.reducedMotion = !!reduced;
+        this.setAutoRotation(this.accessibility.autoRotateRequested,
+            this.controls ? this.controls.autoRotateSpeed : this.options.autoRotateSpeed);
+    }
+
+    /**
+     * Стрелки вращают глобус, +/- меняют масштаб, Tab и Shift+Tab переходят между видимыми участниками,
+     * Enter выбирает участника (Shift+Enter - добавляет к выбору), Escape снимает фокус с участника,
+     * и следующий Tab уводит фокус с глобуса без обхода всех участников
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+        switch (event.key) {
+            case 'ArrowLeft':
+                this.moveCameraBy(0, -KEYBOARD_ROTATE_STEP);
+                break;
+            case 'ArrowRight':
+                this.moveCameraBy(0, KEYBOARD_ROTATE_STEP);
+                break;
+            case 'ArrowUp':
+                this.moveCameraBy(KEYBOARD_ROTATE_STEP, 0);
+                break;
+            case 'ArrowDown':
+                this.moveCameraBy(-KEYBOARD_ROTATE_STEP, 0);
+                break;
+            case '+':
+            case '=':
+                this.moveCameraBy(0, 0, 1 / KEYBOARD_ZOOM_FACTOR);
+                break;
+            case '-':
+            case '_':
+                this.moveCameraBy(0, 0, KEYBOARD_ZOOM_FACTOR);
+                break;
+            case 'Tab':
+                // После Escape и за последним участником Tab уводит фокус с глобуса, чтобы клавиатура не застревала в canvas
+                if (this.accessibility.releaseTab) {
+                    this.accessibility.releaseTab = false;
+                    return;
+                }
+                if (!this.focusNextParticipant(event.shiftKey ? -1 : 1)) return;
+                break;
+            case 'Enter':
+                if (!this.selectFocusedParticipant(event.shiftKey)) return;
+                break;
+            case 'Escape':
+                this.accessibility.releaseTab = true;
+                if (!this.clearKeyboardFocus()) return;
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Сдвигает центр вида и расстояние камеры коротким перелетом
+     * Повторные нажатия во время перелета отсчитываются от его цели, поэтому удержание клавиши не теряет шаги
+     * @param {number} latitudeStep - Сдвиг по широте (градусы)
+     * @param {number} longitudeStep - Сдвиг по долготе (градусы)
+     * @param {number} zoomFactor - Множитель расстояния камеры
+     */
+    moveCameraBy(latitudeStep, longitudeStep, zoomFactor = 1) {
+        if (!this.camera) return;
+
+        const flight = this.cameraFlight;
+        const from = flight
+            ? { latitude: flight.latitude, longitude: flight.longitude, zoom: flight.toDistance }
+            : this.getCameraCenter();
+        let longitude = from.longitude + longitudeStep;
+        if (longitude > 180) longitude -= 360;
+        if (longitude < -180) longitude += 360;
+
+        this.flyTo(Math.max(-85, Math.min(85, from.latitude + latitudeStep)), longitude, {
+            zoom: from.zoom * zoomFactor,
+            duration: KEYBOARD_FLIGHT_DURATION
+        });
+    }
+
+    /**
+     * Видимые участники (без отфильтрованных и еще не зарегистрированных на шкале) в порядке имен
+     * Общий порядок для Tab и скрытого списка
+     * @returns {Object[]}
+     */
+    getAccessibleParticipants() {
+        const participants = [];
+        this.pointMetadata.forEach((participant, id) => {
+            if (!this.isParticipantExcluded(id)) participants.push(participant);
+        });
+        return participants.sort((a, b) => String(a.name ?? '').localeCompare(String(b.name ?? '')));
+    }
+
+    /**
+     * Переводит клавиатурный фокус на следующего или предыдущего видимого участника
+     * @param {number} step - 1 вперед, -1 назад
+     * @returns {boolean} false если участники кончились и фокус должен уйти с глобуса
+     */
+    focusNextParticipant(step) {
+        const participants = this.getAccessibleParticipants();
+        const current = participants.findIndex(participant => participant.id.toString() === this.accessibility.focusedId);
+        const next = current < 0 ? (step > 0 ? 0 : participants.length - 1) : current + step;
+        if (next < 0 || next >= participants.length) {
+            this.clearKeyboardFocus();
+            return false;
+        }
+
+        this.focusParticipantWithKeyboard(participants[next]);
+        return true;
+    }
+
+    /**
+     * Наводит камеру на участника, подсвечивает его как при наведении мыши и объявляет имя и город
+     * @param {Object} participant
+     */
+    focusParticipantWithKeyboard(participant) {
+        const id = participant.id.toString();
+        this.accessibility.focusedId = id;
+
+        const flight = this.cameraFlight;
+        this.flyTo(participant.latitude, participant.longitude, {
+            zoom: flight ? flight.toDistance : this.camera.position.length()
+        });
+
+        // После перелета участник оказывается в центре - туда же ставим подсказку
+        const canvas = this.renderer.domElement;
+        this.pointerPosition = {
+            x: (canvas.clientWidth || this.options.width) / 2,
+            y: (canvas.clientHeight || this.options.height) / 2
+        };
+        if (this.participantBuffer) {
+            this.setHoveredPoint(this.participantBuffer.indexOf(id));
+        }
+        this.announce(describeParticipant(participant));
+    }
+
+    /**
+     * Выбирает участника под клавиатурным фокусом так же, как клик мышью
+     * @param {boolean} additive - Добавить к выбору или убрать из него (как Shift+клик)
+     * @returns {boolean} true если участник в фокусе есть
+     */
+    selectFocusedParticipant(additive) {
+        const participant = this.getParticipantById(this.accessibility.focusedId);
+        if (!participant) return false;
+
+        const id = participant.id.toString();
+        if (additive) {
+            this.toggleParticipantSelection(id);
+        } else {
+            this.selectParticipant(id);
+        }
+        if (this.callbacks.onParticipantClick) {
+            this.callbacks.onParticipantClick(participant);
+        }
+        this.announce(`${this.selectedIds.has(id) ? 'Выбран' : 'Снят выбор'}: ${describeParticipant(participant)}`);
+        return true;
+    }
+
+    /**
+     * @returns {boolean} true если фокус был на участнике
+     */
+    clearKeyboardFocus() {
+        const a11y = this.accessibility;
+        if (a11y.focusedId === null) return false;
+
+        if (this.hoveredPoint && this.hoveredPoint.participant.id.toString() === a11y.focusedId) {
+            this.setHoveredPoint(null);
+        }
+        a11y.focusedId = null;
+        return true;
+    }
+
+    announce(text) {
+        if (this.accessibility.liveRegion) {
+            this.accessibility.liveRegion.textContent = text;
+        }
+    }
+
+    invalidateAccessibleList() {
+        this.accessibility.listDirty = true;
+    }
+
+    /**
+     * Перестраивает скрытый список видимых участников не чаще ACCESSIBLE_LIST_INTERVAL
+     * Вызывается каждый кадр из animate
+     */
+    updateAccessibleList() {
+        const a11y = this.accessibility;
+        if (!a11y.list || !a11y.listDirty) return;
+
+        const now = Date.now();
+        if (now - a11y.listUpdated < ACCESSIBLE_LIST_INTERVAL) return;
+        a11y.listDirty = false;
+        a11y.listUpdated = now;
+
+        // textContent - данные участников вводятся пользователями
+        a11y.list.innerHTML = '';
+        this.getAccessibleParticipants().forEach(participant => {
+            const item = document.createElement('li');
+            item.textContent = describeParticipant(participant);
+            a11y.list.appendChild(item);
+        });
+    }
+
+    onMouseClick(event) {
+        // Клик, завершающий вращение глобуса мышью, не считается выбором точки
+        if (this.pointerDownPosition) {
+            const dx = event.clientX - this.pointerDownPosition.x;
+            const dy = event.clientY - this.pointerDownPosition.y;
+            this.pointerDownPosition = null;
+            if (dx * dx + dy * dy > 25) return;
+        }
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        const cluster = this.pickCluster();
+        if (cluster) {
+            this.onClusterClick(cluster);
+            return;
+        }
+
+        const pointIndex = this.pickParticipantIndex();
+        if (pointIndex !== null) {
+            const metadata = this.getParticipantByPointIndex(pointIndex);
+            // Shift+клик добавляет участника к выбору или убирает из него
+            if (event.shiftKey) {
+                this.toggleParticipantSelection(metadata.id);
+            } else {
+                this.selectParticipant(metadata.id);
+            }
+            if (this.callbacks.onParticipantClick) {
+                this.callbacks.onParticipantClick(metadata);
+            }
+            return;
+        }
+
+        if (!event.shiftKey) {
+            this.clearSelection();
+        }
+        if (this.collapseCluster()) {
+            this.invalidateClusters();
+        }
+
+        const location = this.getSurfaceLatLng();
+        if (location && this.callbacks.onGlobeClick) {
+            this.callbacks.onGlobeClick(location.latitude, location.longitude);
+        }
+    }
+
+    /**
+     * Находит точку поверхности Земли под текущим положением мыши
+     * Учитывает вращение earthGroup, поэтому координаты совпадают с latLngToVector3
+     * @returns {{latitude:number, longitude:number}|null} Координаты или null, если луч не попал в Землю
+     */
+    getSurfaceLatLng() {
+        if (!this.earth) return null;
+
+        const intersects = this.raycaster.intersectObject(this.earth, false);
+        if (intersects.length === 0) return null;
+
+        const localPoint = this.earthGroup.worldToLocal(intersects[0].point.clone());
+        return this.vector3ToLatLng(localPoint.x, localPoint.y, localPoint.z);
+    }
+
+    onMouseMove(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.pointerPosition = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        this.isPointerOver = true;
+    }
+
+    onMouseLeave() {
+        this.isPointerOver = false;
+        this.setHoveredPoint(null);
+        this.setHoveredHexBin(null);
+    }
+
+    /**
+     * Возвращает участника по индексу вершины в буфере точек
+     * @param {number} index - Индекс вершины
+     * @returns {Object|undefined}
+     */
+    getParticipantByPointIndex(index) {
+        if (!this.participantBuffer) return undefined;
+        return this.pointMetadata.get(this.participantBuffer.idAt(index));
+    }
+
+    /**
+     * Находит участника по ID
+     * @param {string|number} participantId - ID участника
+     * @returns {Object|undefined}
+     */
+    getParticipantById(participantId) {
+        if (participantId === null || participantId === undefined) return undefined;
+        return this.pointMetadata.get(participantId.toString());
+    }
+
+    /**
+     * Выбирает участника
+     * @param {string|number} participantId - ID участника
+     * @param {Object} options - additive: добавить к текущему выбору,
+     *                           focus: навести камеру на участника, zoom: расстояние камеры
+     * @returns {boolean} true если участник найден
+     */
+    selectParticipant(participantId, options = {}) {
+        const participant = this.getParticipantById(participantId);
+        if (!participant) return false;
+
+        const ids = options.additive ? new Set(this.selectedIds) : new Set();
+        ids.add(participant.id.toString());
+        this.setSelection(ids);
+
+        if (options.focus) {
+            this.centerOn(participant.latitude, participant.longitude, options.zoom);
+        }
+        return true;
+    }
+
+    /**
+     * Убирает участника из выбора
+     * @param {string|number} participantId - ID участника
+     * @returns {boolean} true если участник был выбран
+     */
+    deselectParticipant(participantId) {
+        const key = participantId.toString();
+        if (!this.selectedIds.has(key)) return false;
+
+        const ids = new Set(this.selectedIds);
+        ids.delete(key);
+        this.setSelection(ids);
+        return true;
+    }
+
+    toggleParticipantSelection(participantId) {
+        if (this.selectedIds.has(participantId.toString())) {
+            return this.deselectParticipant(participantId);
+        }
+        return this.selectParticipant(participantId, { additive: true });
+    }
+
+    clearSelection() {
+        this.setSelection(new Set());
+        return true;
+    }
+
+    /**
+     * @returns {string[]} ID выбранных участников
+     */
+    getSelection() {
+        return Array.from(this.selectedIds);
+    }
+
+    /**
+     * Заменяет выбор, перерисовывает кольца и уведомляет .NET, если выбор изменился
+     * @param {Set<string>} ids - Новый набор ID
+     */
+    setSelection(ids) {
+        const changed = ids.size !== this.selectedIds.size ||
+            Array.from(ids).some(id => !this.selectedIds.has(id));
+        if (!changed) return;
+
+        this.selectedIds = ids;
+        this.updateSelectionRings();
+        this.invalidateLabels();
+        if (this.callbacks.onSelectionChange) {
+            this.callbacks.onSelectionChange(this.getSelection());
+        }
+    }
+
+    /**
+     * Убирает из выбора участников, которых больше нет на глобусе, и обновляет кольца
+     */
+    refreshSelection() {
+        const ids = new Set(Array.from(this.selectedIds).filter(id => this.getParticipantById(id)));
+        if (ids.size !== this.selectedIds.size) {
+            this.setSelection(ids);
+        } else {
+            this.updateSelectionRings();
+        }
+    }
+
+    /**
+     * Рисует кольца вокруг выбранных участников
+     */
+    updateSelectionRings() {
+        if (this.selectionRings) {
+            this.earthGroup.remove(this.selectionRings);
+            this.selectionRings.geometry.dispose();
+            // Текстура кольца создается для каждого набора колец, а material.dispose() ее не освобождает
+            this.selectionRings.material.uniforms.pointTexture.value.dispose();
+            this.selectionRings.material.dispose();
+            this.selectionRings = null;
+        }
+
+        const participants = Array.from(this.selectedIds)
+            .map(id => this.getParticipantById(id))
+            .filter(Boolean);
+        if (participants.length === 0 || !this.earthGroup) return;
+
+        const radius = 1 + this.options.participantPointOffset;
+        const color = new THREE.Color(this.options.highlightedPointColor);
+        const positions = [];
+        const colors = [];
+        const sizes = [];
+        participants.forEach(participant => {
+            const position = this.latLngToVector3(participant.latitude, participant.longitude, radius);
+            positions.push(position.x, position.y, position.z);
+            colors.push(color.r, color.g, color.b);
+            sizes.push(this.options.participantPointSize * 3);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.Float32BufferAttribute(sizes, 1));
+
+        this.selectionRings = new THREE.Points(geometry, this.createPointsMaterial(this.createRingTexture()));
+        this.earthGroup.add(this.selectionRings);
+    }
+
+    /**
+     * Определяет точку участника под курсором
+     * Вызывается каждый кадр, так как глобус вращается и под неподвижной мышью
+     */
+    updateHover() {
+        if (!this.isPointerOver || (this.participantPoints.length === 0 && !this.hexBins.mesh)) return;
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        // Точка участника важнее ячейки под ней; подсказку ячейки снимаем до показа подсказки точки
+        const pointIndex = this.pickParticipantIndex();
+        if (pointIndex !== null) {
+            this.setHoveredHexBin(null);
+        }
+        this.setHoveredPoint(pointIndex);
+        if (pointIndex === null) {
+            this.setHoveredHexBin(this.pickHexBin());
+        }
+        if (this.hoveredPoint || this.hexBins.hovered) {
+            this.positionTooltip();
+        }
+    }
+
+    /**
+     * Находит ближайшую видимую точку участника на луче raycaster
+     * Точки на обратной стороне Земли тоже пересекаются лучом - отбрасываем закрытые сферой
+     * @returns {number|null} Индекс вершины или null
+     */
+    pickParticipantIndex() {
+        if (this.participantPoints.length === 0) return null;
+
+        const intersects = this.raycaster.intersectObjects(this.participantPoints);
+        const earthDistance = this.getEarthHitDistance();
+        const hit = intersects.find(intersection => {
+            if (intersection.distance > earthDistance + 0.05) return false;
+            const participant = this.getParticipantByPointIndex(intersection.index);
+            return participant && !this.isParticipantHidden(participant.id.toString());
+        });
+
+        return hit ? hit.index : null;
+    }
+
+    /**
+     * Расстояние по лучу raycaster до поверхности Земли (Infinity, если луч мимо)
+     */
+    getEarthHitDistance() {
+        const earthHits = this.earth ? this.raycaster.intersectObject(this.earth, false) : [];
+        return earthHits.length > 0 ? earthHits[0].distance : Infinity;
+    }
+
+    /**
+     * Подсвечивает точку участника и показывает подсказку
+     * @param {number|null} index - Индекс вершины или null, чтобы снять подсветку
+     */
+    setHoveredPoint(index) {
+        const previous = this.hoveredPoint;
+        if (previous && previous.index === index) return;
+
+        const buffer = this.participantBuffer;
+
+        if (previous) {
+            if (buffer && buffer.idAt(previous.index) !== undefined) {
+                buffer.setColor(previous.index, previous.color);
+                buffer.setSize(previous.index, previous.size);
+            }
+            this.hoveredPoint = null;
+            this.hideTooltip();
+            this.renderer.domElement.style.cursor = '';
+            if (this.callbacks.onParticipantLeave) {
+                this.callbacks.onParticipantLeave(previous.participant);
+            }
+        }
+
+        const participant = index === null ? undefined : this.getParticipantByPointIndex(index);
+        if (!buffer || !participant) return;
+
+        this.hoveredPoint = {
+            index,
+            participant,
+            color: buffer.getColor(index),
+            size: buffer.getSize(index)
+        };
+
+        buffer.setColor(index, new THREE.Color(this.options.highlightedPointColor));
+        buffer.setSize(index, this.hoveredPoint.size * 1.6);
+
+        this.showTooltip(participant);
+        this.renderer.domElement.style.cursor = 'pointer';
+        if (this.callbacks.onParticipantHover) {
+            this.callbacks.onParticipantHover(participant);
+        }
+    }
+
+    /**
+     * Показывает HTML подсказку с именем, городом и навыками участника
+     * @param {Object} participant - Данные участника
+     */
+    showTooltip(participant) {
+        const location = [participant.city, participant.country].filter(Boolean).join(', ');
+        this.showTooltipLines([
+            [participant.name, 'globe-tooltip-name'],
+            [location && `📍 ${location}`, 'globe-tooltip-location'],
+            [participant.skills && `🛠 ${participant.skills}`, 'globe-tooltip-skills']
+        ]);
+    }
+
+    /**
+     * Показывает HTML подсказку из строк [текст, CSS класс]; пустые строки пропускаются
+     * @param {Array<[string, string]>} lines - Строки подсказки
+     */
+    showTooltipLines(lines) {
+        if (!this.container) return;
+
+        if (!this.tooltip) {
+            this.tooltip = document.createElement('div');
+            this.tooltip.className = 'globe-tooltip';
+            this.tooltip.style.position = 'absolute';
+            this.tooltip.style.pointerEvents = 'none';
+            this.container.appendChild(this.tooltip);
+        }
+
+        // Собираем содержимое через textContent - данные участников вводятся пользователями
+        this.tooltip.innerHTML = '';
+        lines.forEach(([text, className]) => {
+            if (!text) return;
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            this.tooltip.appendChild(line);
+        });
+
+        this.tooltip.style.display = 'block';
+        this.positionTooltip();
+    }
+
+    positionTooltip() {
+        if (!this.tooltip) return;
+        this.tooltip.style.left = `${this.pointerPosition.x + 12}px`;
+        this.tooltip.style.top = `${this.pointerPosition.y + 12}px`;
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.display = 'none';
+        }
+    }
+
+    onWindowResize() {
+        if (!this.container) {
+            this.container = this.getContainer();
+        }
+
+        if (this.container) {
+            const rect = this.container.getBoundingClientRect();
+            this.options.width = rect.width || this.options.width;
+            this.options.height = rect.height || this.options.height;
+
+            this.camera.aspect = this.options.width / this.options.height;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setSize(this.options.width, this.options.height);
+            this.invalidateLabels();
+        }
+    }
+
+    /**
+      * Заменяет всех участников на глобусе переданным массивом
+      * @param {Array} participants - Массив объектов участников с координатами
+      */
+     addParticipants(participants) {
+         console.log(`🎯 addParticipants вызван для контейнера ${this.containerId}:`, participants?.length || 0, 'участников');
+
+         if (!this.state.isInitialized) {
+             console.log(`❌ Глобус ${this.containerId} не инициализирован, планирую повтор через 500ms`);
+             setTimeout(() => this.addParticipants(participants), 500);
+             return false;
+         }
+
+         this.clearParticipants();
+         if (!participants || participants.length === 0) {
+             console.log(`📊 Нет участников для добавления на глобус ${this.containerId}`);
+             this.pruneLabelTextures();
+             this.pruneAvatarSlots();
+             this.refreshSelection();
+             return true;
+         }
+
+         try {
+            if (this.participantBuffer) {
+                this.participantBuffer.reserve(participants.length);
+            } else {
+                this.createParticipantBuffer(participants.length);
+            }
+            const added = participants.filter(participant => this.addParticipantToLayer(participant)).length;
+            this.pruneLabelTextures();
+            this.pruneAvatarSlots();
+
+            console.log(`🎯 Создано ${added} точек участников из ${participants.length}`);
+            this.invalidateChoropleth();
+            this.invalidateHeatmap();
+            this.invalidateHexBins();
+            this.invalidateClusters();
+            this.invalidateAccessibleList();
+            this.invalidateTimeline();
+            this.refreshSelection();
+            this.applyPendingSelection();
+            this.refreshConnections();
+
+            console.log(`✅ Добавлено ${added} участников на глобус`);
+        console.log(`📊 Общее количество объектов в earthGroup: ${this.earthGroup.children.length}`);
+
+            // Принудительно обновляем рендер для немедленного отображения точек
+            if (this.renderer && this.scene && this.camera) {
+                console.log(`🔄 Принудительный рендер сцены для контейнера ${this.containerId}`);
+                this.renderer.render(this.scene, this.camera);
+            }
+
+            console.log(`📈 Финальное состояние для контейнера ${this.containerId}:`);
+            console.log(`   - Точек участников: ${this.state.participantCount}`);
+            console.log(`   - Объектов в сцене: ${this.scene.children.length}`);
+            console.log(`   - Объектов в earthGroup: ${this.earthGroup.children.length}`);
+
+            return true;
+        } catch (error) {
+            console.error('Error adding participants:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Создает пустой пул точек участников и добавляет его в earthGroup
+     * Пул живет до dispose глобуса: очистка и замена участников только освобождают слоты
+     * @param {number} capacity - Ожидаемое количество участников
+     */
+    createParticipantBuffer(capacity) {
+        const size = Math.max(capacity, this.options.participantBufferCapacity || 0);
+        this.participantBuffer = new ParticipantPointBuffer(this.createPointsMaterial(), size);
+        this.applyIconAtlas();
+        this.earthGroup.add(this.participantBuffer.points); // Добавляем в earthGroup чтобы точки вращались с глобусом
+        this.participantPoints = [this.participantBuffer.points];
+    }
+
+    /**
+     * Проверяет, что у участника есть ID и координаты в допустимых пределах
+     * @param {Object} participant - Данные участника
+     * @returns {boolean}
+     */
+    isValidParticipant(participant) {
+        if (!participant || participant.id === null || participant.id === undefined) {
+            console.warn('⚠️ Пропускаем участника без ID:', participant);
+            return false;
+        }
+
+        if (!isValidLatLng(participant.latitude, participant.longitude)) {
+            console.warn(`⚠️ Пропускаем участника ${participant.name}: некорректные координаты (${participant.latitude}, ${participant.longitude})`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Добавляет одного участника в буфер точек, метаданные и метки
+     * @param {Object} participant - Данные участника
+     * @returns {boolean} true если участник добавлен
+     */
+    addParticipantToLayer(participant) {
+        if (!this.isValidParticipant(participant)) return false;
+
+        const id = participant.id.toString();
+        if (this.pointMetadata.has(id)) {
+            console.warn(`⚠️ Пропускаем дубликат участника с ID ${id}`);
+            return false;
+        }
+
+        if (!this.participantBuffer) {
+            this.createParticipantBuffer(1);
+        }
+
+        const radius = 1 + this.options.participantPointOffset;
+        const position = this.latLngToVector3(participant.latitude, participant.longitude, radius);
+        const style = this.resolveParticipantStyle(participant);
+        this.participantBuffer.add(id, position, this.getParticipantBaseColor(participant, style), style.size, style.icon);
+        this.pointMetadata.set(id, participant);
+        this.applyFilterTo(id);
+
+        const label = this.createParticipantLabel(participant);
+        if (label) {
+            this.earthGroup.add(label);
+            this.participantLabels.set(id, label);
+            this.invalidateLabels();
+        }
+
+        this.state.participantCount = this.participantBuffer.count;
+        return true;
+    }
+
+    /**
+     * Удаляет одного участника из буфера точек, метаданных и меток
+     * @param {string} id - ID участника
+     * @returns {boolean} true если участник был на глобусе
+     */
+    removeParticipantFromLayer(id) {
+        if (!this.participantBuffer || !this.pointMetadata.has(id)) return false;
+
+        // Индексы остальных точек не меняются - подсветку снимаем только с удаляемой
+        if (this.hoveredPoint && this.hoveredPoint.participant.id.toString() === id) {
+            this.setHoveredPoint(null);
+        }
+
+        this.participantBuffer.remove(id);
+        this.pointMetadata.delete(id);
+        this.filter.hiddenIds.delete(id);
+        this.filter.fading.delete(id);
+        this.searchIndex.delete(id);
+        this.localTime.periodById.delete(id);
+
+        const label = this.participantLabels.get(id);
+        if (label) {
+            this.disposeLabel(label);
+            this.participantLabels.delete(id);
+            this.invalidateLabels();
+        }
+        this.releaseLabelTexture(id);
+        this.releaseAvatarSlot(id);
+
+        this.state.participantCount = this.participantBuffer.count;
+        return true;
+    }
+
+    /**
+     * Очищает всех участников с глобуса
+     * Удаляет точки участников и очищает метаданные
+     */
+    clearParticipants() {
+        // Все слоты освобождаются, восстанавливать подсвеченную вершину не нужно
+        if (this.hoveredPoint) {
+            this.hoveredPoint = null;
+            this.hideTooltip();
+        }
+        if (this.participantBuffer) {
+            this.participantBuffer.clear();
+        }
+        // Текстуры имен остаются в кэше: addParticipants переиспользует их для тех же участников
+        this.participantLabels.forEach(label => this.disposeLabel(label));
+        this.participantLabels.clear();
+        this.pointMetadata.clear();
+        this.localTime.periodById.clear();
+        this.filter.hiddenIds.clear();
+        this.filter.fading.clear();
+        this.searchIndex.clear();
+        this.state.participantCount = 0;
+        this.invalidateChoropleth();
+        this.invalidateHeatmap();
+        this.invalidateHexBins();
+        this.invalidateClusters();
+        this.invalidateAccessibleList();
+        this.invalidateTimeline();
+        this.refreshConnections();
+        console.log('🧹 Очищены все точки участников');
+    }
+
+    latLngToVector3(lat, lng, radius = 1) {
+        const phi = (90 - lat) * (Math.PI / 180);
+        const theta = (lng + 180) * (Math.PI / 180);
+        return {
+            x: -(radius * Math.sin(phi) * Math.cos(theta)),
+            z: (radius * Math.sin(phi) * Math.sin(theta)),
+            y: (radius * Math.cos(phi))
+        };
+    }
+
+    /**
+     * Обратное преобразование к latLngToVector3
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {{latitude:number, longitude:number}} Координаты в градусах
+     */
+    vector3ToLatLng(x, y, z) {
+        const radius = Math.sqrt(x * x + y * y + z * z) || 1;
+        const phi = Math.acos(Math.min(1, Math.max(-1, y / radius)));
+        const theta = Math.atan2(z, -x);
+        let longitude = theta * (180 / Math.PI) - 180;
+        if (longitude < -180) longitude += 360;
+        return {
+            latitude: 90 - phi * (180 / Math.PI),
+            longitude
+        };
+    }
+
+    /**
+     * Создает шейдерный материал для точек с атрибутами color, size и необязательными visibility и icon
+     * Точка с icon >= 0 рисуется ячейкой атласа iconAtlas (без окраски color), остальные - текстурой точки
+     * @param {THREE.Texture} texture - Текстура спрайта точки (по умолчанию размытый круг)
+     * @returns {THREE.ShaderMaterial}
+     */
+    createPointsMaterial(texture = this.createCircleTexture()) {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                pointTexture: { value: texture },
+                iconAtlas: { value: null },
+                iconGrid: { value: new THREE.Vector2(1, 1) } // Колонки и строки атласа
+            },
+            vertexShader: `
+                attribute float size;
+                attribute vec3 color;
+                attribute float visibility;
+                attribute float icon;
+                varying vec3 vColor;
+                varying float vVisibility;
+                varying float vIcon;
+                void main() {
+                    vColor = color;
+                    vVisibility = visibility;
+                    vIcon = icon;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_PointSize = size * visibility * (150.0 / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D pointTexture;
+                uniform sampler2D iconAtlas;
+                uniform vec2 iconGrid;
+                varying vec3 vColor;
+                varying float vVisibility;
+                varying float vIcon;
+                void main() {
+                    if (vIcon >= 0.0) {
+                        // Строки атласа считаются сверху, gl_PointCoord.y тоже растет вниз
+                        vec2 cell = vec2(mod(vIcon, iconGrid.x), floor(vIcon / iconGrid.x));
+                        vec2 uv = (cell + gl_PointCoord) / iconGrid;
+                        vec4 sprite = texture2D(iconAtlas, vec2(uv.x, 1.0 - uv.y));
+                        gl_FragColor = vec4(sprite.rgb, sprite.a * vVisibility);
+                    } else {
+                        gl_FragColor = vec4(vColor, vVisibility);
+                        gl_FragColor = gl_FragColor * texture2D(pointTexture, gl_PointCoord);
+                    }
+                }
+            `,
+            transparent: true
+        });
+        // Геометрии без атрибутов visibility и icon (границы стран, кольца выбора) отображаются полностью и без иконок
+        material.defaultAttributeValues.visibility = [1];
+        material.defaultAttributeValues.icon = [-1];
+        return material;
+    }
+
+    createCircleTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        const centerX = canvas.width / 2;
+        const centerY = canvas.height / 2;
+        const radius = canvas.width / 2;
+
+        const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.2, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.8)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        ctx.fill();
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    createRingTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 1)';
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(canvas.width / 2, canvas.height / 2, canvas.width / 2 - 4, 0, 2 * Math.PI);
+        ctx.stroke();
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    /**
+     * Создает спрайт с именем участника над его точкой
+     * @param {Object} participant - Данные участника
+     * @returns {THREE.Sprite|null} Спрайт или null для участника без имени
+     */
+    createParticipantLabel(participant) {
+        // Проверка валидности данных
+        if (!participant.name || participant.name.trim() === '') {
+            console.warn(`⚠️ Пропускаем метку для участника без имени (ID ${participant.id})`);
+            return null;
+        }
+
+        try {
+            const texture = this.getLabelTexture(participant);
+            // Размер метки задается в экранных единицах и не зависит от расстояния камеры (см. updateLabels)
+            const material = new THREE.SpriteMaterial({ map: texture, sizeAttenuation: false });
+            const sprite = new THREE.Sprite(material);
+            sprite.center.set(0.5, 0); // Метка стоит над точкой, а не закрывает ее
+            sprite.visible = false; // Видимость определяет раскладка меток
+            sprite.userData.aspect = texture.image.width / texture.image.height;
+            sprite.userData.sequence = ++this.labelLayout.sequence;
+            sprite.userData.registeredAt = parseUtcTime(participant.registeredAt || participant.timestamp) || 0;
+
+            this.positionParticipantLabel(sprite, participant);
+            return sprite;
+        } catch (error) {
+            console.error(`❌ Ошибка создания метки для участника ${participant.name}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Возвращает текстуру с именем участника из кэша или отрисовывает новую
+     * Кэш привязан к ID: текстура перерисовывается, только если имя изменилось
+     * @param {Object} participant - Данные участника
+     * @returns {THREE.CanvasTexture}
+     */
+    getLabelTexture(participant) {
+        const id = participant.id.toString();
+        const cached = this.labelTextures.get(id);
+        if (cached && cached.name === participant.name) {
+            return cached.texture;
+        }
+        if (cached) {
+            cached.texture.dispose();
+        }
+
+        const texture = this.renderLabelTexture(participant.name);
+        this.labelTextures.set(id, { name: participant.name, texture });
+        return texture;
+    }
+
+    renderLabelTexture(name) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        const fontSize = 24;
+        const scale = 2;
+
+        ctx.font = `${fontSize}px Arial`;
+        const textWidth = ctx.measureText(name).width;
+        canvas.width = (textWidth + 20) * scale;
+        canvas.height = (fontSize + 10) * scale;
+        ctx.scale(scale, scale);
+
+        // Полупрозрачный фон для лучшей читаемости
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, textWidth + 20, fontSize + 10);
+
+        // Белая рамка
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(0, 0, textWidth + 20, fontSize + 10);
+
+        // Текст
+        ctx.fillStyle = 'white';
+        ctx.font = `${fontSize}px Arial`;
+        ctx.fillText(name, 10, fontSize + 2);
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    releaseLabelTexture(id) {
+        const cached = this.labelTextures.get(id);
+        if (cached) {
+            cached.texture.dispose();
+            this.labelTextures.delete(id);
+        }
+    }
+
+    /**
+     * Освобождает кэшированные текстуры имен участников, которых больше нет на глобусе
+     */
+    pruneLabelTextures() {
+        Array.from(this.labelTextures.keys())
+            .filter(id => !this.pointMetadata.has(id))
+            .forEach(id => this.releaseLabelTexture(id));
+    }
+
+    positionParticipantLabel(sprite, participant) {
+        const radius = 1 + this.options.participantPointOffset + 0.03;
+        const position = this.latLngToVector3(participant.latitude, participant.longitude, radius);
+        sprite.position.set(position.x, position.y, position.z);
+        this.invalidateLabels();
+    }
+
+    /**
+     * Помечает раскладку меток для пересчета в следующем кадре
+     */
+    invalidateLabels() {
+        this.labelLayout.dirty = true;
+    }
+
+    /**
+     * Раскладывает метки с именами: скрывает метки на обратной стороне Земли и внутри кластеров,
+     * а из пересекающихся на экране оставляет более приоритетные -
+     * выбранных участников, затем недавно зарегистрированных, затем остальных.
+     * Вызывается каждый кадр из animate; при движении камеры пересчет ограничен LABEL_LAYOUT_INTERVAL
+     */
+    updateLabels() {
+        const layout = this.labelLayout;
+        if (this.participantLabels.size === 0 || !this.camera || !this.earthGroup) return;
+
+        const camera = this.camera.position;
+        const rotation = this.earthGroup.rotation;
+        const viewKey = [camera.x, camera.y, camera.z, rotation.x, rotation.y, rotation.z]
+            .map(value => value.toFixed(4)).join(',');
+        const now = Date.now();
+        if (!layout.dirty && (viewKey === layout.viewKey || now - layout.lastUpdate < LABEL_LAYOUT_INTERVAL)) return;
+
+        layout.dirty = false;
+        layout.viewKey = viewKey;
+        layout.lastUpdate = now;
+
+        const width = this.renderer.domElement.clientWidth || this.options.width;
+        const height = this.renderer.domElement.clientHeight || this.options.height;
+        this.camera.updateMatrixWorld();
+        this.earthGroup.updateMatrixWorld();
+
+        // С sizeAttenuation: false масштаб спрайта задается в долях высоты экрана
+        const labelHeight = this.options.labelPixelHeight;
+        const scaleY = (labelHeight * 2) / (this.camera.projectionMatrix.elements[5] * height);
+
+        // Метка видна, если камера лежит над касательной плоскостью в ее точке
+        const cameraLocal = this.earthGroup.worldToLocal(camera.clone());
+        const projected = new THREE.Vector3();
+        const candidates = [];
+
+        this.participantLabels.forEach((label, id) => {
+            label.visible = false;
+            if (this.isParticipantHidden(id)) return;
+            if (label.position.dot(cameraLocal) / label.position.length() <= 1) return;
+
+            projected.copy(label.position).applyMatrix4(this.earthGroup.matrixWorld).project(this.camera);
+            if (projected.z > 1) return;
+
+            const labelWidth = labelHeight * label.userData.aspect;
+            const x = (projected.x + 1) / 2 * width;
+            const y = (1 - projected.y) / 2 * height;
+            candidates.push({
+                id,
+                label,
+                selected: this.selectedIds.has(id),
+                rect: { left: x - labelWidth / 2, right: x + labelWidth / 2, top: y - labelHeight, bottom: y }
+            });
+        });
+
+        candidates.sort((a, b) =>
+            (b.selected - a.selected) ||
+            (b.label.userData.registeredAt - a.label.userData.registeredAt) ||
+            (b.label.userData.sequence - a.label.userData.sequence));
+
+        const placed = placeLabelRects(candidates.map(candidate => candidate.rect));
+        candidates.forEach((candidate, i) => {
+            if (!placed[i]) return;
+            candidate.label.visible = true;
+            candidate.label.scale.set(scaleY * candidate.label.userData.aspect, scaleY, 1);
+        });
+    }
+
+    /**
+     * Убирает спрайт метки со сцены; текстура принадлежит кэшу labelTextures
+     */
+    disposeLabel(label) {
+        this.earthGroup.remove(label);
+        label.material.dispose();
+    }
+
+    /**
+     * Отрисовывает границы стран из GeoJSON FeatureCollection
+     * Кольца полигонов проецируются на сферу и рисуются линиями в earthGroup,
+     * в центре каждой страны ставится точка
+     * @param {Object} geoJson - FeatureCollection с геометриями Polygon/MultiPolygon
+     * @returns {boolean} true если границы успешно построены
+     */
+    loadCountries(geoJson) {
+        if (!this.state.isInitialized) {
+            console.log(`❌ Глобус ${this.containerId} не инициализирован`);
+            return false;
+        }
+
+        if (!geoJson || !Array.isArray(geoJson.features)) {
+            console.warn('⚠️ loadCountries: ожидается GeoJSON FeatureCollection');
+            return false;
+        }
+
+        this.clearCountries();
+
+        try {
+            const radius = 1.002; // Чуть выше поверхности, чтобы линии не мерцали
+            const lineMaterial = new THREE.LineBasicMaterial({
+                color: new THREE.Color(this.options.countryLineColor),
+                linewidth: this.options.countryLineWidth
+            });
+            const pointColor = new THREE.Color(this.options.countryPointColor);
+            const pointPositions = [];
+            const pointColors = [];
+            const pointSizes = [];
+
+            this.indexCountries(geoJson);
+
+            this.countryFeatures.forEach((country, featureIndex) => {
+                const positions = [];
+                country.polygons.forEach(polygon => {
+                    polygon.forEach(ring => this.appendRingSegments(ring, radius, positions));
+                });
+                if (positions.length === 0) return;
+
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+                const lines = new THREE.LineSegments(geometry, lineMaterial);
+                lines.userData = { featureIndex, properties: country.properties };
+                this.earthGroup.add(lines);
+                this.countryPolygons.push(lines);
+
+                const centerPosition = this.latLngToVector3(country.center.latitude, country.center.longitude, radius);
+                pointPositions.push(centerPosition.x, centerPosition.y, centerPosition.z);
+                pointColors.push(pointColor.r, pointColor.g, pointColor.b);
+                pointSizes.push(this.options.countryPointSize);
+            });
+
+            if (pointPositions.length > 0) {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(pointPositions, 3));
+                geometry.setAttribute('color', new THREE.Float32BufferAttribute(pointColors, 3));
+                geometry.setAttribute('size', new THREE.Float32BufferAttribute(pointSizes, 1));
+                this.countryPoints = new THREE.Points(geometry, this.createPointsMaterial());
+                this.earthGroup.add(this.countryPoints);
+            }
+
+            this.state.countryCount = this.countryFeatures.length;
+            this.invalidateChoropleth();
+            console.log(`🗺️ Отрисовано ${this.state.countryCount} стран на глобусе ${this.containerId}`);
+            return true;
+        } catch (error) {
+            console.error('Error loading countries:', error);
+            this.clearCountries();
+            return false;
+        }
+    }
+
+    /**
+     * Разбирает GeoJSON стран и строит пространственный индекс для поиска страны по координатам
+     * Ничего не рисует - используется и для отрисовки границ, и для getCountryAt
+     * @param {Object} geoJson - FeatureCollection с геометриями Polygon/MultiPolygon
+     * @returns {number} Количество проиндексированных стран
+     */
+    indexCountries(geoJson) {
+        this.countryFeatures = [];
+
+        geoJson.features.forEach(feature => {
+            const polygons = getFeaturePolygons(feature);
+            if (polygons.length === 0) return;
+
+            this.countryFeatures.push({
+                id: feature.id,
+                properties: feature.properties || {},
+                polygons,
+                center: this.getPolygonsCenter(polygons),
+                bounds: getPolygonsBounds(polygons)
+            });
+        });
+
+        this.countryIndex = new CountrySpatialIndex(this.countryFeatures);
+        this.invalidateChoropleth();
+        return this.countryFeatures.length;
+    }
+
+    /**
+     * Определяет страну по координатам
+     * @param {number} latitude - Широта
+     * @param {number} longitude - Долгота
+     * @returns {Object|null} Свойства GeoJSON страны (id объекта GeoJSON, если он есть, заменяет свойство id), или null
+     */
+    getCountryAt(latitude, longitude) {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+            isNaN(latitude) || isNaN(longitude)) {
+            return null;
+        }
+
+        const index = this.findCountryIndex(latitude, longitude);
+        if (index === -1) return null;
+
+        const country = this.countryFeatures[index];
+        const properties = { ...country.properties };
+        // id объекта GeoJSON важнее одноименного свойства; без него остается id из properties
+        if (country.id !== undefined) {
+            properties.id = country.id;
+        }
+        return properties;
+    }
+
+    /**
+     * Пакетный вариант getCountryAt
+     * @param {Array<{latitude:number, longitude:number}>} points - Координаты для поиска
+     * @returns {Array<Object|null>} Свойства стран в том же порядке, что и points
+     */
+    getCountriesAt(points) {
+        if (!Array.isArray(points)) return [];
+        return points.map(point => point ? this.getCountryAt(point.latitude, point.longitude) : null);
+    }
+
+    /**
+     * Добавляет отрезки кольца полигона в массив позиций для LineSegments
+     * Длинные отрезки дробятся по дуге большого круга
+     * @param {Array} ring - Массив координат [lng, lat]
+     * @param {number} radius - Радиус сферы, на которую проецируется кольцо
+     * @param {number[]} positions - Массив, в который добавляются пары вершин
+     */
+    appendRingSegments(ring, radius, positions) {
+        if (!Array.isArray(ring) || ring.length < 2) return;
+
+        const vertices = ring
+            .filter(coord => Array.isArray(coord) && isFinite(coord[0]) && isFinite(coord[1]))
+            .map(coord => this.latLngToVector3(coord[1], coord[0], 1));
+        if (vertices.length < 2) return;
+
+        // Замыкаем кольцо, если в данных последняя точка не совпадает с первой
+        const first = vertices[0];
+        const last = vertices[vertices.length - 1];
+        if (first.x !== last.x || first.y !== last.y || first.z !== last.z) {
+            vertices.push(first);
+        }
+
+        for (let i = 0; i < vertices.length - 1; i++) {
+            const a = vertices[i];
+            const b = vertices[i + 1];
+            const dot = Math.min(1, Math.max(-1, a.x * b.x + a.y * b.y + a.z * b.z));
+            const steps = Math.max(1, Math.ceil(Math.acos(dot) / MAX_SEGMENT_ANGLE));
+
+            let previous = a;
+            for (let step = 1; step <= steps; step++) {
+                const next = step === steps ? b : slerpUnitVectors(a, b, step / steps);
+                positions.push(
+                    previous.x * radius, previous.y * radius, previous.z * radius,
+                    next.x * radius, next.y * radius, next.z * radius
+                );
+                previous = next;
+            }
+        }
+    }
+
+    /**
+     * Вычисляет центр страны по внешнему кольцу самого крупного полигона
+     * @param {Array} polygons - Полигоны страны
+     * @returns {{latitude:number, longitude:number}}
+     */
+    getPolygonsCenter(polygons) {
+        const outerRing = polygons
+            .map(polygon => polygon[0] || [])
+            .reduce((largest, ring) => ring.length > largest.length ? ring : largest, []);
+
+        // Замыкающая вершина дублирует первую и смещала бы центр
+        const firstCoord = outerRing[0];
+        const lastCoord = outerRing[outerRing.length - 1];
+        const coords = outerRing.length > 1 && firstCoord[0] === lastCoord[0] && firstCoord[1] === lastCoord[1]
+            ? outerRing.slice(0, -1)
+            : outerRing;
+
+        const sum = { x: 0, y: 0, z: 0 };
+        coords.forEach(coord => {
+            const v = this.latLngToVector3(coord[1], coord[0], 1);
+            sum.x += v.x;
+            sum.y += v.y;
+            sum.z += v.z;
+        });
+
+        return this.vector3ToLatLng(sum.x, sum.y, sum.z);
+    }
+
+    /**
+     * Удаляет границы стран с глобуса
+     */
+    clearCountries() {
+        const materials = new Set();
+        this.countryPolygons.forEach(lines => {
+            this.earthGroup.remove(lines);
+            lines.geometry.dispose();
+            materials.add(lines.material);
+        });
+        materials.forEach(material => material.dispose());
+
+        if (this.countryPoints) {
+            this.earthGroup.remove(this.countryPoints);
+            this.countryPoints.geometry.dispose();
+            // material.dispose() не освобождает текстуры из uniforms
+            this.countryPoints.material.uniforms.pointTexture.value.dispose();
+            this.countryPoints.material.dispose();
+            this.countryPoints = null;
+        }
+
+        this.countryPolygons = [];
+        this.countryFeatures = [];
+        this.countryIndex = null;
+        this.state.countryCount = 0;
+        this.invalidateChoropleth();
+    }
+
+    /**
+     * Находит страну, в которую попадает точка
+     * @param {number} latitude - Широта
+     * @param {number} longitude - Долгота
+     * @returns {number} Индекс в countryFeatures или -1
+     */
+    findCountryIndex(latitude, longitude) {
+        return this.countryIndex ? this.countryIndex.query(latitude, longitude) : -1;
+    }
+
+    /**
+     * Включает или выключает режим хороплета - заливку стран по числу участников
+     * @param {boolean} enabled - Включить режим
+     * @param {Object} options - Настройки: palette (массив hex цветов), opacity, zeroColor
+     * @returns {Object|null} Легенда хороплета или null если режим выключен
+     */
+    setChoroplethMode(enabled, options = {}) {
+        if (!this.state.isInitialized) return null;
+
+        if (Array.isArray(options.palette) && options.palette.length > 0) {
+            this.choropleth.palette = options.palette;
+        }
+        if (typeof options.opacity === 'number') {
+            this.choropleth.opacity = options.opacity;
+        }
+        if (options.zeroColor !== undefined) {
+            this.choropleth.zeroColor = options.zeroColor;
+        }
+
+        if (!enabled) {
+            this.removeChoroplethMesh();
+            this.choropleth.enabled = false;
+            this.choropleth.legend = null;
+            return null;
+        }
+
+        this.choropleth.enabled = true;
+        if (!this.choropleth.mesh) {
+            this.createChoroplethMesh();
+        }
+        this.choropleth.mesh.material.opacity = this.choropleth.opacity;
+        this.updateChoropleth();
+        return this.choropleth.legend;
+    }
+
+    createChoroplethMesh() {
+        const canvas = document.createElement('canvas');
+        canvas.width = OVERLAY_TEXTURE_WIDTH;
+        canvas.height = OVERLAY_TEXTURE_HEIGHT;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            opacity: this.choropleth.opacity,
+            depthWrite: false
+        });
+
+        // Между поверхностью Земли и линиями границ (1.002)
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(1.001, 128, 64), material);
+        this.earthGroup.add(mesh);
+
+        this.choropleth.canvas = canvas;
+        this.choropleth.texture = texture;
+        this.choropleth.mesh = mesh;
+    }
+
+    removeChoroplethMesh() {
+        if (!this.choropleth.mesh) return;
+
+        this.earthGroup.remove(this.choropleth.mesh);
+        this.choropleth.mesh.geometry.dispose();
+        this.choropleth.mesh.material.dispose();
+        this.choropleth.texture.dispose();
+        this.choropleth.mesh = null;
+        this.choropleth.texture = null;
+        this.choropleth.canvas = null;
+    }
+
+    /**
+     * Включает или выключает группировку близких точек участников в кластеры
+     * @param {boolean} enabled - Включить кластеризацию
+     * @returns {boolean} true если режим применен
+     */
+    setClustering(enabled) {
+        const clustering = this.clustering;
+        clustering.enabled = !!enabled;
+        this.options.enableClustering = clustering.enabled;
+
+        if (clustering.enabled) {
+            this.invalidateClusters();
+        } else {
+            this.collapseCluster();
+            this.removeClusterSprites();
+            this.setHiddenParticipants(new Set());
+            clustering.level = -1;
+        }
+        return true;
+    }
+
+    /**
+     * Помечает кластеры для пересчета в следующем кадре
+     */
+    invalidateClusters() {
+        if (this.clustering && this.clustering.enabled) {
+            this.clustering.dirty = true;
+        }
+    }
+
+    /**
+     * Диапазон расстояний камеры от центра, на который раскладываются уровни кластеров
+     * @returns {{min: number, max: number}}
+     */
+    getClusterZoomRange() {
+        const minDistance = this.controls ? this.controls.minDistance : this.options.minZoom;
+        const maxDistance = this.controls ? this.controls.maxDistance : this.options.maxZoom;
+        const min = Math.max(minDistance, 1 + CLUSTER_MIN_ALTITUDE);
+        return { min, max: Math.max(maxDistance, min + 1e-6) };
+    }
+
+    /**
+     * Уровень приближения камеры (0 - minZoom, CLUSTER_ZOOM_LEVELS - maxZoom)
+     */
+    getClusterLevel() {
+        const range = this.getClusterZoomRange();
+        const t = Math.min(1, Math.max(0, (this.camera.position.length() - range.min) / (range.max - range.min)));
+        return Math.round(t * CLUSTER_ZOOM_LEVELS);
+    }
+
+    /**
+     * Радиус кластера в радианах для уровня приближения
+     */
+    getClusterAngle(level) {
+        const t = level / CLUSTER_ZOOM_LEVELS;
+        const degrees = this.options.clusterRadiusMin + (this.options.clusterRadiusMax - this.options.clusterRadiusMin) * t;
+        return degrees * (Math.PI / 180);
+    }
+
+    /**
+     * Пересобирает кластеры, если изменились участники или уровень приближения камеры
+     * Вызывается каждый кадр из animate
+     */
+    updateClusters() {
+        const clustering = this.clustering;
+        if (!clustering.enabled || !this.camera) return;
+
+        const level = this.getClusterLevel();
+        if (!clustering.dirty && level === clustering.level) return;
+        if (level !== clustering.level) {
+            // На другом уровне раскрытый кластер может распасться - раскладку сбрасываем
+            this.collapseCluster();
+        }
+        clustering.dirty = false;
+        clustering.level = level;
+
+        const ids = [];
+        const vectors = [];
+        if (this.participantBuffer) {
+            this.participantBuffer.forEach(id => {
+                // Еще не зарегистрированные на шкале времени и отфильтрованные участники не входят в кластеры
+                if (this.isParticipantExcluded(id)) return;
+                const participant = this.pointMetadata.get(id);
+                ids.push(id);
+                vectors.push(this.latLngToVector3(participant.latitude, participant.longitude, 1));
+            });
+        }
+
+        const radius = 1 + this.options.participantPointOffset;
+        const groups = groupPointsByAngle(vectors, this.getClusterAngle(level));
+        const clusters = groups.filter(group => group.length > 1).map(group => {
+            const center = new THREE.Vector3();
+            group.forEach(index => center.add(vectors[index]));
+            center.normalize();
+            // Не Math.max(...array): в большом кластере число аргументов превышает лимит стека
+            const spread = group.reduce((max, index) => Math.max(max, center.angleTo(new THREE.Vector3().copy(vectors[index]))), 0);
+            return {
+                key: ids[group[0]],
+                memberIds: group.map(index => ids[index]),
+                position: center.multiplyScalar(radius),
+                spread
+            };
+        });
+
+        // Раскрытый кластер остается раскрытым, пока его затравка попадает в кластер
+        const expanded = clustering.expanded;
+        let expandedCluster = null;
+        if (expanded) {
+            expandedCluster = clusters.find(cluster => cluster.memberIds.includes(expanded.key)) || null;
+            this.collapseCluster();
+        }
+
+        this.removeClusterSprites();
+        const hiddenIds = new Set();
+        clustering.clusters = clusters.filter(cluster => cluster !== expandedCluster);
+        clustering.clusters.forEach(cluster => {
+            cluster.memberIds.forEach(id => hiddenIds.add(id));
+            cluster.sprite = this.createClusterSprite(cluster);
+            this.earthGroup.add(cluster.sprite);
+        });
+
+        this.setHiddenParticipants(hiddenIds);
+        if (expandedCluster) {
+            this.expandCluster(expandedCluster);
+        }
+        this.state.clusterCount = clustering.clusters.length;
+    }
+
+    /**
+     * Скрывает точки и метки участников внутри кластеров и показывает остальные
+     * @param {Set<string>} hiddenIds - ID участников, скрытых в кластерах
+     */
+    setHiddenParticipants(hiddenIds) {
+        const previous = this.clustering.hiddenIds;
+        this.clustering.hiddenIds = hiddenIds;
+
+        if (this.hoveredPoint && hiddenIds.has(this.hoveredPoint.participant.id.toString())) {
+            this.setHoveredPoint(null);
+        }
+
+        new Set([...previous, ...hiddenIds]).forEach(id => this.applyPointVisibility(id));
+        this.invalidateLabels();
+    }
+
+    /**
+     * Видимость точки участника с учетом кластеров, шкалы регистраций и фильтра
+     * @param {string} id - ID участника
+     * @returns {number} От 0 (скрыта) до 1 (видна полностью)
+     */
+    getPointVisibility(id) {
+        if (this.clustering.hiddenIds.has(id) || this.timeline.hiddenIds.has(id)) return 0;
+
+        const now = Date.now();
+        const appearing = this.timeline.appearing.get(id);
+        let visibility = appearing === undefined ? 1 : Math.min(1, (now - appearing) / TIMELINE_APPEAR_DURATION);
+
+        // Отфильтрованная точка сразу считается скрытой, но гаснет постепенно
+        const fading = this.filter.fading.get(id);
+        const filteredOut = this.filter.hiddenIds.has(id);
+        if (fading !== undefined) {
+            const progress = Math.min(1, (now - fading) / FILTER_FADE_DURATION);
+            visibility *= filteredOut ? 1 - progress : progress;
+        } else if (filteredOut) {
+            return 0;
+        }
+        return visibility;
+    }
+
+    isParticipantHidden(id) {
+        return this.clustering.hiddenIds.has(id) || this.isParticipantExcluded(id);
+    }
+
+    /**
+     * Участник убран с глобуса шкалой регистраций или фильтром и не учитывается
+     * в кластерах, тепловой карте, сетке и связях
+     * @param {string} id - ID участника
+     * @returns {boolean}
+     */
+    isParticipantExcluded(id) {
+        return this.timeline.hiddenIds.has(id) || this.filter.hiddenIds.has(id);
+    }
+
+    applyPointVisibility(id) {
+        const buffer = this.participantBuffer;
+        const index = buffer ? buffer.indexOf(id) : -1;
+        if (index !== -1) {
+            buffer.setVisibility(index, this.getPointVisibility(id));
+        }
+    }
+
+    /**
+     * Создает значок кластера с числом участников
+     * Размер значка пропорционален расстоянию камеры до поверхности, чтобы на экране он оставался одинаковым
+     */
+    createClusterSprite(cluster) {
+        const count = cluster.memberIds.length;
+        const material = new THREE.SpriteMaterial({ map: this.getClusterBadgeTexture(count) });
+        const sprite = new THREE.Sprite(material);
+        const scale = (0.05 + 0.015 * Math.log10(count)) * Math.max(this.camera.position.length() - 1, 0.1) / 1.5;
+        sprite.scale.set(scale, scale, 1);
+        sprite.position.copy(cluster.position);
+        sprite.userData.cluster = cluster;
+        return sprite;
+    }
+
+    getClusterBadgeTexture(count) {
+        const text = count < 1000 ? String(count) : `${Math.floor(count / 1000)}k`;
+        const cached = this.clustering.badgeTextures.get(text);
+        if (cached) return cached;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = this.options.clusterColor;
+        ctx.beginPath();
+        ctx.arc(32, 32, 28, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        ctx.fillStyle = 'white';
+        ctx.font = `bold ${text.length > 2 ? 20 : 26}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, 32, 33);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        this.clustering.badgeTextures.set(text, texture);
+        return texture;
+    }
+
+    removeClusterSprites() {
+        this.clustering.clusters.forEach(cluster => {
+            if (cluster.sprite) {
+                this.earthGroup.remove(cluster.sprite);
+                cluster.sprite.material.dispose();
+                cluster.sprite = null;
+            }
+        });
+        this.clustering.clusters = [];
+        this.state.clusterCount = 0;
+    }
+
+    /**
+     * Находит значок кластера под курсором, не закрытый Землей
+     * @returns {Object|null} Кластер или null
+     */
+    pickCluster() {
+        const sprites = this.clustering.clusters.map(cluster => cluster.sprite).filter(Boolean);
+        if (sprites.length === 0) return null;
+
+        const earthDistance = this.getEarthHitDistance();
+        const hit = this.raycaster.intersectObjects(sprites, false)
+            .find(intersection => intersection.distance <= earthDistance + 0.05);
+        return hit ? hit.object.userData.cluster : null;
+    }
+
+    /**
+     * Приближает камеру к кластеру, пока он не распадется, а если ближе подлететь нельзя -
+     * раскладывает его участников по кольцу вокруг центра
+     * @param {Object} cluster - Кластер из clustering.clusters
+     */
+    onClusterClick(cluster) {
+        const range = this.getClusterZoomRange();
+        const currentDistance = this.camera.position.length();
+
+        // Ищем самый дальний уровень, на котором радиус кластера меньше половины его разброса
+        let level = this.clustering.level;
+        while (level > 0 && this.getClusterAngle(level) >= cluster.spread / 2) {
+            level--;
+        }
+        const targetDistance = range.min + (range.max - range.min) * (level / CLUSTER_ZOOM_LEVELS);
+
+        if (this.getClusterAngle(level) < cluster.spread / 2 && targetDistance < currentDistance - 0.05) {
+            const { latitude, longitude } = this.vector3ToLatLng(cluster.position.x, cluster.position.y, cluster.position.z);
+            this.flyTo(latitude, longitude, { zoom: targetDistance, duration: 1000 });
+        } else {
+            if (this.collapseCluster()) {
+                this.invalidateClusters();
+            }
+            this.expandCluster(cluster);
+        }
+    }
+
+    /**
+     * Показывает участников кластера по кольцу вокруг его центра
+     * Смещаются только отображаемые точки и метки, координаты участников не меняются
+     */
+    expandCluster(cluster) {
+        const clustering = this.clustering;
+        const buffer = this.participantBuffer;
+        if (!buffer) return;
+
+        if (cluster.sprite) {
+            this.earthGroup.remove(cluster.sprite);
+            cluster.sprite.material.dispose();
+            cluster.sprite = null;
+        }
+        clustering.clusters = clustering.clusters.filter(item => item !== cluster);
+        this.state.clusterCount = clustering.clusters.length;
+
+        const hiddenIds = new Set(clustering.hiddenIds);
+        cluster.memberIds.forEach(id => hiddenIds.delete(id));
+        this.setHiddenParticipants(hiddenIds);
+
+        const radius = 1 + this.options.participantPointOffset;
+        const center = cluster.position.clone().normalize();
+        const east = new THREE.Vector3(0, 1, 0).cross(center);
+        if (east.lengthSq() < 1e-8) east.set(1, 0, 0);
+        east.normalize();
+        const north = center.clone().cross(east);
+
+        const count = cluster.memberIds.length;
+        const ringAngle = this.getClusterAngle(clustering.level) * 0.6 * Math.max(1, count / 8);
+        cluster.memberIds.forEach((id, i) => {
+            const theta = (2 * Math.PI * i) / count;
+            const offset = east.clone().multiplyScalar(Math.cos(theta)).addScaledVector(north, Math.sin(theta));
+            const position = center.clone().multiplyScalar(Math.cos(ringAngle))
+                .addScaledVector(offset, Math.sin(ringAngle))
+                .multiplyScalar(radius);
+            buffer.setPosition(buffer.indexOf(id), position);
+
+            const label = this.participantLabels.get(id);
+            if (label) {
+                label.position.copy(position).multiplyScalar((radius + 0.03) / radius);
+            }
+        });
+        this.invalidateLabels();
+
+        clustering.expanded = { key: cluster.key, memberIds: cluster.memberIds };
+    }
+
+    /**
+     * Возвращает точки раскрытого кластера на их настоящие координаты
+     * Скрытие участников не меняется - после сворачивания нужен пересчет кластеров
+     * @returns {boolean} true если был раскрытый кластер
+     */
+    collapseCluster() {
+        const expanded = this.clustering.expanded;
+        if (!expanded) return false;
+        this.clustering.expanded = null;
+
+        const buffer = this.participantBuffer;
+        const radius = 1 + this.options.participantPointOffset;
+        expanded.memberIds.forEach(id => {
+            const participant = this.pointMetadata.get(id);
+            if (!participant || !buffer) return;
+            buffer.setPosition(buffer.indexOf(id), this.latLngToVector3(participant.latitude, participant.longitude, radius));
+            const label = this.participantLabels.get(id);
+            if (label) {
+                this.positionParticipantLabel(label, participant);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Помечает хороплет для пересчета в следующем кадре
+     * Несколько изменений участников за кадр приводят к одному пересчету
+     */
+    invalidateChoropleth() {
+        if (this.choropleth && this.choropleth.enabled) {
+            this.choropleth.dirty = true;
+        }
+    }
+
+    /**
+     * Пересчитывает число участников по странам и перерисовывает заливку
+     */
+    updateChoropleth() {
+        const choropleth = this.choropleth;
+        choropleth.dirty = false;
+        if (!choropleth.enabled || !choropleth.canvas) return;
+
+        // getCountryAt индексирует страны без отрисовки границ - заливаем только загруженные на глобус страны
+        const features = this.state.countryCount > 0 ? this.countryFeatures : [];
+        const counts = new Array(features.length).fill(0);
+        let totalParticipants = 0;
+        let unmatchedParticipants = 0;
+
+        this.pointMetadata.forEach(participant => {
+            if (typeof participant.latitude !== 'number' || typeof participant.longitude !== 'number' ||
+                isNaN(participant.latitude) || isNaN(participant.longitude)) {
+                return;
+            }
+            totalParticipants++;
+            const index = features.length > 0 ? this.findCountryIndex(participant.latitude, participant.longitude) : -1;
+            if (index === -1) {
+                unmatchedParticipants++;
+            } else {
+                counts[index]++;
+            }
+        });
+
+        const maxCount = counts.reduce((max, count) => Math.max(max, count), 0);
+        const steps = this.buildChoroplethSteps(maxCount);
+
+        const ctx = choropleth.canvas.getContext('2d');
+        ctx.clearRect(0, 0, choropleth.canvas.width, choropleth.canvas.height);
+
+        const countries = [];
+        features.forEach((country, index) => {
+            const count = counts[index];
+            const step = steps.find(s => count >= s.min && count <= s.max);
+            const color = count === 0 ? choropleth.zeroColor : step && step.color;
+            if (count > 0) {
+                countries.push({ id: country.id ?? country.properties?.id ?? null, name: getCountryName(country), count, color });
+            }
+            if (!color) return;
+
+            ctx.fillStyle = color;
+            fillPolygonsOnCanvas(ctx, country.polygons);
+        });
+        choropleth.texture.needsUpdate = true;
+
+        countries.sort((a, b) => b.count - a.count);
+        choropleth.legend = {
+            enabled: true,
+            maxCount,
+            totalParticipants,
+            matchedParticipants: totalParticipants - unmatchedParticipants,
+            unmatchedParticipants,
+            zeroColor: choropleth.zeroColor,
+            steps,
+            countries
+        };
+    }
+
+    /**
+     * Разбивает диапазон 1..maxCount на интервалы по цветам палитры
+     * @param {number} maxCount - Максимальное число участников в стране
+     * @returns {Array<{min:number, max:number, color:string}>}
+     */
+    buildChoroplethSteps(maxCount) {
+        const palette = this.choropleth.palette;
+        const stepCount = Math.min(palette.length, maxCount);
+        const steps = [];
+
+        for (let i = 0; i < stepCount; i++) {
+            // При малом числе интервалов берем цвета равномерно по всей палитре
+            const colorIndex = stepCount === 1
+                ? palette.length - 1
+                : Math.round(i * (palette.length - 1) / (stepCount - 1));
+            steps.push({
+                min: Math.floor(i * maxCount / stepCount) + 1,
+                max: Math.floor((i + 1) * maxCount / stepCount),
+                color: palette[colorIndex]
+            });
+        }
+
+        return steps;
+    }
+
+    getChoroplethLegend() {
+        if (!this.choropleth.enabled) return null;
+        if (this.choropleth.dirty) this.updateChoropleth();
+        return this.choropleth.legend;
+    }
+
+    animate() {
+        if (!this.state.isInitialized) return;
+
+        this.animationId = requestAnimationFrame(() => this.animate());
+        const deltaTime = this.clock.getDelta();
+
+        if (this.earthGroup && this.state.isAutoRotating) {
+            this.earthRotation += deltaTime * 0.1;
+            this.earthGroup.rotation.y = this.earthRotation;
+        }
+
+        if (this.clouds) {
+            this.cloudRotation += deltaTime * this.options.cloudsSpeed;
+            this.clouds.rotation.y = this.cloudRotation;
+        }
+
+        if (this.choropleth.dirty) this.updateChoropleth();
+        if (this.heatmap.dirty) this.updateHeatmap();
+        this.updateAvatars();
+        if (this.hexBins.dirty) this.updateHexBins();
+        this.updateSunPosition();
+        this.updateLocalTimeColors();
+        this.updateTimeline(deltaTime);
+        this.updateTour(deltaTime);
+        this.updateFilterFade();
+        this.updateHashSync();
+        this.updateAccessibleList();
+        this.connections.time.value += deltaTime;
+
+        // Во время перелета камерой управляет updateCameraFlight, OrbitControls подхватывают ее положение после
+        if (!this.updateCameraFlight(deltaTime) && this.controls) this.controls.update();
+        this.updateClusters();
+        this.updateLabels();
+        this.updateHover();
+
+        this.updateCameraState();
+        this.renderer.render(this.scene, this.camera);
+        this.updateStats(deltaTime);
+    }
+
+    /**
+     * Считает кадры и раз в STATS_FPS_INTERVAL обновляет среднее число кадров в секунду
+     * @param {number} deltaTime - Время с прошлого кадра (с)
+     */
+    updateStats(deltaTime) {
+        const stats = this.stats;
+        stats.frames++;
+        stats.elapsed += deltaTime * 1000;
+        if (stats.elapsed >= STATS_FPS_INTERVAL) {
+            stats.framesPerSecond = stats.frames * 1000 / stats.elapsed;
+            stats.frames = 0;
+            stats.elapsed = 0;
+        }
+    }
+
+    /**
+     * Счетчики renderer.info: ресурсы GPU и отрисовка последнего кадра
+     * @returns {{geometries: number, textures: number, programs: number, drawCalls: number,
+     *            triangles: number, points: number, lines: number}}
+     */
+    getRenderStats() {
+        const info = this.renderer && this.renderer.info;
+        if (!info) {
+            return { geometries: 0, textures: 0, programs: 0, drawCalls: 0, triangles: 0, points: 0, lines: 0 };
+        }
+        return {
+            geometries: info.memory.geometries,
+            textures: info.memory.textures,
+            programs: info.programs ? info.programs.length : 0,
+            drawCalls: info.render.calls,
+            triangles: info.render.triangles,
+            points: info.render.points,
+            lines: info.render.lines
+        };
+    }
+
+    /**
+     * Оценка памяти GPU под буферы геометрий и текстуры сцены в байтах
+     * Текстуры считаются как RGBA без мип-уровней - это порядок величины, а не точный расход
+     * @returns {number}
+     */
+    estimateMemoryUsage() {
+        if (!this.scene) return 0;
+
+        const geometries = new Set();
+        const textures = new Set();
+        const addTexture = value => {
+            if (value && value.isTexture) textures.add(value);
+        };
+        this.scene.traverse(object => {
+            if (object.geometry) geometries.add(object.geometry);
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                if (!material) return;
+                Object.values(material).forEach(addTexture);
+                if (material.uniforms) {
+                    Object.values(material.uniforms).forEach(uniform => addTexture(uniform && uniform.value));
+                }
+            });
+        });
+
+        let bytes = 0;
+        geometries.forEach(geometry => {
+            Object.values(geometry.attributes).forEach(attribute => {
+                if (attribute.array) bytes += attribute.array.byteLength;
+            });
+            if (geometry.index) bytes += geometry.index.array.byteLength;
+        });
+        textures.forEach(texture => {
+            const image = texture.image;
+            if (image && image.width && image.height) bytes += image.width * image.height * 4;
+        });
+        return bytes;
+    }
+
+    updateCameraState() {
+        if (this.camera) {
+            this.state.cameraPosition = {
+                x: this.camera.position.x,
+                y: this.camera.position.y,
+                z: this.camera.position.z
+            };
+        }
+    }
+
+    centerOn(latitude, longitude, zoom = 2.0) {
+        if (!this.state.isInitialized) return false;
+        try {
+            this.flyTo(latitude, longitude, { zoom });
+            return true;
+        } catch (error) {
+            console.error('Error centering camera:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Направление из центра глобуса на точку поверхности в мировых координатах с учетом вращения earthGroup
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {THREE.Vector3} Единичный вектор
+     */
+    latLngToWorldDirection(latitude, longitude) {
+        const direction = new THREE.Vector3().copy(this.latLngToVector3(latitude, longitude, 1));
+        if (this.earthGroup) direction.applyQuaternion(this.earthGroup.quaternion);
+        return direction;
+    }
+
+    /**
+     * Переводит камеру к точке глобуса по дуге большого круга; на дальних перелетах камера поднимается
+     * Цель пересчитывается каждый кадр, поэтому при вращении глобуса камера прилетает точно к точке.
+     * Перелет прерывают новый перелет, cancelCameraFlight и взаимодействие пользователя с OrbitControls.
+     * При prefers-reduced-motion камера переставляется сразу
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {Object} options - zoom: расстояние камеры от центра (по умолчанию текущее), duration: мс,
+     *                           onArrive: вызывается с true по прибытии или false при прерывании
+     * @returns {Promise<boolean>} true по прибытии, false если перелет прерван
+     */
+    flyTo(latitude, longitude, options = {}) {
+        if (!this.camera) return Promise.resolve(false);
+        this.cancelCameraFlight();
+
+        const fromDistance = this.camera.position.length();
+        let toDistance = options.zoom ?? fromDistance;
+        let maxDistance = Infinity;
+        if (this.controls) {
+            toDistance = Math.min(this.controls.maxDistance, Math.max(this.controls.minDistance, toDistance));
+            maxDistance = this.controls.maxDistance;
+        }
+
+        const from = this.camera.position.clone().normalize();
+        const angle = from.angleTo(this.latLngToWorldDirection(latitude, longitude));
+        const share = angle / Math.PI;
+        const highest = Math.max(fromDistance, toDistance);
+        const duration = this.accessibility.reducedMotion
+            ? 0
+            : options.duration ?? CAMERA_FLIGHT_MIN_DURATION + (CAMERA_FLIGHT_MAX_DURATION - CAMERA_FLIGHT_MIN_DURATION) * share;
+
+        return new Promise(resolve => {
+            this.cameraFlight = {
+                latitude,
+                longitude,
+                from,
+                // Для противоположной точки направление дуги не определено - летим через перпендикуляр
+                via: Math.PI - angle < 1e-3 ? perpendicularUnitVector(from) : null,
+                fromDistance,
+                toDistance,
+                lift: Math.max(0, Math.min(highest * CAMERA_FLIGHT_ARC_LIFT * share, maxDistance - highest)),
+                duration,
+                elapsed: 0,
+                finish: arrived => {
+                    resolve(arrived);
+                    if (options.onArrive) options.onArrive(arrived);
+                }
+            };
+        });
+    }
+
+    /**
+     * Продвигает перелет камеры; вызывается каждый кадр из animate вместо controls.update
+     * @param {number} deltaTime - Время с прошлого кадра (с)
+     * @returns {boolean} true если камера в перелете
+     */
+    updateCameraFlight(deltaTime) {
+        const flight = this.cameraFlight;
+        if (!flight) return false;
+
+        flight.elapsed += deltaTime * 1000;
+        const progress = flight.duration > 0 ? Math.min(flight.elapsed / flight.duration, 1) : 1;
+        const eased = easeInOutCubic(progress);
+        const target = this.latLngToWorldDirection(flight.latitude, flight.longitude);
+        const direction = flight.via
+            ? (eased < 0.5 ? slerpUnitVectors(flight.from, flight.via, eased * 2) : slerpUnitVectors(flight.via, target, eased * 2 - 1))
+            : slerpUnitVectors(flight.from, target, eased);
+        const distance = flight.fromDistance + (flight.toDistance - flight.fromDistance) * eased + flight.lift * Math.sin(Math.PI * eased);
+
+        this.camera.position.set(direction.x, direction.y, direction.z).multiplyScalar(distance);
+        this.camera.lookAt(0, 0, 0);
+
+        if (progress >= 1) {
+            this.cameraFlight = null;
+            if (this.controls) this.controls.update();
+            flight.finish(true);
+            if (this.callbacks.onCameraArrive) {
+                this.callbacks.onCameraArrive({ latitude: flight.latitude, longitude: flight.longitude, zoom: distance });
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Прерывает перелет камеры; камера остается там, куда успела долететь
+     * @returns {boolean} true если перелет был
+     */
+    cancelCameraFlight() {
+        const flight = this.cameraFlight;
+        if (!flight) return false;
+
+        this.cameraFlight = null;
+        if (this.controls) this.controls.update();
+        flight.finish(false);
+        return true;
+    }
+
+    /**
+     * Включает или выключает автовращение; при prefers-reduced-motion глобус не вращается,
+     * но запрошенное значение запоминается и применится, когда ограничение снимут
+     * @param {boolean} enabled
+     * @param {number} speed
+     * @returns {boolean}
+     */
+    setAutoRotation(enabled, speed) {
+        try {
+            this.accessibility.autoRotateRequested = !!enabled;
+            const rotate = !!enabled && !this.accessibility.reducedMotion;
+            this.state.isAutoRotating = rotate;
+            if (this.controls) {
+                this.controls.autoRotate = rotate;
+                this.controls.autoRotateSpeed = speed;
+            }
+            return true;
+        } catch (error) {
+            console.error('Error setting auto rotation:', error);
+            return false;
+        }
+    }
+
+    setLevelOfDetail(lod) {
+        try {
+            this.state.currentLod = lod;
+            return true;
+        } catch (error) {
+            console.error('Error setting LOD:', error);
+            return false;
+        }
+    }
+
+    setSunLightIntensity(intensity) {
+        if (this.scene) {
+            const sunLight = this.scene.children.find(child => child instanceof THREE.DirectionalLight);
+            if (sunLight) {
+                sunLight.intensity = intensity;
+                console.log('Яркость солнца изменена на:', intensity);
+            }
+        }
+    }
+
+    setSunLightColor(colorHex) {
+        if (this.scene) {
+            const sunLight = this.scene.children.find(child => child instanceof THREE.DirectionalLight);
+            if (sunLight) {
+                sunLight.color = new THREE.Color(colorHex);
+                console.log('Цвет солнца изменен на:', colorHex);
+            }
+            if (this.dayNight.material) {
+                this.dayNight.material.uniforms.sunColor.value.set(colorHex);
+            }
+        }
+    }
+
+    setAmbientLightIntensity(intensity) {
+        if (this.scene) {
+            const ambientLight = this.scene.children.find(child => child instanceof THREE.AmbientLight);
+            if (ambientLight) {
+                ambientLight.intensity = intensity;
+                console.log('Яркость окружения изменена на:', intensity);
+            }
+        }
+    }
+
+    setAtmosphereLightIntensity(intensity) {
+        if (this.scene) {
+            const atmosphereLight = this.scene.children.find(child => child instanceof THREE.PointLight);
+            if (atmosphereLight) {
+                atmosphereLight.intensity = intensity;
+                console.log('Яркость атмосферного света изменена на:', intensity);
+            }
+        }
+    }
+
+    toggleAtmosphere(enabled) {
+        if (enabled && !this.atmosphere) {
+            this.options.enableAtmosphereGlow = true;
+            this.createAtmosphere();
+        } else if (!enabled && this.atmosphere) {
+            this.earthGroup.remove(this.atmosphere);
+            this.atmosphere.geometry.dispose();
+            this.atmosphere.material.dispose();
+            this.atmosphere = null;
+            this.options.enableAtmosphereGlow = false;
+        }
+    }
+
+    toggleClouds(enabled) {
+        if (enabled && !this.clouds) {
+            this.options.enableClouds = true;
+            this.createClouds();
+        } else if (!enabled && this.clouds) {
+            this.earthGroup.remove(this.clouds);
+            this.clouds.geometry.dispose();
+            this.clouds.material.dispose();
+            this.clouds = null;
+            this.options.enableClouds = false;
+        }
+    }
+
+    toggleHeatmap(enabled) {
+        if (enabled && !this.heatmap.mesh) {
+            this.options.enableHeatmap = true;
+            this.createHeatmap();
+        } else if (!enabled && this.heatmap.mesh) {
+            this.earthGroup.remove(this.heatmap.mesh);
+            this.heatmap.mesh.geometry.dispose();
+            this.heatmap.mesh.material.dispose();
+            this.heatmap.texture.dispose();
+            this.heatmap.mesh = null;
+            this.heatmap.texture = null;
+            this.options.enableHeatmap = false;
+        }
+    }
+
+    /**
+     * Создает полупрозрачную сферу с текстурой плотности участников над дневной картой
+     */
+    createHeatmap() {
+        if (!this.options.enableHeatmap) return;
+
+        const data = new Uint8Array(HEATMAP_TEXTURE_WIDTH * HEATMAP_TEXTURE_HEIGHT * 4);
+        const texture = new THREE.DataTexture(data, HEATMAP_TEXTURE_WIDTH, HEATMAP_TEXTURE_HEIGHT);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearFilter;
+        texture.wrapS = THREE.RepeatWrapping;
+
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            opacity: this.options.heatmapOpacity,
+            depthWrite: false
+        });
+
+        // Над хороплетом (1.001), под линиями границ (1.002)
+        this.heatmap.mesh = new THREE.Mesh(new THREE.SphereGeometry(1.0015, 128, 64), material);
+        this.heatmap.texture = texture;
+        this.earthGroup.add(this.heatmap.mesh);
+        this.updateHeatmap();
+    }
+
+    /**
+     * Меняет параметры тепловой карты и перерисовывает ее
+     * @param {Object} options - radius (градусы), intensity, opacity, gradient ({ доля: цвет })
+     */
+    setHeatmapOptions(options = {}) {
+        if (typeof options.radius === 'number' && options.radius > 0) {
+            this.options.heatmapRadius = Math.min(options.radius, 90);
+        }
+        if (typeof options.intensity === 'number' && options.intensity > 0) {
+            this.options.heatmapIntensity = options.intensity;
+        }
+        if (typeof options.opacity === 'number') {
+            this.options.heatmapOpacity = options.opacity;
+            if (this.heatmap.mesh) this.heatmap.mesh.material.opacity = options.opacity;
+        }
+        if (options.gradient && typeof options.gradient === 'object') {
+            this.options.heatmapGradient = options.gradient;
+            this.heatmap.palette = null;
+        }
+        this.invalidateHeatmap();
+    }
+
+    invalidateHeatmap() {
+        if (this.heatmap.mesh) {
+            this.heatmap.dirty = true;
+        }
+    }
+
+    /**
+     * Пересчитывает плотность участников и заполняет текстуру тепловой карты
+     * Участники, еще не появившиеся на шкале регистраций, не учитываются
+     */
+    updateHeatmap() {
+        const heatmap = this.heatmap;
+        heatmap.dirty = false;
+        if (!heatmap.texture) return;
+
+        const grid = new Float32Array(HEATMAP_TEXTURE_WIDTH * HEATMAP_TEXTURE_HEIGHT);
+        const radius = this.options.heatmapRadius * Math.PI / 180;
+        this.pointMetadata.forEach((participant, id) => {
+            if (this.isParticipantExcluded(id)) return;
+            if (typeof participant.latitude !== 'number' || typeof participant.longitude !== 'number' ||
+                isNaN(participant.latitude) || isNaN(participant.longitude)) {
+                return;
+            }
+            accumulateHeatmapKernel(grid, participant.latitude, participant.longitude, radius);
+        });
+
+        let maxDensity = 0;
+        for (let i = 0; i < grid.length; i++) {
+            if (grid[i] > maxDensity) maxDensity = grid[i];
+        }
+
+        if (!heatmap.palette) {
+            heatmap.palette = this.buildHeatmapPalette(this.options.heatmapGradient);
+        }
+        const palette = heatmap.palette;
+        const data = heatmap.texture.image.data;
+        const scale = maxDensity > 0 ? this.options.heatmapIntensity / maxDensity : 0;
+        for (let i = 0; i < grid.length; i++) {
+            const value = Math.min(1, grid[i] * scale);
+            const entry = Math.round(value * 255) * 3;
+            data[i * 4] = palette[entry];
+            data[i * 4 + 1] = palette[entry + 1];
+            data[i * 4 + 2] = palette[entry + 2];
+            data[i * 4 + 3] = Math.round(Math.min(1, value / HEATMAP_ALPHA_KNEE) * 255);
+        }
+        heatmap.texture.needsUpdate = true;
+    }
+
+    /**
+     * Раскладывает градиент { доля: цвет } в таблицу из 256 цветов sRGB
+     * @param {Object} gradient - Опорные точки градиента
+     * @returns {Uint8Array} Тройки RGB
+     */
+    buildHeatmapPalette(gradient) {
+        const stops = parseGradient(gradient);
+        const palette = new Uint8Array(256 * 3);
+        const color = new THREE.Color();
+        const rgb = { r: 0, g: 0, b: 0 };
+        for (let i = 0; i < 256; i++) {
+            sampleGradient(stops, i / 255, color).getRGB(rgb, THREE.SRGBColorSpace);
+            palette[i * 3] = Math.round(rgb.r * 255);
+            palette[i * 3 + 1] = Math.round(rgb.g * 255);
+            palette[i * 3 + 2] = Math.round(rgb.b * 255);
+        }
+        return palette;
+    }
+
+    /**
+     * Включает или выключает слой столбиков по шестиугольной сетке
+     * @param {boolean} enabled
+     */
+    toggleHexBins(enabled) {
+        if (enabled && !this.hexBins.mesh) {
+            this.options.enableHexBins = true;
+            this.createHexBins();
+        } else if (!enabled && this.hexBins.mesh) {
+            this.setHoveredHexBin(null);
+            this.earthGroup.remove(this.hexBins.mesh);
+            this.hexBins.mesh.geometry.dispose();
+            this.hexBins.mesh.material.dispose();
+            this.hexBins.mesh = null;
+            this.hexBins.cells = [];
+            this.options.enableHexBins = false;
+        }
+    }
+
+    /**
+     * Создает слой столбиков по шестиугольной сетке; геометрия строится в updateHexBins
+     */
+    createHexBins() {
+        if (!this.options.enableHexBins) return;
+
+        const material = new THREE.MeshLambertMaterial({ vertexColors: true });
+        this.hexBins.mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+        this.earthGroup.add(this.hexBins.mesh);
+        this.updateHexBins();
+    }
+
+    /**
+     * Меняет параметры шестиугольной сетки и перестраивает столбики
+     * @param {Object} options - resolution (делений ребра икосаэдра), maxHeight, gradient ({ доля: цвет })
+     */
+    setHexBinOptions(options = {}) {
+        if (typeof options.resolution === 'number' && options.resolution >= 1) {
+            this.options.hexBinResolution = Math.round(options.resolution);
+        }
+        if (typeof options.maxHeight === 'number' && options.maxHeight > 0) {
+            this.options.hexBinMaxHeight = options.maxHeight;
+        }
+        if (options.gradient && typeof options.gradient === 'object') {
+            this.options.hexBinGradient = options.gradient;
+        }
+        this.invalidateHexBins();
+    }
+
+    invalidateHexBins() {
+        if (this.hexBins.mesh) {
+            this.hexBins.dirty = true;
+        }
+    }
+
+    /**
+     * Раскладывает участников по ячейкам и строит одну геометрию со всеми призмами
+     * Высота и цвет призмы пропорциональны числу участников относительно самой населенной ячейки
+     */
+    updateHexBins() {
+        const hexBins = this.hexBins;
+        hexBins.dirty = false;
+        if (!hexBins.mesh) return;
+
+        const resolution = this.options.hexBinResolution;
+        const cellsByKey = new Map();
+        this.pointMetadata.forEach((participant, id) => {
+            if (this.isParticipantExcluded(id)) return;
+            if (typeof participant.latitude !== 'number' || typeof participant.longitude !== 'number' ||
+                isNaN(participant.latitude) || isNaN(participant.longitude)) {
+                return;
+            }
+            const cell = findHexBinCell(this.latLngToVector3(participant.latitude, participant.longitude, 1), resolution);
+            if (!cellsByKey.has(cell.key)) {
+                cellsByKey.set(cell.key, { key: cell.key, face: cell.face, lattice: cell.lattice, count: 0, memberIds: [] });
+            }
+            const entry = cellsByKey.get(cell.key);
+            entry.count++;
+            entry.memberIds.push(id);
+        });
+
+        const cells = Array.from(cellsByKey.values());
+        const maxCount = cells.reduce((max, cell) => Math.max(max, cell.count), 0);
+        const stops = parseGradient(this.options.hexBinGradient);
+        const baseRadius = 1.002;
+        const positions = new Float32Array(cells.length * HEX_BIN_TRIANGLES * 9);
+        const colors = new Float32Array(cells.length * HEX_BIN_TRIANGLES * 9);
+        const color = new THREE.Color();
+        let offset = 0;
+        const push = (vertex) => {
+            positions[offset] = vertex.x;
+            positions[offset + 1] = vertex.y;
+            positions[offset + 2] = vertex.z;
+            colors[offset] = color.r;
+            colors[offset + 1] = color.g;
+            colors[offset + 2] = color.b;
+            offset += 3;
+        };
+
+        cells.forEach((cell, index) => {
+            const share = cell.count / maxCount;
+            const { center, corners } = getHexBinShape(cell.face, cell.lattice, resolution, 0.9);
+            const topRadius = baseRadius + Math.max(0.005, share * this.options.hexBinMaxHeight);
+            const top = corners.map(corner => corner.clone().multiplyScalar(topRadius));
+            const bottom = corners.map(corner => corner.clone().multiplyScalar(baseRadius));
+            const topCenter = center.clone().multiplyScalar(topRadius);
+            sampleGradient(stops, share, color);
+
+            for (let i = 0; i < corners.length; i++) {
+                const next = (i + 1) % corners.length;
+                push(topCenter); push(top[i]); push(top[next]);
+                push(bottom[i]); push(bottom[next]); push(top[next]);
+                push(bottom[i]); push(top[next]); push(top[i]);
+            }
+            // Шаг призмы постоянный, чтобы pickHexBin находил ячейку по faceIndex; у пятиугольника хвост остается нулевым
+            offset = (index + 1) * HEX_BIN_TRIANGLES * 9;
+
+            const { latitude, longitude } = this.vector3ToLatLng(center.x, center.y, center.z);
+            cell.latitude = latitude;
+            cell.longitude = longitude;
+            delete cell.face;
+            delete cell.lattice;
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+        hexBins.mesh.geometry.dispose();
+        hexBins.mesh.geometry = geometry;
+
+        const hoveredKey = hexBins.hovered && hexBins.hovered.key;
+        hexBins.cells = cells;
+        if (hoveredKey) {
+            this.setHoveredHexBin(cells.find(cell => cell.key === hoveredKey) || null);
+        }
+    }
+
+    /**
+     * Находит ячейку под лучом raycaster; призмы за Землей не учитываются
+     * @returns {Object|null} Ячейка из hexBins.cells
+     */
+    pickHexBin() {
+        if (!this.hexBins.mesh || this.hexBins.cells.length === 0) return null;
+
+        const hits = this.raycaster.intersectObject(this.hexBins.mesh, false);
+        const earthDistance = this.getEarthHitDistance();
+        const hit = hits.find(intersection => intersection.distance <= earthDistance);
+        if (!hit) return null;
+        return this.hexBins.cells[Math.floor(hit.faceIndex / HEX_BIN_TRIANGLES)] || null;
+    }
+
+    /**
+     * Показывает подсказку с числом участников в ячейке и их именами
+     * @param {Object|null} cell - Ячейка или null, чтобы снять подсказку
+     */
+    setHoveredHexBin(cell) {
+        const hexBins = this.hexBins;
+        const previous = hexBins.hovered;
+        if (!previous && !cell) return;
+        // После перестройки сетки та же ячейка приходит новым объектом - подсказку обновляем только при смене состава
+        if (previous && cell && previous.key === cell.key && previous.count === cell.count) {
+            hexBins.hovered = cell;
+            return;
+        }
+
+        hexBins.hovered = cell;
+        if (previous && !cell) {
+            this.hideTooltip();
+            this.renderer.domElement.style.cursor = '';
+        }
+
+        const members = cell
+            ? cell.memberIds.map(id => this.pointMetadata.get(id)).filter(Boolean)
+            : [];
+        if (cell) {
+            const names = members.slice(0, HEX_BIN_TOOLTIP_MEMBERS).map(member => member.name);
+            if (members.length > names.length) {
+                names.push(`… и еще ${members.length - names.length}`);
+            }
+            this.showTooltipLines([
+                [`👥 Участников: ${cell.count}`, 'globe-tooltip-name'],
+                ...names.map(name => [name, 'globe-tooltip-member'])
+            ]);
+            this.renderer.domElement.style.cursor = 'pointer';
+        }
+
+        if (this.callbacks.onHexBinHover) {
+            this.callbacks.onHexBinHover(cell && {
+                count: cell.count,
+                latitude: cell.latitude,
+                longitude: cell.longitude,
+                members: members.map(member => ({ id: member.id, name: member.name }))
+            });
+        }
+    }
+
+    /**
+     * Включает или выключает смену дня и ночи по реальному положению солнца
+     * Солнце ставится в подсолнечную точку для заданного момента UTC, ночная сторона
+     * освещается огнями городов из ночной карты, граница между ними размыта
+     * @param {boolean} enabled - Включить режим
+     * @param {Object} options - timestamp (момент UTC, по умолчанию текущее время), twilight, cityLightsIntensity
+     * @returns {{latitude: number, longitude: number}|null} Подсолнечная точка или null, если режим выключен
+     */
+    setDayNightMode(enabled, options = {}) {
+        const dayNight = this.dayNight;
+        if (!this.earth) return null;
+
+        if (options.twilight !== undefined) dayNight.twilight = options.twilight;
+        if (options.cityLightsIntensity !== undefined) dayNight.cityLightsIntensity = options.cityLightsIntensity;
+        if (options.timestamp !== undefined) dayNight.time = this.parseTimestamp(options.timestamp);
+
+        dayNight.enabled = !!enabled;
+        this.options.enableDayNight = dayNight.enabled;
+
+        if (!dayNight.enabled) {
+            if (dayNight.dayMaterial) {
+                this.earth.material = dayNight.dayMaterial;
+            }
+            if (this.sunLight) {
+                this.sunLight.position.set(5, 3, 5);
+            }
+            dayNight.subsolarPoint = null;
+            return null;
+        }
+
+        if (!dayNight.material) {
+            dayNight.dayMaterial = this.earth.material;
+            dayNight.material = this.createDayNightMaterial(dayNight.dayMaterial.map);
+        }
+        const uniforms = dayNight.material.uniforms;
+        uniforms.twilight.value = dayNight.twilight;
+        uniforms.cityLightsIntensity.value = dayNight.cityLightsIntensity;
+        this.earth.material = dayNight.material;
+
+        return this.updateSunPosition(true);
+    }
+
+    /**
+     * Задает момент времени, для которого рассчитывается положение солнца
+     * @param {string|number|Date|null} timestamp - Момент UTC или null для текущего времени
+     * @returns {{latitude: number, longitude: number}|null} Подсолнечная точка или null, если режим выключен
+     */
+    setSunTime(timestamp) {
+        this.dayNight.time = this.parseTimestamp(timestamp);
+        return this.dayNight.enabled ? this.updateSunPosition(true) : null;
+    }
+
+    parseTimestamp(timestamp) {
+        if (timestamp === null || timestamp === undefined || timestamp === '') return null;
+        const time = new Date(timestamp);
+        if (isNaN(time.getTime())) {
+            console.warn('⚠️ Некорректный момент времени:', timestamp);
+            return null;
+        }
+        return time;
+    }
+
+    createDayNightMaterial(dayTexture) {
+        const dayNight = this.dayNight;
+        if (!dayNight.nightTexture && this.options.nightTextureUrl) {
+            dayNight.nightTexture = new THREE.TextureLoader().load(this.options.nightTextureUrl);
+        }
+
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                dayTexture: { value: dayTexture },
+                nightTexture: { value: dayNight.nightTexture },
+                sunDirection: { value: new THREE.Vector3(1, 0, 0) }, // В локальных координатах Земли
+                sunColor: { value: new THREE.Color(this.options.sunLightColor) },
+                twilight: { value: dayNight.twilight },
+                cityLightsIntensity: { value: dayNight.cityLightsIntensity }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                varying vec3 vNormal;
+                void main() {
+                    vUv = uv;
+                    vNormal = normal;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D dayTexture;
+                uniform sampler2D nightTexture;
+                uniform vec3 sunDirection;
+                uniform vec3 sunColor;
+                uniform float twilight;
+                uniform float cityLightsIntensity;
+                varying vec2 vUv;
+                varying vec3 vNormal;
+                void main() {
+                    float cosAngle = dot(normalize(vNormal), sunDirection);
+                    float dayFactor = smoothstep(-twilight, twilight, cosAngle);
+
+                    vec3 surface = texture2D(dayTexture, vUv).rgb;
+                    vec3 dayColor = surface * sunColor * (0.15 + 0.85 * max(cosAngle, 0.0));
+                    vec3 nightColor = surface * 0.04 + texture2D(nightTexture, vUv).rgb * cityLightsIntensity;
+
+                    gl_FragColor = vec4(mix(nightColor, dayColor, dayFactor), 1.0);
+                    #include <colorspace_fragment>
+                }
+            `
+        });
+    }
+
+    /**
+     * Пересчитывает подсолнечную точку и направляет на нее шейдер Земли и DirectionalLight
+     * Вызывается каждый кадр из animate; для текущего времени пересчет ограничен SUN_UPDATE_INTERVAL
+     * @param {boolean} force - Пересчитать независимо от интервала
+     * @returns {{latitude: number, longitude: number}|null} Подсолнечная точка
+     */
+    updateSunPosition(force = false) {
+        const dayNight = this.dayNight;
+        if (!dayNight.enabled) return null;
+
+        const now = Date.now();
+        if (force || (!dayNight.time && now - dayNight.lastUpdate >= SUN_UPDATE_INTERVAL)) {
+            dayNight.lastUpdate = now;
+            dayNight.subsolarPoint = computeSubsolarPoint(dayNight.time || new Date(now));
+            const direction = this.latLngToVector3(dayNight.subsolarPoint.latitude, dayNight.subsolarPoint.longitude, 1);
+            dayNight.material.uniforms.sunDirection.value.set(direction.x, direction.y, direction.z);
+        }
+
+        // Солнце привязано к географии: свет поворачивается вместе с earthGroup
+        if (this.sunLight && this.earthGroup) {
+            this.sunLight.position.copy(dayNight.material.uniforms.sunDirection.value)
+                .applyQuaternion(this.earthGroup.quaternion)
+                .multiplyScalar(5);
+        }
+        return dayNight.subsolarPoint;
+    }
+
+    /**
+     * Проверяет, день ли сейчас в точке с заданными координатами
+     * @returns {boolean|null} true - день, false - ночь, null - режим дня и ночи выключен
+     */
+    isDaylightAt(latitude, longitude) {
+        const point = this.dayNight.subsolarPoint;
+        if (!this.dayNight.enabled || !point) return null;
+        const location = this.latLngToVector3(latitude, longitude, 1);
+        const sun = this.latLngToVector3(point.latitude, point.longitude, 1);
+        return location.x * sun.x + location.y * sun.y + location.z * sun.z > 0;
+    }
+
+    /**
+     * Цвет точки участника без подсветки: по периоду суток в режиме местного времени,
+     * иначе по правилам стиля или participantPointColor
+     * @param {Object} participant - Данные участника
+     * @param {Object} style - Результат resolveParticipantStyle, если уже вычислен
+     * @returns {THREE.Color}
+     */
+    getParticipantBaseColor(participant, style = this.resolveParticipantStyle(participant)) {
+        const localTime = this.localTime;
+        if (!localTime.enabled) {
+            return new THREE.Color(style.color);
+        }
+
+        const period = getDayPeriod(getLocalHours(participant, localTime.time || new Date()), localTime.periods);
+        localTime.periodById.set(participant.id.toString(), period);
+        return new THREE.Color(localTime.colors[period]);
+    }
+
+    /**
+     * Включает или выключает окраску точек участников по их местному времени суток:
+     * ночь, утро, рабочие часы, вечер
+     * @param {boolean} enabled - Включить режим
+     * @param {Object} options - timestamp (момент UTC, по умолчанию текущее время),
+     *                           periods (часы начала morning/working/evening/night), colors (цвета периодов)
+     * @returns {Object} Легенда: периоды, цвета и число участников в каждом периоде
+     */
+    setLocalTimeMode(enabled, options = {}) {
+        const localTime = this.localTime;
+        if (options.periods) localTime.periods = { ...localTime.periods, ...options.periods };
+        if (options.colors) localTime.colors = { ...localTime.colors, ...options.colors };
+        if (options.timestamp !== undefined) localTime.time = this.parseTimestamp(options.timestamp);
+
+        localTime.enabled = !!enabled;
+        localTime.periodById.clear();
+        this.updateLocalTimeColors(true);
+        return this.getLocalTimeLegend();
+    }
+
+    /**
+     * Перекрашивает точки, у которых сменился период суток
+     * Вызывается каждый кадр из animate; для текущего времени пересчет ограничен LOCAL_TIME_UPDATE_INTERVAL
+     * @param {boolean} force - Перекрасить все точки независимо от интервала
+     */
+    updateLocalTimeColors(force = false) {
+        const localTime = this.localTime;
+        const buffer = this.participantBuffer;
+        if (!buffer || (!localTime.enabled && !force)) return;
+
+        const now = Date.now();
+        if (!force && (localTime.time || now - localTime.lastUpdate < LOCAL_TIME_UPDATE_INTERVAL)) return;
+        localTime.lastUpdate = now;
+
+        buffer.forEach((id, index) => {
+            const participant = this.pointMetadata.get(id);
+            const previous = localTime.periodById.get(id);
+            const color = this.getParticipantBaseColor(participant);
+            if (!force && previous === localTime.periodById.get(id)) return;
+
+            // Подсвеченная точка вернет новый цвет, когда с нее уйдет курсор
+            if (this.hoveredPoint && this.hoveredPoint.index === index) {
+                this.hoveredPoint.color = color;
+            } else {
+                buffer.setColor(index, color);
+            }
+        });
+    }
+
+    getLocalTimeLegend() {
+        const localTime = this.localTime;
+        const counts = { night: 0, morning: 0, working: 0, evening: 0 };
+        localTime.periodById.forEach(period => counts[period]++);
+        return {
+            enabled: localTime.enabled,
+            periods: { ...localTime.periods },
+            colors: { ...localTime.colors },
+            counts
+        };
+    }
+
+    /**
+     * Возвращает участников, у которых сейчас рабочие часы по местному времени
+     * @param {string|number|Date|null} timestamp - Момент UTC; по умолчанию момент режима местного времени или текущее время
+     * @returns {Array<Object>} Участники с добавленным полем localTime (ЧЧ:ММ)
+     */
+    getParticipantsInWorkingHours(timestamp = null) {
+        const time = this.parseTimestamp(timestamp) || this.localTime.time || new Date();
+        const result = [];
+        this.pointMetadata.forEach(participant => {
+            const hours = getLocalHours(participant, time);
+            if (getDayPeriod(hours, this.localTime.periods) !== 'working') return;
+
+            const minutes = Math.floor(hours * 60) % (24 * 60);
+            const localTime = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+            result.push({ ...participant, localTime });
+        });
+        return result;
+    }
+
+    /**
+     * Добавляет дуги связей между участниками (наставничество, совместные проекты, поездки)
+     * Связь с уже существующим ID заменяется. Дуга рисуется, пока оба участника на глобусе,
+     * и перестраивается при перемещении любого из них
+     * @param {Array<Object>} connections - { id?, fromId, toId, weight? (0-1), color?, animated? }
+     * @returns {Array<string>} ID добавленных связей
+     */
+    addConnections(connections) {
+        if (!Array.isArray(connections)) return [];
+
+        const ids = [];
+        connections.forEach(connection => {
+            if (!connection || connection.fromId === null || connection.fromId === undefined ||
+                connection.toId === null || connection.toId === undefined) {
+                console.warn('⚠️ Пропускаем связь без fromId/toId:', connection);
+                return;
+            }
+
+            const fromId = connection.fromId.toString();
+            const toId = connection.toId.toString();
+            const id = (connection.id ?? `${fromId}->${toId}`).toString();
+            this.removeConnection(id);
+
+            const weight = typeof connection.weight === 'number' ? Math.min(1, Math.max(0, connection.weight)) : 1;
+            const item = {
+                id,
+                fromId,
+                toId,
+                weight,
+                color: connection.color || this.options.connectionColor,
+                animated: connection.animated ?? this.options.connectionDashAnimation,
+                line: null
+            };
+            item.line = new THREE.Line(new THREE.BufferGeometry(), this.createConnectionMaterial(item));
+            item.line.userData.connectionId = id;
+            this.earthGroup.add(item.line);
+
+            this.connections.items.set(id, item);
+            [fromId, toId].forEach(participantId => {
+                if (!this.connections.byParticipant.has(participantId)) {
+                    this.connections.byParticipant.set(participantId, new Set());
+                }
+                this.connections.byParticipant.get(participantId).add(id);
+            });
+
+            this.updateConnectionGeometry(item);
+            ids.push(id);
+        });
+
+        console.log(`🔗 Добавлено связей: ${ids.length} из ${connections.length}`);
+        return ids;
+    }
+
+    /**
+     * Материал дуги: сплошная линия или тусклая линия с бегущим по ней ярким штрихом
+     */
+    createConnectionMaterial(item) {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(item.color) },
+                opacity: { value: 0.3 + 0.7 * item.weight },
+                animated: { value: item.animated ? 1 : 0 },
+                dashCount: { value: 1 },
+                time: this.connections.time
+            },
+            vertexShader: `
+                attribute float progress;
+                varying float vProgress;
+                void main() {
+                    vProgress = progress;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 color;
+                uniform float opacity;
+                uniform float animated;
+                uniform float dashCount;
+                uniform float time;
+                varying float vProgress;
+                void main() {
+                    float alpha = opacity;
+                    if (animated > 0.5) {
+                        float phase = fract(vProgress * dashCount - time * 0.5);
+                        alpha *= mix(0.25, 1.0, step(phase, 0.3));
+                    }
+                    gl_FragColor = vec4(color, alpha);
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
+    }
+
+    /**
+     * Перестраивает дугу по текущим координатам участников или скрывает ее, если кого-то из них нет на глобусе
+     */
+    updateConnectionGeometry(item) {
+        const from = this.pointMetadata.get(item.fromId);
+        const to = this.pointMetadata.get(item.toId);
+        if (!from || !to) {
+            item.line.visible = false;
+            return;
+        }
+
+        const a = this.latLngToVector3(from.latitude, from.longitude, 1);
+        const b = this.latLngToVector3(to.latitude, to.longitude, 1);
+        // Дальние связи поднимаются выше, чтобы дуги не сливались с поверхностью
+        const angle = Math.acos(Math.min(1, Math.max(-1, a.x * b.x + a.y * b.y + a.z * b.z)));
+        const lift = 0.02 + 0.4 * angle / Math.PI;
+        const arc = buildArcPoints(a, b, 1 + this.options.participantPointOffset, lift);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(arc.positions, 3));
+        geometry.setAttribute('progress', new THREE.BufferAttribute(arc.progress, 1));
+        item.line.geometry.dispose();
+        item.line.geometry = geometry;
+
+        // Один штрих примерно на каждые 30° дуги
+        item.line.material.uniforms.dashCount.value = Math.max(1, Math.round(arc.angle / (Math.PI / 6)));
+        item.line.visible = !this.isParticipantExcluded(item.fromId) && !this.isParticipantExcluded(item.toId);
+    }
+
+    /**
+     * Перестраивает дуги связей участника или все дуги
+     * @param {string|null} participantId - ID участника или null для всех связей
+     */
+    refreshConnections(participantId = null) {
+        const connections = this.connections;
+        if (connections.items.size === 0) return;
+
+        const ids = participantId === null
+            ? connections.items.keys()
+            : (connections.byParticipant.get(participantId) || []);
+        Array.from(ids).forEach(id => this.updateConnectionGeometry(connections.items.get(id)));
+    }
+
+    /**
+     * Скрывает дуги, у которых один из участников еще не появился на шкале регистраций
+     */
+    refreshConnectionVisibility() {
+        this.connections.items.forEach(item => {
+            item.line.visible = this.pointMetadata.has(item.fromId) && this.pointMetadata.has(item.toId) &&
+                !this.isParticipantExcluded(item.fromId) && !this.isParticipantExcluded(item.toId);
+        });
+    }
+
+    /**
+     * Удаляет связь по ID
+     * @param {string} id - ID связи
+     * @returns {boolean} true если связь была
+     */
+    removeConnection(id) {
+        const connections = this.connections;
+        const item = connections.items.get(id === null || id === undefined ? id : id.toString());
+        if (!item) return false;
+
+        this.earthGroup.remove(item.line);
+        item.line.geometry.dispose();
+        item.line.material.dispose();
+        connections.items.delete(item.id);
+
+        [item.fromId, item.toId].forEach(participantId => {
+            const ids = connections.byParticipant.get(participantId);
+            if (!ids) return;
+            ids.delete(item.id);
+            if (ids.size === 0) connections.byParticipant.delete(participantId);
+        });
+        return true;
+    }
+
+    clearConnections() {
+        Array.from(this.connections.items.keys()).forEach(id => this.removeConnection(id));
+    }
+
+    /**
+     * Включает или выключает шкалу регистраций: участники появляются на глобусе
+     * в порядке registeredAt (или timestamp), как росло сообщество
+     * @param {boolean} enabled - Включить режим
+     * @param {Object} options - speed (множитель скорости), duration (секунды на всю шкалу при скорости 1),
+     *                           autoplay (сразу начать проигрывание)
+     * @returns {Object} Состояние шкалы (см. getTimelineState)
+     */
+    setTimelineMode(enabled, options = {}) {
+        const timeline = this.timeline;
+        if (options.speed !== undefined) this.setTimelineSpeed(options.speed);
+        if (options.duration > 0) timeline.duration = options.duration;
+
+        timeline.enabled = !!enabled;
+        timeline.playing = false;
+        if (timeline.enabled) {
+            timeline.current = -Infinity;
+            this.rebuildTimeline();
+            this.emitTimelineTick();
+            if (options.autoplay) this.playTimeline();
+        } else {
+            this.finishAppearing();
+            this.setTimelineHidden(new Set());
+            timeline.order = [];
+            timeline.cursor = 0;
+        }
+        return this.getTimelineState();
+    }
+
+    /**
+     * Строит порядок регистраций; участники без корректной даты считаются зарегистрированными в начале шкалы
+     */
+    buildTimelineOrder() {
+        const timeline = this.timeline;
+        timeline.dirty = false;
+
+        const entries = Array.from(this.pointMetadata.values()).map(participant => ({
+            id: participant.id.toString(),
+            time: parseUtcTime(participant.registeredAt || participant.timestamp)
+        }));
+        // Один проход вместо Math.min(...times): на сотнях тысяч участников разворот аргументов переполняет стек
+        let start = Infinity;
+        let end = -Infinity;
+        entries.forEach(entry => {
+            if (isNaN(entry.time)) return;
+            if (entry.time < start) start = entry.time;
+            if (entry.time > end) end = entry.time;
+        });
+        timeline.start = start === Infinity ? 0 : start;
+        timeline.end = end === -Infinity ? 0 : end;
+
+        entries.forEach(entry => {
+            if (isNaN(entry.time)) entry.time = timeline.start;
+        });
+        timeline.order = entries.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Перестраивает порядок регистраций и заново скрывает участников после текущего момента
+     */
+    rebuildTimeline() {
+        const timeline = this.timeline;
+        this.buildTimelineOrder();
+        timeline.current = Math.min(timeline.end, Math.max(timeline.start, timeline.current));
+        const cursor = timeline.order.findIndex(entry => entry.time > timeline.current);
+        timeline.cursor = cursor === -1 ? timeline.order.length : cursor;
+        this.finishAppearing();
+        this.setTimelineHidden(new Set(timeline.order.slice(timeline.cursor).map(entry => entry.id)));
+    }
+
+    /**
+     * Мгновенно завершает анимацию появления точек
+     */
+    finishAppearing() {
+        const ids = Array.from(this.timeline.appearing.keys());
+        this.timeline.appearing.clear();
+        ids.forEach(id => this.applyPointVisibility(id));
+    }
+
+    invalidateTimeline() {
+        if (this.timeline && this.timeline.enabled) {
+            this.timeline.dirty = true;
+        }
+    }
+
+    playTimeline() {
+        const timeline = this.timeline;
+        if (!timeline.enabled) return false;
+        // Повторный запуск после окончания начинает шкалу сначала
+        if (timeline.current >= timeline.end) {
+            this.seekTimeline(timeline.start);
+        }
+        timeline.playing = true;
+        return true;
+    }
+
+    pauseTimeline() {
+        if (!this.timeline.enabled) return false;
+        this.timeline.playing = false;
+        this.emitTimelineTick();
+        return true;
+    }
+
+    /**
+     * Переходит к моменту шкалы без анимации появления
+     * @param {string|number|Date} timestamp - Момент времени
+     * @returns {boolean} true если момент корректен
+     */
+    seekTimeline(timestamp) {
+        const timeline = this.timeline;
+        const time = this.parseTimestamp(timestamp);
+        if (!timeline.enabled || !time) return false;
+
+        timeline.current = Math.min(timeline.end, Math.max(timeline.start, time.getTime()));
+        this.finishAppearing();
+        this.applyTimelineTime(false);
+        this.emitTimelineTick();
+        return true;
+    }
+
+    setTimelineSpeed(speed) {
+        if (typeof speed !== 'number' || !(speed > 0)) return false;
+        this.timeline.speed = speed;
+        return true;
+    }
+
+    /**
+     * Продвигает шкалу во время проигрывания и анимирует появление точек
+     * Вызывается каждый кадр из animate
+     * @param {number} deltaTime - Время с прошлого кадра (секунды)
+     */
+    updateTimeline(deltaTime) {
+        const timeline = this.timeline;
+        if (!timeline.enabled) return;
+
+        if (timeline.dirty) {
+            this.rebuildTimeline();
+        }
+
+        if (timeline.playing) {
+            const msPerSecond = (timeline.end - timeline.start) / timeline.duration;
+            timeline.current = Math.min(timeline.end, timeline.current + deltaTime * msPerSecond * timeline.speed);
+            this.applyTimelineTime(true);
+
+            if (timeline.current >= timeline.end) {
+                timeline.playing = false;
+                this.emitTimelineTick();
+            } else if (Date.now() - timeline.lastTick >= TIMELINE_TICK_INTERVAL) {
+                this.emitTimelineTick();
+            }
+        }
+
+        if (timeline.appearing.size > 0) {
+            const now = Date.now();
+            timeline.appearing.forEach((start, id) => {
+                if (now - start >= TIMELINE_APPEAR_DURATION) timeline.appearing.delete(id);
+                this.applyPointVisibility(id);
+            });
+        }
+    }
+
+    /**
+     * Показывает участников, зарегистрированных к текущему моменту шкалы, и скрывает остальных
+     * Сдвигает курсор от прошлого момента и меняет только перешедших границу участников:
+     * при проигрывании вызывается каждый кадр, поэтому не копирует hiddenIds
+     * @param {boolean} animate - Плавно проявлять появившиеся точки
+     */
+    applyTimelineTime(animate) {
+        const timeline = this.timeline;
+        const changed = new Set();
+        const now = Date.now();
+
+        while (timeline.cursor < timeline.order.length && timeline.order[timeline.cursor].time <= timeline.current) {
+            const id = timeline.order[timeline.cursor].id;
+            timeline.hiddenIds.delete(id);
+            changed.add(id);
+            if (animate) timeline.appearing.set(id, now);
+            timeline.cursor++;
+        }
+        while (timeline.cursor > 0 && timeline.order[timeline.cursor - 1].time > timeline.current) {
+            timeline.cursor--;
+            const id = timeline.order[timeline.cursor].id;
+            timeline.hiddenIds.add(id);
+            changed.add(id);
+            timeline.appearing.delete(id);
+        }
+
+        this.refreshExcludedParticipants(changed);
+    }
+
+    /**
+     * Заменяет скрытых шкалой участников целиком (перестройка порядка, выключение шкалы)
+     * @param {Set<string>} hiddenIds - Новый набор скрытых
+     */
+    setTimelineHidden(hiddenIds) {
+        const timeline = this.timeline;
+        const previous = timeline.hiddenIds;
+        const changed = new Set([...previous, ...hiddenIds].filter(id => previous.has(id) !== hiddenIds.has(id)));
+        timeline.hiddenIds = hiddenIds;
+        this.refreshExcludedParticipants(changed);
+    }
+
+    /**
+     * Обновляет точки и зависящие от состава участников слои после смены скрытых шкалой или фильтром
+     * @param {Set<string>} changed - Участники, у которых сменилась видимость
+     */
+    refreshExcludedParticipants(changed) {
+        if (changed.size === 0) return;
+
+        if (this.hoveredPoint && this.isParticipantHidden(this.hoveredPoint.participant.id.toString())) {
+            this.setHoveredPoint(null);
+        }
+        changed.forEach(id => this.applyPointVisibility(id));
+        this.invalidateClusters();
+        this.invalidateLabels();
+        this.invalidateHeatmap();
+        this.invalidateHexBins();
+        this.invalidateAccessibleList();
+        this.refreshConnectionVisibility();
+    }
+
+    /**
+     * Оставляет на глобусе только участников, подходящих под фильтр; остальные плавно гаснут,
+     * но остаются в pointMetadata и вернутся при смене фильтра
+     * @param {Object|null} spec - Спецификация (см. compileParticipantFilter) или null, чтобы показать всех
+     * @returns {{visible: number, total: number}} Число видимых и всех участников
+     */
+    setFilter(spec) {
+        const filter = this.filter;
+        filter.spec = spec || null;
+        filter.predicate = compileParticipantFilter(spec);
+
+        const hiddenIds = new Set();
+        if (filter.predicate) {
+            const now = Date.now();
+            this.pointMetadata.forEach((participant, id) => {
+                if (!filter.predicate(participant, now)) hiddenIds.add(id);
+            });
+        }
+
+        const previous = filter.hiddenIds;
+        const changed = new Set([...previous, ...hiddenIds].filter(id => previous.has(id) !== hiddenIds.has(id)));
+        filter.hiddenIds = hiddenIds;
+
+        // Анимация, прерванная на середине, продолжается от начала - короткий скачок яркости незаметен
+        const now = Date.now();
+        changed.forEach(id => filter.fading.set(id, now));
+        this.refreshExcludedParticipants(changed);
+
+        return { visible: this.getVisibleParticipantCount(), total: this.pointMetadata.size };
+    }
+
+    /**
+     * Применяет текущий фильтр к одному участнику без анимации (при добавлении или перемещении)
+     * @param {string} id - ID участника
+     * @returns {boolean} true если видимость участника изменилась
+     */
+    applyFilterTo(id) {
+        const filter = this.filter;
+        const participant = this.pointMetadata.get(id);
+        const hidden = !!(filter.predicate && participant && !filter.predicate(participant, Date.now()));
+        if (hidden === filter.hiddenIds.has(id)) return false;
+
+        if (hidden) {
+            filter.hiddenIds.add(id);
+        } else {
+            filter.hiddenIds.delete(id);
+        }
+        filter.fading.delete(id);
+        this.applyPointVisibility(id);
+        return true;
+    }
+
+    /**
+     * Продвигает анимацию исчезновения и появления отфильтрованных точек
+     * Вызывается каждый кадр из animate
+     */
+    updateFilterFade() {
+        const fading = this.filter.fading;
+        if (fading.size === 0) return;
+
+        const now = Date.now();
+        fading.forEach((start, id) => {
+            if (now - start >= FILTER_FADE_DURATION) fading.delete(id);
+            this.applyPointVisibility(id);
+        });
+    }
+
+    getVisibleParticipantCount() {
+        let visible = 0;
+        this.pointMetadata.forEach((participant, id) => {
+            if (!this.isParticipantExcluded(id)) visible++;
+        });
+        return visible;
+    }
+
+    /**
+     * Ищет участников по имени, городу, стране, навыкам, целям и сообщению
+     * Кириллица и латиница сравниваются после транслитерации, поэтому "Юлия" находит "Yulia" и наоборот
+     * @param {string} query - Строка поиска
+     * @param {Object} options - limit: максимум результатов, includeHidden: искать и среди скрытых фильтром
+     * @returns {Array<{id: string, name: string, city: string, country: string, score: number, matchedFields: string[]}>}
+     *          Результаты по убыванию релевантности
+     */
+    searchParticipants(query, options = {}) {
+        const queryTokens = tokenizeSearchText(query);
+        if (queryTokens.length === 0) return [];
+
+        const results = [];
+        this.pointMetadata.forEach((participant, id) => {
+            if (!options.includeHidden && this.isParticipantExcluded(id)) return;
+
+            const match = scoreSearchEntry(this.getSearchEntry(id, participant), queryTokens);
+            if (!match) return;
+            results.push({
+                id,
+                name: participant.name,
+                city: participant.city,
+                country: participant.country,
+                score: match.score,
+                matchedFields: match.fields
+            });
+        });
+
+        results.sort((a, b) => b.score - a.score || String(a.name ?? '').localeCompare(String(b.name ?? '')));
+        return results.slice(0, options.limit ?? DEFAULT_SEARCH_LIMIT);
+    }
+
+    /**
+     * Запись поискового индекса участника; пересчитывается, если объект участника заменен
+     * @param {string} id - ID участника
+     * @param {Object} participant - Участник из pointMetadata
+     * @returns {Object} { participant, name, city, ... } - слова каждого поля SEARCH_FIELDS
+     */
+    getSearchEntry(id, participant) {
+        let entry = this.searchIndex.get(id);
+        if (!entry || entry.participant !== participant) {
+            entry = { participant };
+            SEARCH_FIELDS.forEach(({ field }) => {
+                entry[field] = tokenizeSearchText(participant[field]);
+            });
+            this.searchIndex.set(id, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Выделяет участника и наводит на него камеру (выбор результата поиска)
+     * @param {string|number} participantId - ID участника
+     * @param {number} zoom - Расстояние камеры от центра глобуса
+     * @returns {boolean} true если участник найден
+     */
+    focusParticipant(participantId, zoom) {
+        return this.selectParticipant(participantId, { focus: true, zoom });
+    }
+
+    /**
+     * Состояние шкалы регистраций
+     * @returns {{enabled: boolean, playing: boolean, speed: number, start: string|null, end: string|null,
+     *            current: string|null, count: number, total: number}}
+     */
+    getTimelineState() {
+        const timeline = this.timeline;
+        const toIso = time => (timeline.enabled && timeline.order.length > 0 ? new Date(time).toISOString() : null);
+        return {
+            enabled: timeline.enabled,
+            playing: timeline.playing,
+            speed: timeline.speed,
+            start: toIso(timeline.start),
+            end: toIso(timeline.end),
+            current: toIso(timeline.current),
+            count: timeline.enabled ? timeline.cursor : this.pointMetadata.size,
+            total: this.pointMetadata.size
+        };
+    }
+
+    emitTimelineTick() {
+        const timeline = this.timeline;
+        timeline.lastTick = Date.now();
+        if (this.callbacks.onTimelineTick && timeline.order.length > 0) {
+            this.callbacks.onTimelineTick(new Date(timeline.current).toISOString(), timeline.cursor);
+        }
+    }
+
+    /**
+     * Запускает тур: камера по очереди летит к остановкам и на каждой показывает подпись
+     * Автовращение на время тура выключается и восстанавливается по его окончании
+     * @param {Array<string|Object>} stops - ID участников, { participantId } или { latitude, longitude };
+     *                                       у остановки могут быть caption, zoom и dwell
+     * @param {Object} options - loop: повторять тур, dwell: время показа остановки (мс),
+     *                           zoom: расстояние камеры, startIndex: первая остановка
+     * @returns {number} Число принятых остановок; 0 - тур не запущен
+     */
+    startTour(stops, options = {}) {
+        this.stopTour();
+
+        const tour = this.tour;
+        tour.stops = (Array.isArray(stops) ? stops : []).map(normalizeTourStop).filter(Boolean);
+        if (tour.stops.length === 0) return 0;
+
+        tour.loop = !!options.loop;
+        tour.dwell = options.dwell > 0 ? options.dwell : DEFAULT_TOUR_DWELL;
+        tour.zoom = options.zoom ?? null;
+        tour.playing = true;
+        // Запрошенное, а не фактическое автовращение: при prefers-reduced-motion глобус стоит, но настройка сохраняется
+        tour.resumeAutoRotate = this.accessibility.autoRotateRequested;
+        if (tour.resumeAutoRotate) {
+            this.setAutoRotation(false, this.controls ? this.controls.autoRotateSpeed : this.options.autoRotateSpeed);
+        }
+
+        const startIndex = Math.min(Math.max(Math.floor(options.startIndex ?? 0), 0), tour.stops.length - 1);
+        return this.goToTourStop(startIndex) ? tour.stops.length : 0;
+    }
+
+    /**
+     * Координаты и подпись остановки; для участника - его текущее положение, имя и город
+     * @param {Object} stop - Остановка из tour.stops
+     * @returns {Object|null} null если участника остановки нет на глобусе
+     */
+    resolveTourStop(stop) {
+        if (stop.participantId === undefined) return stop;
+
+        const participant = this.getParticipantById(stop.participantId);
+        if (!participant) return null;
+        const location = [participant.city, participant.country].filter(Boolean).join(', ');
+        return {
+            ...stop,
+            latitude: participant.latitude,
+            longitude: participant.longitude,
+            caption: stop.caption ?? [participant.name, location].filter(Boolean).join(' — ')
+        };
+    }
+
+    /**
+     * Начинает перелет к остановке; остановки удаленных участников пропускаются
+     * Если подходящих остановок не осталось, тур заканчивается
+     * @param {number} index - Номер остановки
+     * @returns {boolean} true если перелет начат
+     */
+    goToTourStop(index) {
+        const tour = this.tour;
+        const count = tour.stops.length;
+        for (let step = 0; step < count; step++) {
+            const candidate = index + step;
+            if (candidate >= count && !tour.loop) break;
+
+            const target = this.resolveTourStop(tour.stops[candidate % count]);
+            if (!target) continue;
+
+            tour.index = candidate % count;
+            tour.target = target;
+            tour.phase = 'flying';
+            tour.elapsed = 0;
+            this.hideTourCaption();
+            if (target.participantId !== undefined) {
+                this.selectParticipant(target.participantId);
+            }
+
+            const flight = ++tour.flight;
+            this.flyTo(target.latitude, target.longitude, { zoom: target.zoom ?? tour.zoom })
+                .then(arrived => this.onTourStopReached(flight, arrived));
+            return true;
+        }
+
+        this.stopTour();
+        return false;
+    }
+
+    /**
+     * Завершение перелета к остановке: показ подписи и событие onTourStep
+     * @param {number} flight - Номер перелета из goToTourStop
+     * @param {boolean} arrived - false если перелет прерван
+     */
+    onTourStopReached(flight, arrived) {
+        const tour = this.tour;
+        if (flight !== tour.flight || tour.phase !== 'flying') return;
+
+        if (!arrived) {
+            // Пользователь перехватил камеру - тур встает на паузу, resumeTour повторит перелет
+            tour.playing = false;
+            return;
+        }
+
+        tour.phase = 'dwelling';
+        tour.elapsed = 0;
+        this.showTourCaption(tour.target.caption);
+        if (this.callbacks.onTourStep) {
+            this.callbacks.onTourStep({
+                index: tour.index,
+                count: tour.stops.length,
+                participantId: tour.target.participantId ?? null,
+                latitude: tour.target.latitude,
+                longitude: tour.target.longitude,
+                caption: tour.target.caption
+            });
+        }
+    }
+
+    /**
+     * Отсчитывает время показа остановки и переходит к следующей
+     * Вызывается каждый кадр из animate
+     * @param {number} deltaTime - Время с прошлого кадра (с)
+     */
+    updateTour(deltaTime) {
+        const tour = this.tour;
+        if (!tour.playing || tour.phase !== 'dwelling') return;
+
+        tour.elapsed += deltaTime * 1000;
+        if (tour.elapsed >= (tour.target.dwell ?? tour.dwell) && !this.nextTourStop()) {
+            this.stopTour();
+        }
+    }
+
+    pauseTour() {
+        const tour = this.tour;
+        if (tour.index < 0 || !tour.playing) return false;
+
+        tour.playing = false;
+        if (tour.phase === 'flying') this.cancelCameraFlight();
+        return true;
+    }
+
+    resumeTour() {
+        const tour = this.tour;
+        if (tour.index < 0 || tour.playing) return false;
+
+        tour.playing = true;
+        // Прерванный паузой перелет начинается заново от текущего положения камеры
+        if (tour.phase === 'flying' && !this.cameraFlight) {
+            this.goToTourStop(tour.index);
+        }
+        return true;
+    }
+
+    /**
+     * @returns {boolean} true если есть следующая остановка (с loop после последней идет первая)
+     */
+    nextTourStop() {
+        const tour = this.tour;
+        if (tour.index < 0) return false;
+        if (tour.index + 1 >= tour.stops.length && !tour.loop) return false;
+        return this.goToTourStop((tour.index + 1) % tour.stops.length);
+    }
+
+    /**
+     * @returns {boolean} true если есть предыдущая остановка (с loop перед первой идет последняя)
+     */
+    previousTourStop() {
+        const tour = this.tour;
+        if (tour.index < 0) return false;
+        if (tour.index === 0 && !tour.loop) return false;
+        return this.goToTourStop((tour.index - 1 + tour.stops.length) % tour.stops.length);
+    }
+
+    /**
+     * Останавливает тур, убирает подпись и возвращает автовращение
+     * @returns {boolean} true если тур был запущен
+     */
+    stopTour() {
+        const tour = this.tour;
+        if (tour.index < 0) return false;
+
+        const flying = tour.phase === 'flying';
+        tour.stops = [];
+        tour.index = -1;
+        tour.target = null;
+        tour.phase = 'idle';
+        tour.playing = false;
+        tour.flight++;
+        if (flying) this.cancelCameraFlight();
+        this.hideTourCaption();
+
+        if (tour.resumeAutoRotate) {
+            tour.resumeAutoRotate = false;
+            this.setAutoRotation(true, this.controls ? this.controls.autoRotateSpeed : this.options.autoRotateSpeed);
+        }
+        if (this.callbacks.onTourEnd) {
+            this.callbacks.onTourEnd();
+        }
+        return true;
+    }
+
+    /**
+     * @returns {{active: boolean, playing: boolean, phase: string, index: number, count: number, caption: string|null}}
+     */
+    getTourState() {
+        const tour = this.tour;
+        return {
+            active: tour.index >= 0,
+            playing: tour.playing,
+            phase: tour.phase,
+            index: tour.index,
+            count: tour.stops.length,
+            caption: tour.phase === 'dwelling' ? tour.target.caption : null
+        };
+    }
+
+    /**
+     * Показывает подпись остановки тура внизу глобуса
+     * @param {string|null} text - Текст подписи; пустая подпись не показывается
+     */
+    showTourCaption(text) {
+        if (!this.container || !text) {
+            this.hideTourCaption();
+            return;
+        }
+
+        if (!this.tourCaption) {
+            this.tourCaption = document.createElement('div');
+            this.tourCaption.className = 'globe-tour-caption';
+            this.container.appendChild(this.tourCaption);
+        }
+        // textContent - подписи и имена участников вводятся пользователями
+        this.tourCaption.textContent = text;
+        this.tourCaption.style.display = 'block';
+    }
+
+    hideTourCaption() {
+        if (this.tourCaption) {
+            this.tourCaption.style.display = 'none';
+        }
+    }
+
+    updateSettings(settings) {
+        try {
+            this.options.participantPointSize = settings.participantPointSize;
+            this.options.participantPointOffset = settings.participantPointOffset;
+            this.options.participantPointColor = settings.participantPointColor;
+            this.options.highlightedPointColor = settings.highlightedPointColor;
+            this.options.autoRotateSpeed = settings.autoRotateSpeed;
+            this.options.cloudsOpacity = settings.cloudsOpacity;
+            this.options.cloudsSpeed = settings.cloudsSpeed;
+            this.options.atmosphereOpacity = settings.atmosphereOpacity;
+            
+            this.setAutoRotation(settings.autoRotate, settings.autoRotateSpeed);
+            this.setSunLightIntensity(settings.sunLightIntensity);
+            this.setSunLightColor(settings.sunLightColor);
+            this.setAmbientLightIntensity(settings.ambientLightIntensity);
+            
+            this.toggleAtmosphere(settings.enableAtmosphereGlow);
+            this.toggleClouds(settings.enableClouds);
+            if (settings.enableDayNight !== undefined) {
+                this.setDayNightMode(settings.enableDayNight);
+            }
+            if (settings.enableClustering !== undefined) {
+                this.setClustering(settings.enableClustering);
+            }
+            this.setHeatmapOptions({
+                radius: settings.heatmapRadius,
+                intensity: settings.heatmapIntensity,
+                opacity: settings.heatmapOpacity,
+                gradient: settings.heatmapGradient
+            });
+            if (settings.enableHeatmap !== undefined) {
+                this.toggleHeatmap(settings.enableHeatmap);
+            }
+            this.setHexBinOptions({
+                resolution: settings.hexBinResolution,
+                maxHeight: settings.hexBinMaxHeight,
+                gradient: settings.hexBinGradient
+            });
+            if (settings.enableHexBins !== undefined) {
+                this.toggleHexBins(settings.enableHexBins);
+            }
+            
+            if (this.renderer) {
+                this.renderer.setSize(settings.width, settings.height);
+            }
+            if (this.camera) {
+                this.camera.aspect = settings.width / settings.height;
+                this.camera.updateProjectionMatrix();
+            }
+            this.invalidateLabels();
+            if (this.controls) {
+                this.controls.minDistance = settings.minZoom;
+                this.controls.maxDistance = settings.maxZoom;
+                this.controls.enableZoom = settings.enableZoom;
+            }
+            if (this.atmosphere) {
+                this.atmosphere.material.opacity = settings.atmosphereOpacity;
+            }
+            if (this.clouds) {
+                this.clouds.material.opacity = settings.cloudsOpacity;
+            }
+            
+            if (settings.participantStyle !== undefined) {
+                this.applyParticipantStyleSpec(settings.participantStyle);
+            }
+            if (settings.enableAvatars !== undefined) {
+                this.setAvatarMode(settings.enableAvatars);
+            }
+            this.restyleParticipants();
+            
+            console.log('✅ Настройки применены');
+            return true;
+        } catch (error) {
+            console.error('Ошибка применения настроек:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Применяет текущие цвет, размер и отступ точек к уже добавленным участникам
+     * Слоты пула и метки переиспользуются - участники не пересоздаются
+     */
+    restyleParticipants() {
+        const buffer = this.participantBuffer;
+        if (!buffer || buffer.count === 0) return;
+
+        // Подсветка запомнила старые цвет и размер - снимаем ее до перезаписи
+        this.setHoveredPoint(null);
+
+        const radius = 1 + this.options.participantPointOffset;
+        buffer.forEach((id, index) => {
+            const participant = this.pointMetadata.get(id);
+            const style = this.resolveParticipantStyle(participant);
+            buffer.setPosition(index, this.latLngToVector3(participant.latitude, participant.longitude, radius));
+            buffer.setColor(index, this.getParticipantBaseColor(participant, style));
+            buffer.setSize(index, style.size);
+            buffer.setIcon(index, style.icon);
+
+            const label = this.participantLabels.get(id);
+            if (label) {
+                this.positionParticipantLabel(label, participant);
+            }
+        });
+
+        this.updateSelectionRings();
+        this.invalidateClusters();
+    }
+
+    /**
+     * Задает правила стиля точек и перекрашивает уже добавленных участников
+     * @param {Object|null} spec - Спецификация (см. compileParticipantStyle) или null для единого стиля
+     * @returns {boolean} true если стиль применен
+     */
+    setParticipantStyle(spec) {
+        this.applyParticipantStyleSpec(spec);
+        this.restyleParticipants();
+        return true;
+    }
+
+    /**
+     * Разбирает спецификацию стиля и загружает атлас иконок, не трогая точки
+     */
+    applyParticipantStyleSpec(spec) {
+        const participantStyle = this.participantStyle;
+        const previousUrl = participantStyle.compiled && participantStyle.compiled.icons && participantStyle.compiled.icons.url;
+        participantStyle.compiled = compileParticipantStyle(spec);
+        this.options.participantStyle = spec || null;
+
+        const icons = participantStyle.compiled && participantStyle.compiled.icons;
+        if (!icons || icons.url !== previousUrl) {
+            if (participantStyle.atlas) participantStyle.atlas.dispose();
+            participantStyle.atlas = null;
+            if (icons) {
+                try {
+                    participantStyle.atlas = new THREE.TextureLoader().load(icons.url);
+                    participantStyle.atlas.colorSpace = THREE.SRGBColorSpace;
+                } catch (error) {
+                    console.error('Ошибка загрузки атласа иконок:', icons.url, error);
+                }
+            }
+        }
+        this.applyIconAtlas();
+    }
+
+    /**
+     * Подключает к материалу точек атлас аватаров, пока они показываются, иначе атлас иконок стиля
+     */
+    applyIconAtlas() {
+        if (!this.participantBuffer) return;
+        const uniforms = this.participantBuffer.points.material.uniforms;
+        if (this.avatars.active) {
+            const cells = AVATAR_ATLAS_SIZE / AVATAR_CELL_SIZE;
+            uniforms.iconAtlas.value = this.avatars.texture;
+            uniforms.iconGrid.value.set(cells, cells);
+            return;
+        }
+        const icons = this.participantStyle.compiled && this.participantStyle.compiled.icons;
+        uniforms.iconAtlas.value = this.participantStyle.atlas;
+        uniforms.iconGrid.value.set(icons ? icons.columns : 1, icons ? icons.rows : 1);
+    }
+
+    /**
+     * Вычисляет цвет, размер и иконку точки участника по правилам стиля
+     * @param {Object} participant - Данные участника
+     * @returns {{color: string, size: number, icon: number}} icon - номер ячейки атласа или -1
+     */
+    resolveParticipantStyle(participant) {
+        const style = { color: this.options.participantPointColor, size: this.options.participantPointSize, icon: -1 };
+        const compiled = this.participantStyle.compiled;
+        if (!compiled) return this.applyAvatarStyle(participant, style);
+
+        const now = Date.now();
+        let scale = 1;
+        let icon = null;
+        compiled.rules.forEach(rule => {
+            const matches = rule.conditions.every(condition =>
+                matchesStyleCondition(getStyleFieldValue(participant, condition.field, now), condition));
+            if (!matches) return;
+            if (rule.color !== null) style.color = rule.color;
+            if (rule.size !== null) style.size = rule.size;
+            if (rule.scale !== null) scale = rule.scale;
+            if (rule.icon !== null) icon = rule.icon;
+        });
+        style.size *= scale;
+
+        // Иконки рисуются только при загруженном атласе; имя иконки ищется в его names
+        if (icon !== null && compiled.icons && this.participantStyle.atlas) {
+            const index = typeof icon === 'number' ? icon : compiled.icons.names[icon];
+            if (typeof index === 'number' && index >= 0 && index < compiled.icons.columns * compiled.icons.rows) {
+                style.icon = index;
+            }
+        }
+        return this.applyAvatarStyle(participant, style);
+    }
+
+    /**
+     * Заменяет иконку точки аватаром участника, пока аватары показываются
+     * Если атлас заполнен, участник остается обычной точкой
+     */
+    applyAvatarStyle(participant, style) {
+        if (!this.avatars.active) return style;
+
+        const slot = this.getAvatarSlot(participant, style.color);
+        if (slot !== -1) {
+            style.icon = slot;
+            style.size = this.options.avatarSize;
+        } else {
+            // Шейдер читает иконки из атласа аватаров - номер иконки из правил стиля показал бы чужой аватар
+            style.icon = -1;
+        }
+        return style;
+    }
+
+    /**
+     * Включает или выключает аватары участников вместо точек
+     * Аватар - фото по avatarUrl, обрезанное кругом, или инициалы на цветном круге.
+     * Все аватары лежат в одном атласе, поэтому рисуются тем же вызовом, что и точки
+     * @param {boolean} enabled - Включить аватары
+     * @param {Object} options - size, maxDistance (расстояние камеры, дальше которого показываются точки)
+     * @returns {boolean} true если аватары сейчас показываются
+     */
+    setAvatarMode(enabled, options = {}) {
+        if (typeof options.size === 'number' && options.size > 0) {
+            this.options.avatarSize = options.size;
+        }
+        if (typeof options.maxDistance === 'number' && options.maxDistance > 0) {
+            this.options.avatarMaxDistance = options.maxDistance;
+        }
+
+        this.avatars.enabled = !!enabled;
+        this.options.enableAvatars = this.avatars.enabled;
+        this.updateAvatars(options.size !== undefined);
+        return this.avatars.active;
+    }
+
+    /**
+     * Переключает точки и аватары по расстоянию камеры и выгружает измененный атлас;
+     * вызывается каждый кадр из animate
+     * @param {boolean} force - Перерисовать точки, даже если режим не сменился
+     */
+    updateAvatars(force = false) {
+        const avatars = this.avatars;
+        const active = avatars.enabled && !!this.camera &&
+            this.camera.position.length() <= this.options.avatarMaxDistance;
+        if (active !== avatars.active || force) {
+            avatars.active = active;
+            if (active && !avatars.texture) {
+                this.createAvatarAtlas();
+            }
+            this.applyIconAtlas();
+            this.restyleParticipants();
+        }
+
+        // Атлас 2048×2048 выгружается целиком, поэтому все перерисованные за кадр ячейки - одной выгрузкой
+        if (avatars.dirty && avatars.texture) {
+            avatars.texture.needsUpdate = true;
+            avatars.dirty = false;
+        }
+    }
+
+    createAvatarAtlas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = AVATAR_ATLAS_SIZE;
+        canvas.height = AVATAR_ATLAS_SIZE;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        // Мип-уровни смешивали бы соседние ячейки атласа
+        texture.generateMipmaps = false;
+        texture.minFilter = THREE.LinearFilter;
+
+        this.avatars.canvas = canvas;
+        this.avatars.texture = texture;
+    }
+
+    /**
+     * Ячейка атласа с аватаром участника; рисует инициалы и начинает загрузку фото при первом обращении
+     * @param {Object} participant - Данные участника
+     * @param {string} color - Цвет круга под инициалами
+     * @returns {number} Номер ячейки или -1, если атлас заполнен
+     */
+    getAvatarSlot(participant, color) {
+        const avatars = this.avatars;
+        const id = participant.id.toString();
+        const url = participant.avatarUrl || null;
+        const initials = getInitials(participant.name);
+
+        let entry = avatars.slots.get(id);
+        if (entry && entry.url === url && entry.initials === initials && entry.color === color) {
+            return entry.slot;
+        }
+
+        if (!entry) {
+            const cells = AVATAR_ATLAS_SIZE / AVATAR_CELL_SIZE;
+            let slot = avatars.freeSlots.pop();
+            if (slot === undefined) {
+                if (avatars.nextSlot >= cells * cells) return -1;
+                slot = avatars.nextSlot++;
+            }
+            entry = { slot };
+            avatars.slots.set(id, entry);
+        }
+        const previousUrl = entry.url;
+        Object.assign(entry, { url, initials, color });
+
+        // Фото уже нарисовано в ячейке - цвет инициалов ему не важен
+        if (url && url === previousUrl && entry.loaded) {
+            return entry.slot;
+        }
+        entry.loaded = false;
+        this.drawAvatarInitials(entry.slot, initials, color);
+        if (url) {
+            this.loadAvatarImage(id, entry);
+        }
+        return entry.slot;
+    }
+
+    /**
+     * Прямоугольник ячейки в пикселях атласа
+     */
+    getAvatarCellRect(slot) {
+        const cells = AVATAR_ATLAS_SIZE / AVATAR_CELL_SIZE;
+        return {
+            x: (slot % cells) * AVATAR_CELL_SIZE,
+            y: Math.floor(slot / cells) * AVATAR_CELL_SIZE,
+            size: AVATAR_CELL_SIZE
+        };
+    }
+
+    drawAvatarInitials(slot, initials, color) {
+        const ctx = this.avatars.canvas.getContext('2d');
+        const { x, y, size } = this.getAvatarCellRect(slot);
+        const center = size / 2;
+
+        ctx.clearRect(x, y, size, size);
+        ctx.beginPath();
+        ctx.arc(x + center, y + center, center - 2, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(size * (initials.length > 1 ? 0.36 : 0.45))}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(initials, x + center, y + center + 1);
+
+        this.avatars.dirty = true;
+    }
+
+    /**
+     * Загружает фото участника и рисует его в ячейке, обрезав кругом
+     * Пока фото грузится или если оно не загрузилось, в ячейке остаются инициалы
+     */
+    loadAvatarImage(id, entry) {
+        const url = entry.url;
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            // Пока фото грузилось, ячейку могли отдать другому участнику или сменить ссылку
+            if (this.avatars.slots.get(id) !== entry || entry.url !== url) return;
+
+            const ctx = this.avatars.canvas.getContext('2d');
+            const { x, y, size } = this.getAvatarCellRect(entry.slot);
+            const center = size / 2;
+            const side = Math.min(image.width, image.height);
+
+            ctx.clearRect(x, y, size, size);
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(x + center, y + center, center - 2, 0, 2 * Math.PI);
+            ctx.clip();
+            // Вписываем центральный квадрат фото в ячейку
+            ctx.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, x, y, size, size);
+            ctx.restore();
+            ctx.beginPath();
+            ctx.arc(x + center, y + center, center - 2, 0, 2 * Math.PI);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#ffffff';
+            ctx.stroke();
+
+            entry.loaded = true;
+            this.avatars.dirty = true;
+        };
+        image.onerror = () => {
+            console.warn(`⚠️ Не удалось загрузить аватар участника ${id}:`, url);
+        };
+        image.src = url;
+    }
+
+    releaseAvatarSlot(id) {
+        const entry = this.avatars.slots.get(id);
+        if (!entry) return;
+        this.avatars.slots.delete(id);
+        this.avatars.freeSlots.push(entry.slot);
+    }
+
+    /**
+     * Освобождает ячейки атласа участников, которых больше нет на глобусе
+     */
+    pruneAvatarSlots() {
+        Array.from(this.avatars.slots.keys())
+            .filter(id => !this.pointMetadata.has(id))
+            .forEach(id => this.releaseAvatarSlot(id));
+    }
+
+    /**
+     * Состояние глобуса в формате GlobeState
+     * @returns {Object} GlobeState: globeId, счетчики участников, camera, options, framesPerSecond, memoryUsage
+     *                   и renderStats (см. getRenderStats)
+     */
+    getState() {
+        return {
+            ...this.state,
+            globeId: this.containerId,
+            visibleParticipantCount: this.getVisibleParticipantCount(),
+            currentLevelOfDetail: this.state.currentLod,
+            camera: this.getCameraState(),
+            options: this.getOptionsState(),
+            framesPerSecond: Math.round(this.stats.framesPerSecond * 10) / 10,
+            memoryUsage: this.estimateMemoryUsage(),
+            renderStats: this.getRenderStats()
+        };
+    }
+
+    /**
+     * Настройки в формате GlobeOptions: без служебных ключей JS и с целыми размерами -
+     * onWindowResize записывает в width и height дробные размеры контейнера, которые не читаются в int
+     * @returns {Object}
+     */
+    getOptionsState() {
+        const options = {};
+        GLOBE_OPTIONS_INTEGER_FIELDS.forEach(field => {
+            options[field] = Math.round(this.options[field]);
+        });
+        GLOBE_OPTIONS_FIELDS.forEach(field => {
+            options[field] = this.options[field];
+        });
+        return options;
+    }
+
+    /**
+     * Камера в формате CameraState: положение, цель, азимут, расстояние и точка глобуса в центре вида
+     * @returns {{position: number[], target: number[], rotation: number, zoom: number,
+     *            centerLatitude: number, centerLongitude: number}|null}
+     */
+    getCameraState() {
+        if (!this.camera) return null;
+        const center = this.getCameraCenter();
+        const target = this.controls ? this.controls.target : { x: 0, y: 0, z: 0 };
+        return {
+            position: [this.camera.position.x, this.camera.position.y, this.camera.position.z],
+            target: [target.x, target.y, target.z],
+            // Азимут камеры вокруг вертикальной оси (рад), как getAzimuthalAngle у OrbitControls
+            rotation: Math.atan2(this.camera.position.x, this.camera.position.z),
+            zoom: center.zoom,
+            centerLatitude: center.latitude,
+            centerLongitude: center.longitude
+        };
+    }
+
+    /**
+     * Точка глобуса под камерой с учетом вращения earthGroup
+     * @returns {{latitude: number, longitude: number, zoom: number}} zoom - расстояние камеры от центра
+     */
+    getCameraCenter() {
+        const local = this.camera.position.clone();
+        if (this.earthGroup) local.applyQuaternion(this.earthGroup.quaternion.clone().invert());
+        const { latitude, longitude } = this.vector3ToLatLng(local.x, local.y, local.z);
+        return { latitude, longitude, zoom: local.length() };
+    }
+
+    /**
+     * Компактная строка вида: камера, включенные слои, выбранные участники и фильтр
+     * @returns {string} Строка для ссылки (см. formatViewState)
+     */
+    getViewState() {
+        return formatViewState({
+            camera: this.getCameraCenter(),
+            layers: Object.keys(VIEW_LAYERS).filter(name => VIEW_LAYERS[name].isEnabled(this)),
+            selection: this.getSelection(),
+            filter: this.filter.spec
+        });
+    }
+
+    /**
+     * Восстанавливает вид из строки getViewState
+     * Без части l слои не меняются; без частей s и f выбор и фильтр сбрасываются.
+     * Выбранные участники, которых еще нет на глобусе, выбираются при их добавлении
+     * @param {string} text - Строка вида
+     * @param {Object} options - animate: false - переставить камеру без перелета
+     * @returns {boolean} true если строка распознана
+     */
+    setViewState(text, options = {}) {
+        const view = parseViewState(text);
+        if (!view) return false;
+
+        if (view.camera) {
+            this.flyTo(view.camera.latitude, view.camera.longitude, {
+                zoom: view.camera.zoom,
+                duration: options.animate === false ? 0 : undefined
+            });
+        }
+        if (view.layers) {
+            Object.entries(VIEW_LAYERS).forEach(([name, layer]) => {
+                const enabled = view.layers.includes(name);
+                if (layer.isEnabled(this) !== enabled) layer.setEnabled(this, enabled);
+            });
+        }
+        this.setFilter(view.filter);
+
+        this.pendingSelection = view.selection;
+        this.applyPendingSelection();
+        return true;
+    }
+
+    /**
+     * Выбирает участников из строки вида; пока кого-то из них нет на глобусе, ожидание сохраняется
+     */
+    applyPendingSelection() {
+        const ids = this.pendingSelection;
+        if (!ids) return;
+
+        const present = ids.filter(id => this.pointMetadata.has(id));
+        this.setSelection(new Set(present));
+        if (present.length === ids.length) {
+            this.pendingSelection = null;
+        }
+    }
+
+    /**
+     * Включает синхронизацию вида с location.hash: при включении и смене hash вид читается из него,
+     * изменения вида записываются обратно через history.replaceState, не засоряя историю браузера
+     * @param {boolean} enabled
+     * @returns {boolean} true если синхронизация включена
+     */
+    setHashSync(enabled) {
+        const sync = this.hashSync;
+        enabled = !!enabled;
+        if (enabled === sync.enabled) return enabled;
+
+        sync.enabled = enabled;
+        this.options.syncViewWithHash = enabled;
+        if (enabled) {
+            window.addEventListener('hashchange', this.onHashChange);
+            this.applyHashViewState(false);
+        } else {
+            window.removeEventListener('hashchange', this.onHashChange);
+            sync.value = null;
+        }
+        return enabled;
+    }
+
+    /**
+     * Применяет вид из location.hash, если он отличается от последнего прочитанного или записанного
+     * @param {boolean} animate - Перелет камеры вместо мгновенной перестановки
+     * @returns {boolean} true если вид применен
+     */
+    applyHashViewState(animate) {
+        const value = window.location.hash.replace(/^#/, '');
+        if (!value || value === this.hashSync.value) return false;
+
+        this.hashSync.value = value;
+        return this.setViewState(value, { animate });
+    }
+
+    /**
+     * Записывает текущий вид в location.hash не чаще VIEW_HASH_INTERVAL
+     * Вызывается каждый кадр из animate; промежуточные положения перелета не записываются
+     */
+    updateHashSync() {
+        const sync = this.hashSync;
+        if (!sync.enabled || this.cameraFlight) return;
+
+        const now = Date.now();
+        if (now - sync.lastCheck < VIEW_HASH_INTERVAL) return;
+        sync.lastCheck = now;
+
+        const value = this.getViewState();
+        if (value === sync.value) return;
+        sync.value = value;
+        window.history.replaceState(window.history.state, '', `#${value}`);
+    }
+
+    clear() {
+        try {
+            this.clearParticipants();
+            this.clearCountries();
+            this.clearSelection();
+            this.clearConnections();
+            this.state.participantCount = 0;
+            return true;
+        } catch (error) {
+            console.error('Error clearing globe:', error);
+            return false;
+        }
+    }
+
+    dispose() {
+        console.log('🗑️ CommunityGlobe.dispose вызван для контейнера:', this.containerId);
+        console.log('🗑️ Состояние перед dispose:', this.state?.isInitialized);
+
+        try {
+            if (this.animationId) {
+                console.log('🗑️ Отмена animation frame');
+                cancelAnimationFrame(this.animationId);
+            }
+
+            // Компонент .NET к этому моменту обычно уже уничтожается: вызов onTourEnd и других событий
+            // из остановки тура не дошел бы до него, а синхронная ошибка прервала бы освобождение ресурсов
+            Object.keys(this.callbacks).forEach(name => {
+                this.callbacks[name] = null;
+            });
+            this.stopTour();
+            this.cancelCameraFlight();
+            this.setHashSync(false);
+
+            const a11y = this.accessibility;
+            if (a11y.motionQuery) {
+                a11y.motionQuery.removeEventListener('change', this.onReducedMotionChange);
+                a11y.motionQuery = null;
+            }
+            if (this.renderer) {
+                this.renderer.domElement.removeEventListener('keydown', this.onKeyDown);
+            }
+            [a11y.liveRegion, a11y.list].forEach(element => {
+                if (element && element.parentNode) element.parentNode.removeChild(element);
+            });
+            a11y.liveRegion = null;
+            a11y.list = null;
+
+            if (this.controls) {
+                console.log('🗑️ Освобождение controls');
+                this.controls.dispose();
+            }
+
+            console.log('🗑️ Обход сцены для освобождения ресурсов');
+            let disposedObjects = 0;
+            this.scene.traverse(object => {
+                console.log('🗑️ Обработка объекта:', object.type, object.constructor.name);
+                if (object.geometry) {
+                    console.log('  - Освобождение geometry');
+                    object.geometry.dispose();
+                }
+                if (object.material) {
+                    if (Array.isArray(object.material)) {
+                        console.log('  - Освобождение массива materials:', object.material.length);
+                        object.material.forEach(material => material.dispose());
+                    } else {
+                        console.log('  - Освобождение material');
+                        object.material.dispose();
+                    }
+                }
+                disposedObjects++;
+            });
+            console.log('🗑️ Освобождено объектов:', disposedObjects);
+
+            if (this.renderer) {
+                console.log('🗑️ Освобождение renderer');
+                this.renderer.dispose();
+            }
+
+            if (this.tooltip && this.tooltip.parentNode) {
+                this.tooltip.parentNode.removeChild(this.tooltip);
+            }
+            this.tooltip = null;
+
+            if (this.tourCaption && this.tourCaption.parentNode) {
+                this.tourCaption.parentNode.removeChild(this.tourCaption);
+            }
+            this.tourCaption = null;
+
+            console.log('🗑️ Очистка pointMetadata');
+            this.pointMetadata.clear();
+            this.labelTextures.forEach(cached => cached.texture.dispose());
+            this.labelTextures.clear();
+            this.clustering.badgeTextures.forEach(texture => texture.dispose());
+            this.clustering.badgeTextures.clear();
+            // Неактивный материал Земли не попадает в обход сцены
+            [this.dayNight.material, this.dayNight.dayMaterial].forEach(material => material && material.dispose());
+            if (this.dayNight.nightTexture) this.dayNight.nightTexture.dispose();
+            if (this.heatmap.texture) this.heatmap.texture.dispose();
+            if (this.participantStyle.atlas) this.participantStyle.atlas.dispose();
+            if (this.avatars.texture) this.avatars.texture.dispose();
+
+            this.state.isInitialized = false;
+            console.log('🗑️ Состояние установлено в неинициализированное');
+
+        } catch (error) {
+            console.error('💥 Критическая ошибка в CommunityGlobe.dispose:', error);
+            console.error('💥 Контейнер в момент ошибки:', this.containerId);
+            console.error('💥 Renderer в момент ошибки:', this.renderer);
+            console.error('💥 Scene в момент ошибки:', this.scene);
+        }
+    }
+
+    updateParticipantPosition(participantId, latitude, longitude) {
+        const id = participantId.toString();
+        const participant = this.pointMetadata.get(id);
+        if (!participant || !this.participantBuffer) return false;
+
+        if (!isValidLatLng(latitude, longitude)) {
+            console.warn(`⚠️ Некорректные координаты для участника ${id}: (${latitude}, ${longitude})`);
+            return false;
+        }
+
+        participant.latitude = latitude;
+        participant.longitude = longitude;
+
+        const radius = 1 + this.options.participantPointOffset;
+        this.participantBuffer.setPosition(this.participantBuffer.indexOf(id), this.latLngToVector3(latitude, longitude, radius));
+
+        const label = this.participantLabels.get(id);
+        if (label) {
+            this.positionParticipantLabel(label, participant);
+        }
+        // Участник мог войти в область фильтра или выйти из нее
+        if (this.applyFilterTo(id)) {
+            this.refreshExcludedParticipants(new Set([id]));
+        }
+
+        this.invalidateChoropleth();
+        this.invalidateHeatmap();
+        this.invalidateHexBins();
+        this.invalidateClusters();
+        this.invalidateAccessibleList();
+        this.refreshConnections(id);
+        if (this.selectedIds.has(id)) {
+            this.updateSelectionRings();
+        }
+        return true;
+    }
+
+    /**
+     * Удаляет участника по ID (старый метод)
+     * @param {number} participantId - ID участника для удаления
+     * @deprecated Рекомендуется использовать removeParticipantById
+     */
+    removeParticipant(participantId) {
+        this.removeParticipantById(participantId);
+    }
+
+    /**
+     * Удаляет участника по ID без пересоздания остальных точек
+     * @param {string} participantId - ID участника для удаления
+     * @returns {boolean} true если участник найден и удален
+     */
+    removeParticipantById(participantId) {
+        if (this.removeParticipantFromLayer(participantId.toString())) {
+            this.invalidateChoropleth();
+            this.invalidateHeatmap();
+            this.invalidateHexBins();
+            this.invalidateClusters();
+            this.invalidateAccessibleList();
+            this.invalidateTimeline();
+            this.refreshConnections(participantId.toString());
+            this.refreshSelection();
+            console.log(`Участник с ID ${participantId} удален`);
+            return true;
+        }
+
+        console.log(`Участник с ID ${participantId} не найден`);
+        return false;
+    }
+
+    /**
+     * Добавляет одного участника на глобус с проверкой уникальности ID
+     * @param {Object} participant - Объект участника с полями id, name, latitude, longitude
+     * @returns {boolean} true если участник успешно добавлен
+     */
+    addTestParticipant(participant) {
+        if (!this.state.isInitialized) {
+            console.log('❌ Глобус не инициализирован');
+            return false;
+        }
+
+        // Проверяем, существует ли уже участник с таким ID
+        if (participant && participant.id !== null && participant.id !== undefined &&
+            this.pointMetadata.has(participant.id.toString())) {
+            console.log(`Участник с ID ${participant.id} уже существует`);
+            return false;
+        }
+
+        const result = this.addParticipantToLayer(participant);
+        if (result) {
+            this.invalidateChoropleth();
+            this.invalidateHeatmap();
+            this.invalidateHexBins();
+            this.invalidateClusters();
+            this.invalidateAccessibleList();
+            this.invalidateTimeline();
+            this.refreshConnections(participant.id.toString());
+            console.log(`✅ Добавлен новый участник: ${participant.name} (${participant.latitude}, ${participant.longitude})`);
+        }
+        return result;
+    }
+}
+
+export async function initializeScripts() {
+    console.log('Initializing Community Globe scripts...');
+    return true;
+}
+
+/**
+ * Создает экземпляр 3D глобуса в указанном контейнере
+ * @param {string} containerId - ID HTML элемента-контейнера
+ * @param {Object} options - Настройки глобуса
+ * @returns {boolean} true если глобус успешно создан
+ */
+export function createGlobe(containerId, options) {
+    try {
+        console.log('Creating globe for container:', containerId);
+        const globe = new CommunityGlobe(containerId, options);
+        globeInstances.set(containerId, globe);
+        console.log('Globe created successfully');
+        return true;
+    } catch (error) {
+        console.error('Error creating globe:', error);
+        return false;
+    }
+}
+
+/**
+ * Добавляет массив участников на глобус
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {Array} participants - Массив объектов участников
+ * @returns {boolean} true если участники успешно добавлены
+ */
+export function addParticipants(containerId, participants) {
+    try {
+        console.log('🔄 Добавление участников на глобус', containerId, ':', participants?.length || 0);
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            const result = globe.addParticipants(participants);
+            console.log('✅ Результат добавления участников на глобус', containerId, ':', result);
+            return result;
+        }
+        console.log('❌ Глобус', containerId, 'не инициализирован');
+        return false;
+    } catch (error) {
+        console.error('Error adding participants to globe', containerId, ':', error);
+        return false;
+    }
+}
+
+export function updateParticipantPosition(containerId, participantId, latitude, longitude) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.updateParticipantPosition(participantId, latitude, longitude);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error updating participant position on globe', containerId, ':', error);
+        return false;
+    }
+}
+
+/**
+ * Удаляет участника по ID с глобуса
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {string} participantId - ID участника для удаления
+ * @returns {boolean} true если участник успешно удален
+ */
+export function removeParticipant(containerId, participantId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.removeParticipantById(participantId);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error removing participant from globe', containerId, ':', error);
+        return false;
+    }
+}
+
+/**
+ * Центрирует камеру глобуса на указанных координатах
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {number} latitude - Широта для центрирования
+ * @param {number} longitude - Долгота для центрирования
+ * @param {number} zoom - Уровень масштабирования (по умолчанию 2.0)
+ * @returns {boolean} true если центрирование выполнено успешно
+ */
+export function centerOn(containerId, latitude, longitude, zoom) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.centerOn(latitude, longitude, zoom);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error centering globe', containerId, ':', error);
+        return false;
+    }
+}
+
+export function setLevelOfDetail(containerId, lod) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setLevelOfDetail(lod);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error setting LOD for globe', containerId, ':', error);
+        return false;
+    }
+}
+
+export function setAutoRotation(containerId, enabled, speed) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setAutoRotation(enabled, speed);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error setting auto rotation for globe', containerId, ':', error);
+        return false;
+    }
+}
+
+export function setSunLightIntensity(containerId, intensity) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            globe.setSunLightIntensity(intensity);
+            return true;
+        }
+        return false;
+    } catch (error) {
+        console.error('Error setting sun light intensity for globe', containerId, ':', error);
+        return false;
+    }
+}
+
+export function setSunLightColor(containerId, colorHex) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            globe.setSunLightColor(colorHex);
+            return true;
+        }
+        return false;
+    } catch (error) {
+        console.error('Error setting sun light color for globe', containerId, ':', error);
+        return false;
+    }
+}
+
+export function setAmbientLightIntensity(containerId, intensity) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            globe.setAmbientLightIntensity(intensity);
             return true;
-        } catch (error) {
-            console.error('Ошибка применения настроек:', error);
-            return false;
         }
+        return false;
+    } catch (error) {
+        console.error('Error setting ambient light intensity for globe', containerId, ':', error);
+        return false;
     }
+}
 
-    getState() {
-        return { ...this.state };
+export function updateSettings(containerId, settings) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            return globe.updateSettings(settings);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error updating settings for globe', containerId, ':', error);
+        return false;
     }
+}
 
-    clear() {
-        try {
-            this.clearParticipants();
-            this.state.participantCount = 0;
-            this.state.countryCount = 0;
-            return true;
-        } catch (error) {
-            console.error('Error clearing globe:', error);
-            return false;
+/**
+ * Выбирает участника на глобусе
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {string} participantId - ID участника
+ * @param {Object} options - focus: навести камеру, additive: добавить к текущему выбору, zoom
+ * @returns {boolean} true если участник найден
+ */
+export function selectParticipant(containerId, participantId, options) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.selectParticipant(participantId, options || {});
         }
+        return false;
+    } catch (error) {
+        console.error('Error selecting participant on globe', containerId, ':', error);
+        return false;
     }
+}
 
-    dispose() {
-        console.log('🗑️ CommunityGlobe.dispose вызван для контейнера:', this.containerId);
-        console.log('🗑️ Состояние перед dispose:', this.state?.isInitialized);
-
-        try {
-            if (this.animationId) {
-                console.log('🗑️ Отмена animation frame');
-                cancelAnimationFrame(this.animationId);
-            }
-
-            if (this.controls) {
-                console.log('🗑️ Освобождение controls');
-                this.controls.dispose();
-            }
+export function deselectParticipant(containerId, participantId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.deselectParticipant(participantId);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error deselecting participant on globe', containerId, ':', error);
+        return false;
+    }
+}
 
-            console.log('🗑️ Обход сцены для освобождения ресурсов');
-            let disposedObjects = 0;
-            this.scene.traverse(object => {
-                console.log('🗑️ Обработка объекта:', object.type, object.constructor.name);
-                if (object.geometry) {
-                    console.log('  - Освобождение geometry');
-                    object.geometry.dispose();
-                }
-                if (object.material) {
-                    if (Array.isArray(object.material)) {
-                        console.log('  - Освобождение массива materials:', object.material.length);
-                        object.material.forEach(material => material.dispose());
-                    } else {
-                        console.log('  - Освобождение material');
-                        object.material.dispose();
-                    }
-                }
-                disposedObjects++;
-            });
-            console.log('🗑️ Освобождено объектов:', disposedObjects);
+/**
+ * Возвращает ID выбранных участников
+ * @param {string} containerId - ID контейнера глобуса
+ * @returns {string[]}
+ */
+export function getSelection(containerId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            return globe.getSelection();
+        }
+        return [];
+    } catch (error) {
+        console.error('Error getting selection for globe', containerId, ':', error);
+        return [];
+    }
+}
 
-            if (this.renderer) {
-                console.log('🗑️ Освобождение renderer');
-                this.renderer.dispose();
-            }
+export function clearSelection(containerId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.clearSelection();
+        }
+        return false;
+    } catch (error) {
+        console.error('Error clearing selection for globe', containerId, ':', error);
+        return false;
+    }
+}
 
-            console.log('🗑️ Очистка pointMetadata');
-            this.pointMetadata.clear();
+/**
+ * Включает или выключает заливку стран по числу участников
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {boolean} enabled - Включить режим хороплета
+ * @param {Object} options - Настройки: palette, opacity, zeroColor
+ * @returns {Object|null} Легенда хороплета
+ */
+export function setChoroplethMode(containerId, enabled, options) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setChoroplethMode(enabled, options || {});
+        }
+        return null;
+    } catch (error) {
+        console.error('Error setting choropleth mode for globe', containerId, ':', error);
+        return null;
+    }
+}
 
-            this.state.isInitialized = false;
-            console.log('🗑️ Состояние установлено в неинициализированное');
+/**
+ * Включает или выключает смену дня и ночи по реальному положению солнца
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {boolean} enabled - Включить режим
+ * @param {Object} options - Настройки: timestamp (UTC, по умолчанию текущее время), twilight, cityLightsIntensity
+ * @returns {Object|null} Подсолнечная точка { latitude, longitude }
+ */
+export function setDayNightMode(containerId, enabled, options) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setDayNightMode(enabled, options || {});
+        }
+        return null;
+    } catch (error) {
+        console.error('Error setting day/night mode for globe', containerId, ':', error);
+        return null;
+    }
+}
 
-        } catch (error) {
-            console.error('💥 Критическая ошибка в CommunityGlobe.dispose:', error);
-            console.error('💥 Контейнер в момент ошибки:', this.containerId);
-            console.error('💥 Renderer в момент ошибки:', this.renderer);
-            console.error('💥 Scene в момент ошибки:', this.scene);
+/**
+ * Задает момент UTC для положения солнца; null возвращает текущее время
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {string|number|null} timestamp - Момент времени UTC
+ * @returns {Object|null} Подсолнечная точка { latitude, longitude }
+ */
+export function setSunTime(containerId, timestamp) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setSunTime(timestamp);
         }
+        return null;
+    } catch (error) {
+        console.error('Error setting sun time for globe', containerId, ':', error);
+        return null;
     }
+}
 
-    updateParticipantPosition(participantId, latitude, longitude) {
-        const index = Array.from(this.pointMetadata.keys()).findIndex(key => 
-            this.pointMetadata.get(key).id.toString() === participantId.toString());
-        if (index === -1) return false;
+/**
+ * Включает или выключает окраску участников по местному времени суток
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {boolean} enabled - Включить режим
+ * @param {Object} options - Настройки: timestamp, periods, colors
+ * @returns {Object|null} Легенда с числом участников по периодам суток
+ */
+export function setLocalTimeMode(containerId, enabled, options) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setLocalTimeMode(enabled, options || {});
+        }
+        return null;
+    } catch (error) {
+        console.error('Error setting local time mode for globe', containerId, ':', error);
+        return null;
+    }
+}
 
-        const participant = this.pointMetadata.get(`participant_${index}`);
-        participant.latitude = latitude;
-        participant.longitude = longitude;
+/**
+ * Возвращает участников, у которых сейчас рабочие часы по местному времени
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {string|number|null} timestamp - Момент UTC (по умолчанию текущее время)
+ * @returns {Array} Участники с полем localTime
+ */
+export function getParticipantsInWorkingHours(containerId, timestamp) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            return globe.getParticipantsInWorkingHours(timestamp);
+        }
+        return [];
+    } catch (error) {
+        console.error('Error getting participants in working hours for globe', containerId, ':', error);
+        return [];
+    }
+}
 
-        const radius = 1 + this.options.participantPointOffset;
-        const position = this.latLngToVector3(latitude, longitude, radius);
-        const geometry = this.participantPoints[0].geometry;
-        const positions = geometry.attributes.position.array;
-        positions[index * 3] = position.x;
-        positions[index * 3 + 1] = position.y;
-        positions[index * 3 + 2] = position.z;
-        geometry.attributes.position.needsUpdate = true;
-        return true;
+/**
+ * Оставляет на глобусе только участников, подходящих под фильтр
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {Object|null} filterSpec - { equals, skills, lifeGoals, countries, registeredFrom, registeredTo, region, conditions } или null
+ * @returns {{visible: number, total: number}|null} Число видимых и всех участников
+ */
+export function setFilter(containerId, filterSpec) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setFilter(filterSpec);
+        }
+        return null;
+    } catch (error) {
+        console.error('Error setting filter for globe', containerId, ':', error);
+        return null;
     }
+}
 
-    /**
-     * Удаляет участника по ID (старый метод)
-     * @param {number} participantId - ID участника для удаления
-     * @deprecated Рекомендуется использовать removeParticipantById
-     */
-    removeParticipant(participantId) {
-        const index = Array.from(this.pointMetadata.keys()).findIndex(key => this.pointMetadata.get(key).id === participantId);
-        if (index === -1) return;
+/**
+ * Переводит камеру к точке глобуса по дуге большого круга
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} options - { zoom, duration }
+ * @returns {Promise<boolean>} true по прибытии, false если перелет прерван
+ */
+export async function flyTo(containerId, latitude, longitude, options) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return await globe.flyTo(latitude, longitude, options || {});
+        }
+        return false;
+    } catch (error) {
+        console.error('Error flying camera for globe', containerId, ':', error);
+        return false;
+    }
+}
 
-        this.pointMetadata.delete(`participant_${index}`);
-        const participants = Array.from(this.pointMetadata.values());
-        this.addParticipants(participants);
+/**
+ * Прерывает перелет камеры
+ * @param {string} containerId - ID контейнера глобуса
+ * @returns {boolean} true если перелет был
+ */
+export function cancelCameraFlight(containerId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.cancelCameraFlight();
+        }
+        return false;
+    } catch (error) {
+        console.error('Error cancelling camera flight for globe', containerId, ':', error);
+        return false;
     }
+}
 
-    /**
-     * Удаляет участника по ID (оптимизированный метод)
-     * @param {string} participantId - ID участника для удаления
-     * @returns {boolean} true если участник найден и удален
-     */
-    removeParticipantById(participantId) {
-        // Находим и удаляем участника с указанным ID
-        const participants = Array.from(this.pointMetadata.values());
-        const filteredParticipants = participants.filter(p => p.id.toString() !== participantId.toString());
+/**
+ * Ищет участников по имени, городу, стране, навыкам, целям и сообщению с учетом транслитерации
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {string} query - Строка поиска
+ * @param {Object} options - { limit, includeHidden }
+ * @returns {Array<Object>} Результаты по убыванию релевантности: { id, name, city, country, score, matchedFields }
+ */
+export function searchParticipants(containerId, query, options) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.searchParticipants(query, options || {});
+        }
+        return [];
+    } catch (error) {
+        console.error('Error searching participants for globe', containerId, ':', error);
+        return [];
+    }
+}
 
-        if (filteredParticipants.length < participants.length) {
-            this.clearParticipants();
-            if (filteredParticipants.length > 0) {
-                this.addParticipants(filteredParticipants);
-            }
-            console.log(`Участник с ID ${participantId} удален`);
-            return true;
+/**
+ * Выделяет участника и наводит на него камеру
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {string} participantId - ID участника
+ * @param {number} zoom - Расстояние камеры от центра глобуса
+ * @returns {boolean} true если участник найден
+ */
+export function focusParticipant(containerId, participantId, zoom) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.focusParticipant(participantId, zoom);
         }
+        return false;
+    } catch (error) {
+        console.error('Error focusing participant for globe', containerId, ':', error);
+        return false;
+    }
+}
 
-        console.log(`Участник с ID ${participantId} не найден`);
+/**
+ * Задает правила стиля точек участников по их полям
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {Object|null} style - { rules: [{ when, color, size, scale, icon }], icons: { url, columns, rows, names } }
+ * @returns {boolean} true если стиль применен
+ */
+export function setParticipantStyle(containerId, style) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setParticipantStyle(style);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error setting participant style for globe', containerId, ':', error);
         return false;
     }
+}
 
-    /**
-     * Добавляет одного участника на глобус с проверкой уникальности ID
-     * @param {Object} participant - Объект участника с полями id, name, latitude, longitude
-     * @returns {boolean} true если участник успешно добавлен
-     */
-    addTestParticipant(participant) {
-        if (!this.state.isInitialized) {
-            console.log('❌ Глобус не инициализирован');
-            return false;
-        }
-
-        // Проверяем, существует ли уже участник с таким ID
-        const existingIndex = Array.from(this.pointMetadata.values()).findIndex(p => p.id === participant.id);
-        if (existingIndex !== -1) {
-            console.log(`Участник с ID ${participant.id} уже существует`);
-            return false;
+/**
+ * Включает или выключает аватары участников вместо точек
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {boolean} enabled - Включить аватары
+ * @param {Object} options - size, maxDistance
+ * @returns {boolean} true если аватары сейчас показываются
+ */
+export function setAvatarMode(containerId, enabled, options) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setAvatarMode(enabled, options);
         }
+        return false;
+    } catch (error) {
+        console.error('Error setting avatar mode for globe', containerId, ':', error);
+        return false;
+    }
+}
 
-        // Добавляем нового участника
-        const participants = Array.from(this.pointMetadata.values());
-        participants.push(participant);
-
-        const result = this.addParticipants(participants);
-        if (result) {
-            console.log(`✅ Добавлен новый участник: ${participant.name} (${participant.latitude}, ${participant.longitude})`);
+/**
+ * Рисует дуги связей между участниками
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {Array} connections - Связи { id?, fromId, toId, weight?, color?, animated? }
+ * @returns {Array<string>} ID добавленных связей
+ */
+export function addConnections(containerId, connections) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.addConnections(connections);
         }
-        return result;
+        return [];
+    } catch (error) {
+        console.error('Error adding connections for globe', containerId, ':', error);
+        return [];
     }
 }
 
-export async function initializeScripts() {
-    console.log('Initializing Community Globe scripts...');
-    return true;
+export function removeConnection(containerId, connectionId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            return globe.removeConnection(connectionId);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error removing connection for globe', containerId, ':', error);
+        return false;
+    }
 }
 
-/**
- * Создает экземпляр 3D глобуса в указанном контейнере
- * @param {string} containerId - ID HTML элемента-контейнера
- * @param {Object} options - Настройки глобуса
- * @returns {boolean} true если глобус успешно создан
- */
-export function createGlobe(containerId, options) {
+export function clearConnections(containerId) {
     try {
-        console.log('Creating globe for container:', containerId);
-        const globe = new CommunityGlobe(containerId, options);
-        globeInstances.set(containerId, globe);
-        console.log('Globe created successfully');
-        return true;
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            globe.clearConnections();
+            return true;
+        }
+        return false;
     } catch (error) {
-        console.error('Error creating globe:', error);
+        console.error('Error clearing connections for globe', containerId, ':', error);
         return false;
     }
 }
 
 /**
- * Добавляет массив участников на глобус
+ * Включает или выключает шкалу регистраций участников
  * @param {string} containerId - ID контейнера глобуса
- * @param {Array} participants - Массив объектов участников
- * @returns {boolean} true если участники успешно добавлены
+ * @param {boolean} enabled - Включить режим
+ * @param {Object} options - Настройки: speed, duration, autoplay
+ * @returns {Object|null} Состояние шкалы
  */
-export function addParticipants(containerId, participants) {
+export function setTimelineMode(containerId, enabled, options) {
     try {
-        console.log('🔄 Добавление участников на глобус', containerId, ':', participants?.length || 0);
         const globe = globeInstances.get(containerId);
         if (globe && globe.state && globe.state.isInitialized) {
-            const result = globe.addParticipants(participants);
-            console.log('✅ Результат добавления участников на глобус', containerId, ':', result);
-            return result;
+            return globe.setTimelineMode(enabled, options || {});
+        }
+        return null;
+    } catch (error) {
+        console.error('Error setting timeline mode for globe', containerId, ':', error);
+        return null;
+    }
+}
+
+export function playTimeline(containerId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.playTimeline();
         }
-        console.log('❌ Глобус', containerId, 'не инициализирован');
         return false;
     } catch (error) {
-        console.error('Error adding participants to globe', containerId, ':', error);
+        console.error('Error playing timeline for globe', containerId, ':', error);
         return false;
     }
 }
 
-export function updateParticipantPosition(containerId, participantId, latitude, longitude) {
+export function pauseTimeline(containerId) {
     try {
         const globe = globeInstances.get(containerId);
         if (globe && globe.state && globe.state.isInitialized) {
-            return globe.updateParticipantPosition(participantId, latitude, longitude);
+            return globe.pauseTimeline();
         }
         return false;
     } catch (error) {
-        console.error('Error updating participant position on globe', containerId, ':', error);
+        console.error('Error pausing timeline for globe', containerId, ':', error);
         return false;
     }
 }
 
 /**
- * Удаляет участника по ID с глобуса
+ * Переходит к моменту шкалы регистраций
  * @param {string} containerId - ID контейнера глобуса
- * @param {string} participantId - ID участника для удаления
- * @returns {boolean} true если участник успешно удален
+ * @param {string|number} timestamp - Момент времени (ISO 8601 или миллисекунды)
+ * @returns {boolean} true если переход выполнен
  */
-export function removeParticipant(containerId, participantId) {
+export function seekTimeline(containerId, timestamp) {
     try {
         const globe = globeInstances.get(containerId);
         if (globe && globe.state && globe.state.isInitialized) {
-            return globe.removeParticipantById(participantId);
+            return globe.seekTimeline(timestamp);
         }
         return false;
     } catch (error) {
-        console.error('Error removing participant from globe', containerId, ':', error);
+        console.error('Error seeking timeline for globe', containerId, ':', error);
         return false;
     }
 }
 
+export function setTimelineSpeed(containerId, speed) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            return globe.setTimelineSpeed(speed);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error setting timeline speed for globe', containerId, ':', error);
+        return false;
+    }
+}
+
+export function getTimelineState(containerId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            return globe.getTimelineState();
+        }
+        return null;
+    } catch (error) {
+        console.error('Error getting timeline state for globe', containerId, ':', error);
+        return null;
+    }
+}
+
 /**
- * Центрирует камеру глобуса на указанных координатах
+ * Запускает тур по участникам и местам
  * @param {string} containerId - ID контейнера глобуса
- * @param {number} latitude - Широта для центрирования
- * @param {number} longitude - Долгота для центрирования
- * @param {number} zoom - Уровень масштабирования (по умолчанию 2.0)
- * @returns {boolean} true если центрирование выполнено успешно
+ * @param {Array<string|Object>} stops - ID участников или { participantId | latitude, longitude, caption, zoom, dwell }
+ * @param {Object} options - { loop, dwell, zoom, startIndex }
+ * @returns {number} Число принятых остановок; 0 - тур не запущен
  */
-export function centerOn(containerId, latitude, longitude, zoom) {
+export function startTour(containerId, stops, options) {
     try {
         const globe = globeInstances.get(containerId);
         if (globe && globe.state && globe.state.isInitialized) {
-            return globe.centerOn(latitude, longitude, zoom);
+            return globe.startTour(stops, options || {});
         }
-        return false;
+        return 0;
     } catch (error) {
-        console.error('Error centering globe', containerId, ':', error);
-        return false;
+        console.error('Error starting tour for globe', containerId, ':', error);
+        return 0;
     }
 }
 
-export function setLevelOfDetail(containerId, lod) {
+export function pauseTour(containerId) {
     try {
         const globe = globeInstances.get(containerId);
         if (globe && globe.state && globe.state.isInitialized) {
-            return globe.setLevelOfDetail(lod);
+            return globe.pauseTour();
         }
         return false;
     } catch (error) {
-        console.error('Error setting LOD for globe', containerId, ':', error);
+        console.error('Error pausing tour for globe', containerId, ':', error);
         return false;
     }
 }
 
-export function setAutoRotation(containerId, enabled, speed) {
+export function resumeTour(containerId) {
     try {
         const globe = globeInstances.get(containerId);
         if (globe && globe.state && globe.state.isInitialized) {
-            return globe.setAutoRotation(enabled, speed);
+            return globe.resumeTour();
         }
         return false;
     } catch (error) {
-        console.error('Error setting auto rotation for globe', containerId, ':', error);
+        console.error('Error resuming tour for globe', containerId, ':', error);
         return false;
     }
 }
 
-export function setSunLightIntensity(containerId, intensity) {
+export function nextTourStop(containerId) {
     try {
         const globe = globeInstances.get(containerId);
-        if (globe) {
-            globe.setSunLightIntensity(intensity);
-            return true;
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.nextTourStop();
         }
         return false;
     } catch (error) {
-        console.error('Error setting sun light intensity for globe', containerId, ':', error);
+        console.error('Error moving to next tour stop for globe', containerId, ':', error);
         return false;
     }
 }
 
-export function setSunLightColor(containerId, colorHex) {
+export function previousTourStop(containerId) {
     try {
         const globe = globeInstances.get(containerId);
-        if (globe) {
-            globe.setSunLightColor(colorHex);
-            return true;
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.previousTourStop();
         }
         return false;
     } catch (error) {
-        console.error('Error setting sun light color for globe', containerId, ':', error);
+        console.error('Error moving to previous tour stop for globe', containerId, ':', error);
         return false;
     }
 }
 
-export function setAmbientLightIntensity(containerId, intensity) {
+export function stopTour(containerId) {
     try {
         const globe = globeInstances.get(containerId);
-        if (globe) {
-            globe.setAmbientLightIntensity(intensity);
-            return true;
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.stopTour();
         }
         return false;
     } catch (error) {
-        console.error('Error setting ambient light intensity for globe', containerId, ':', error);
+        console.error('Error stopping tour for globe', containerId, ':', error);
         return false;
     }
 }
 
-export function updateSettings(containerId, settings) {
+export function getTourState(containerId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.getTourState();
+        }
+        return null;
+    } catch (error) {
+        console.error('Error getting tour state for globe', containerId, ':', error);
+        return null;
+    }
+}
+
+export function getChoroplethLegend(containerId) {
     try {
         const globe = globeInstances.get(containerId);
         if (globe) {
-            return globe.updateSettings(settings);
+            return globe.getChoroplethLegend();
         }
-        return false;
+        return null;
     } catch (error) {
-        console.error('Error updating settings for globe', containerId, ':', error);
-        return false;
+        console.error('Error getting choropleth legend for globe', containerId, ':', error);
+        return null;
     }
 }
 
@@ -1233,10 +7190,8 @@ export async function loadCountriesData(containerId) {
     try {
         const globe = globeInstances.get(containerId);
         if (globe) {
-            const response = await fetch('/_content/ZealousMindedPeopleGeo/data/countries.geojson');
-            const data = await response.json();
-            globe.loadCountries(data);
-            return true;
+            const data = await fetchCountriesGeoJson();
+            return globe.loadCountries(data);
         }
         return false;
     } catch (error) {
@@ -1245,6 +7200,60 @@ export async function loadCountriesData(containerId) {
     }
 }
 
+/**
+ * Загружает GeoJSON стран для поиска, если глобус еще не получил его через loadCountriesData
+ * @param {CommunityGlobe} globe - Экземпляр глобуса
+ */
+async function ensureCountriesIndexed(globe) {
+    if (!globe.countryIndex) {
+        const data = await fetchCountriesGeoJson();
+        if (!globe.countryIndex) {
+            globe.indexCountries(data);
+        }
+    }
+}
+
+/**
+ * Определяет страну по координатам
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {number} latitude - Широта
+ * @param {number} longitude - Долгота
+ * @returns {Promise<Object|null>} Свойства GeoJSON страны или null
+ */
+export async function getCountryAt(containerId, latitude, longitude) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            await ensureCountriesIndexed(globe);
+            return globe.getCountryAt(latitude, longitude);
+        }
+        return null;
+    } catch (error) {
+        console.error('Error getting country for globe', containerId, ':', error);
+        return null;
+    }
+}
+
+/**
+ * Определяет страны для массива координат
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {Array<{latitude:number, longitude:number}>} points - Координаты (например, участники)
+ * @returns {Promise<Array<Object|null>>} Свойства стран в том же порядке
+ */
+export async function getCountriesAt(containerId, points) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe) {
+            await ensureCountriesIndexed(globe);
+            return globe.getCountriesAt(points);
+        }
+        return [];
+    } catch (error) {
+        console.error('Error getting countries for globe', containerId, ':', error);
+        return [];
+    }
+}
+
 /**
  * Очищает всех участников с глобуса
  * @param {string} containerId - ID контейнера глобуса
@@ -1276,6 +7285,63 @@ export function getState(containerId) {
     }
 }
 
+/**
+ * Компактная строка текущего вида для ссылки: камера, слои, выбранные участники и фильтр
+ * @param {string} containerId - ID контейнера глобуса
+ * @returns {string|null}
+ */
+export function getViewState(containerId) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.getViewState();
+        }
+        return null;
+    } catch (error) {
+        console.error('Error getting view state for globe', containerId, ':', error);
+        return null;
+    }
+}
+
+/**
+ * Восстанавливает вид из строки getViewState
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {string} viewState - Строка вида
+ * @param {Object} options - { animate }
+ * @returns {boolean} true если строка распознана
+ */
+export function setViewState(containerId, viewState, options) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setViewState(viewState, options || {});
+        }
+        return false;
+    } catch (error) {
+        console.error('Error setting view state for globe', containerId, ':', error);
+        return false;
+    }
+}
+
+/**
+ * Включает или выключает синхронизацию вида с location.hash
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {boolean} enabled
+ * @returns {boolean} true если синхронизация включена
+ */
+export function setHashSync(containerId, enabled) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (globe && globe.state && globe.state.isInitialized) {
+            return globe.setHashSync(enabled);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error setting hash sync for globe', containerId, ':', error);
+        return false;
+    }
+}
+
 export function dispose(containerId) {
     try {
         console.log('🗑️ JavaScript dispose вызван для containerId:', containerId);
@@ -1420,6 +7486,40 @@ export function debugGlobeState(containerId) {
     }
 }
 
+/**
+ * Подписывает .NET объект на событие глобуса
+ * Аргументы события передаются в [JSInvokable] метод как есть, например
+ * onGlobeClick(latitude, longitude) повторяет OnMapClick из community-map.js
+ * @param {string} containerId - ID контейнера глобуса
+ * @param {string} eventName - Имя события (onParticipantClick, onGlobeClick, onSelectionChange, ...)
+ * @param {Object} dotNetReference - DotNetObjectReference или null для отписки
+ * @param {string} methodName - Имя [JSInvokable] метода
+ * @returns {boolean} true если подписка установлена
+ */
+export function setEventCallback(containerId, eventName, dotNetReference, methodName) {
+    try {
+        const globe = globeInstances.get(containerId);
+        if (!globe) {
+            console.error(`❌ Глобус ${containerId} не найден`);
+            return false;
+        }
+
+        if (!(eventName in globe.callbacks)) {
+            console.error(`❌ Неизвестное событие глобуса: ${eventName}`);
+            return false;
+        }
+
+        globe.callbacks[eventName] = dotNetReference
+            ? (...args) => dotNetReference.invokeMethodAsync(methodName, ...args)
+            : null;
+        console.log(`✅ Callback ${eventName} → ${methodName} установлен для ${containerId}`);
+        return true;
+    } catch (error) {
+        console.error('💥 Ошибка установки callback:', error);
+        return false;
+    }
+}
+
 export function setGlobeReadyCallbackDirect(containerId, dotNetReference) {
     try {
         console.log(`📞 Установка прямого callback для ${containerId}`);
@@ -1438,4 +7538,9 @@ export function setGlobeReadyCallbackDirect(containerId, dotNetReference) {
         console.error('💥 Ошибка установки callback:', error);
         return false;
     }
-}
\ No newline at end of file
+}
+// Классы и чистые функции экспортируются для тестов в tests/js; Blazor вызывает только функции выше
+export {
+    CommunityGlobe, ParticipantPointBuffer, compileParticipantFilter, tokenizeSearchText, scoreSearchToken, scoreSearchEntry,
+    normalizeTourStop, formatViewState, parseViewState
+};